@@ -0,0 +1,389 @@
+/**
+ * ComparisonResponder Class
+ *
+ * Recognizes and answers the QueryProcessor's comparison questions: skills
+ * side by side ("Playwright vs Selenium"), entries aspect by aspect ("compare
+ * your Amazon roles") and rankings ("which project had the biggest impact?").
+ * Also ranks the entries of a previous answer for superlative follow-ups.
+ */
+
+import { DateRange } from './DateRange.js';
+import { MetricNormalizer } from './MetricNormalizer.js';
+
+class ComparisonResponder {
+  /**
+   * @param {QueryProcessor} processor - The processor whose entities, keywords, labels and
+   *   skill answers are used
+   */
+  constructor(processor) {
+    this.processor = processor;
+    this.knowledgeBase = processor.knowledgeBase;
+  }
+
+  /**
+   * Recognizes comparison questions
+   * - Skills: "Playwright vs Selenium", "compare Python and JavaScript"
+   * - Entries: "compare your Amazon roles", "compare the Kill Switch and the Rule Trigger Tool"
+   * - Rankings: "which project had the biggest impact?", "which role was the longest?"
+   * @param {string} query - The normalized query
+   * @returns {Object|null} - `{ type: 'skills', items }`, `{ type: 'entries', category, entries }`,
+   *   `{ type: 'ranked', category, question }`, or null for other queries
+   */
+  parse(query) {
+    if (!query) {
+      return null;
+    }
+
+    const compares = /\b(?:vs|versus|compare|compared|comparing|comparison|difference|differences|differ)\b/.test(query);
+    const superlative = /\b(?:most|least|biggest|largest|highest|lowest|smallest|best|latest|newest|earliest|oldest|longest|shortest)\b/.test(query);
+    const categoryWords = {
+      projects: /\bprojects?\b/,
+      experience: /\b(?:roles?|jobs?|positions?)\b/,
+      awards: /\bawards?\b/,
+      certifications: /\bcertifications?\b|\bcertificates?\b/
+    };
+    const mentioned = Object.keys(categoryWords).find(category => categoryWords[category].test(query));
+    const listOf = category => {
+      const data = this.knowledgeBase.getByCategory(category);
+      return Array.isArray(data) ? data : [];
+    };
+
+    if (!compares) {
+      if (!superlative || !/\b(?:which|what)\b/.test(query)) {
+        return null;
+      }
+      const category = mentioned || (/\b(?:impact|save|saved|saves|savings)\b/.test(query) ? 'projects' : null);
+      return category && listOf(category).length > 1 ? { type: 'ranked', category, question: query } : null;
+    }
+
+    // Named entries of one category: "the Kill Switch Mechanism vs the Rule Trigger Tool"
+    const entities = this.processor.extractEntities(query);
+    const entryTypes = { project: 'projects', award: 'awards', certification: 'certifications' };
+    for (const [type, category] of Object.entries(entryTypes)) {
+      const names = entities.filter(entity => entity.type === type).map(entity => entity.value);
+      const entries = listOf(category).filter(entry => names.includes(this.processor.entryLabels[category].name(entry)));
+      if (entries.length > 1) {
+        return { type: 'entries', category, entries };
+      }
+    }
+
+    // Skills, keeping an unlisted side of "X vs Y" so it can be reported as not listed
+    const sides = query.split(/\bvs\.?|\bversus\b/);
+    const position = skill => {
+      const index = query.indexOf(skill.toLowerCase());
+      return index === -1 ? query.length : index;
+    };
+    let items = this.knowledgeBase.findSkillsInText(query)
+      .sort((a, b) => position(a) - position(b))
+      .map(skill => ({ subject: skill.toLowerCase(), skill }));
+    if (sides.length === 2) {
+      const sideItems = sides.map(side => {
+        const [skill] = this.knowledgeBase.findSkillsInText(side);
+        const subject = this.processor.extractKeywords(side.replace(/\b(?:compare|compared|comparing|comparison)\b/g, ' '), { stem: false }).join(' ');
+        return { subject, skill: skill || null };
+      });
+      if (sideItems.every(item => item.subject || item.skill) && sideItems.some(item => item.skill)) {
+        items = sideItems;
+      }
+    }
+    if (items.length > 1 && !(mentioned && items.every(item => item.skill) && !/\bvs\.?|\bversus\b/.test(query))) {
+      return { type: 'skills', items };
+    }
+
+    // A category, optionally narrowed to a company: "compare your Amazon roles"
+    if (mentioned) {
+      const companies = entities.filter(entity => entity.type === 'company').map(entity => entity.value);
+      const companyField = mentioned === 'experience' ? 'company' : null;
+      const entries = listOf(mentioned)
+        .filter(entry => companies.length === 0 || !companyField || companies.includes(entry[companyField]));
+      if (entries.length > 1) {
+        return { type: 'entries', category: mentioned, entries };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Formats a comparison recognized by parse
+   * @param {Object} comparison - The parsed comparison
+   * @returns {string}
+   */
+  respond(comparison) {
+    switch (comparison.type) {
+      case 'skills':
+        return this._formatSkillComparison(comparison.items);
+      case 'entries':
+        return this._formatEntryComparison(comparison.category, comparison.entries);
+      default:
+        return this._formatRankedComparison(comparison.category, comparison.question);
+    }
+  }
+
+  /**
+   * Ranks entries for superlative questions ("which one saved the most?")
+   * Projects are ranked by yearly savings, awards and certifications by year,
+   * and roles by length or start date. The category comes from the question
+   * where it says ("saved", "longest"), else from the first rankable entry.
+   * @param {Array<{category: string, data: Object}>} entries - Entries to rank
+   * @param {string} query - The normalized question
+   * @returns {{category: string, lines: Array<{entry: Object, text: string}>}|null} - One line per
+   *   ranked measure, or null if nothing can be ranked
+   */
+  rankEntries(entries, query) {
+    const lowest = /\b(?:least|lowest|smallest|earliest|oldest|first|shortest)\b/.test(query);
+    const pick = (items, value) => items.reduce((best, item) => {
+      if (!best) {
+        return item;
+      }
+      return (lowest ? value(item) < value(best) : value(item) > value(best)) ? item : best;
+    }, null);
+
+    const available = new Set(entries.map(entry => entry.category));
+    let category = [...available].find(name => ['projects', 'awards', 'certifications', 'experience'].includes(name));
+    if (/\b(?:save|saved|saves|saving|savings|impact|time|money|hours?|cost)\b/.test(query)) {
+      category = available.has('projects') ? 'projects' : null;
+    } else if (/\b(?:longest|shortest|long)\b/.test(query)) {
+      category = available.has('experience') ? 'experience' : null;
+    }
+    if (!category) {
+      return null;
+    }
+
+    const candidates = entries.filter(entry => entry.category === category);
+    const lines = [];
+
+    if (category === 'projects') {
+      const asksTime = /\b(?:time|hours?|faster)\b/.test(query);
+      const asksMoney = /\b(?:money|cost|dollars?)\b|\$/.test(query);
+      const shown = new Set(candidates.map(entry => entry.data));
+      const metrics = this.knowledgeBase.getProjectMetrics()
+        .filter(item => shown.has(item.project))
+        .flatMap(item => item.metrics
+          .filter(metric => metric.perYear !== null)
+          .map(metric => ({ project: item.project, metric })));
+
+      for (const kind of ['money', 'time']) {
+        if ((asksTime && kind !== 'time') || (asksMoney && kind !== 'money')) {
+          continue;
+        }
+        const best = pick(metrics.filter(item => item.metric.kind === kind), item => item.metric.perYear);
+        if (best) {
+          const amount = MetricNormalizer.format(best.metric.perYear, kind, best.metric.unit);
+          lines.push({
+            entry: { category, data: best.project },
+            text: `**${best.project.name}** saved the ${lowest ? 'least' : 'most'} ${kind === 'money' ? 'money' : 'time'}: ${amount} per year.`
+          });
+        }
+      }
+    } else if (category === 'experience') {
+      const timeline = this.knowledgeBase.getExperienceTimeline()
+        .filter(item => candidates.some(entry => entry.data === item.data));
+      const byLength = /\b(?:longest|shortest|long)\b/.test(query);
+      const best = pick(timeline, item => (byLength ? item.months : item.range.startIndex));
+      if (best) {
+        const adjective = byLength ? (lowest ? 'shortest' : 'longest') : (lowest ? 'earliest' : 'most recent');
+        lines.push({
+          entry: { category, data: best.data },
+          text: `The ${adjective} role is **${best.data.title}** at ${best.data.company} (${best.data.duration}, ${DateRange.formatMonths(best.months)}).`
+        });
+      }
+    } else {
+      const best = pick(candidates.filter(entry => typeof entry.data.year === 'number'), entry => entry.data.year);
+      if (best) {
+        const label = this.processor.entryLabels[category];
+        lines.push({
+          entry: best,
+          text: `The ${lowest ? 'earliest' : 'most recent'} ${label.one} is **${label.name(best.data)}** (${best.data.year}).`
+        });
+      }
+    }
+
+    return lines.length > 0 ? { category, lines } : null;
+  }
+
+  /**
+   * Compares skills side by side: the roles, projects and certifications behind each
+   * @private
+   * @param {Array<{subject: string, skill: string|null}>} items - Skills asked about
+   * @returns {string}
+   */
+  _formatSkillComparison(items) {
+    const known = items.filter(item => item.skill);
+    const unknown = items.filter(item => !item.skill);
+
+    if (known.length < 2) {
+      return [
+        ...known.map(item => this.processor.skillResponder.describeListedSkill(item.skill, false)),
+        ...unknown.map(item => this.processor.skillResponder.describeUnlistedSkill(item.subject, false))
+      ].join('\n\n');
+    }
+
+    const evidence = known.map(item => this.knowledgeBase.getSkillEvidence(item.skill));
+    let response = `${known.map(item => `**${item.skill}**`).join(' vs ')}:\n\n`;
+
+    const aspects = [
+      { category: 'experience', heading: '💼 Roles' },
+      { category: 'projects', heading: '📁 Projects' },
+      { category: 'certifications', heading: '📜 Certifications' }
+    ];
+    for (const { category, heading } of aspects) {
+      response += `${heading}:\n`;
+      known.forEach((item, index) => {
+        const names = ((evidence[index] && evidence[index].evidence[category]) || [])
+          .map(entry => this.processor.entryLabels[category].name(entry.data));
+        response += `• ${item.skill}: ${names.length > 0 ? names.join('; ') : 'none listed'}\n`;
+      });
+      response += '\n';
+    }
+
+    response += '🧰 Skills lists:\n';
+    known.forEach((item, index) => {
+      const groups = evidence[index] ? evidence[index].groups : [];
+      response += `• ${item.skill}: ${groups.length > 0 ? groups.join(', ') : 'not in the skills lists'}\n`;
+    });
+
+    // Entries that back every skill compared
+    const shared = aspects.flatMap(({ category }) => {
+      const [first, ...rest] = evidence.map(result => new Set(((result && result.evidence[category]) || []).map(entry => entry.data)));
+      return [...first].filter(data => rest.every(set => set.has(data))).map(data => this.processor.entryLabels[category].name(data));
+    });
+    if (shared.length > 0) {
+      response += `\n🤝 Used together in: ${shared.join('; ')}\n`;
+    }
+
+    for (const item of unknown) {
+      response += `\n${this.processor.skillResponder.describeUnlistedSkill(item.subject, false)}\n`;
+    }
+
+    return response.trim();
+  }
+
+  /**
+   * Compares entries of one category aspect by aspect
+   * @private
+   * @param {string} category - 'projects', 'experience', 'awards' or 'certifications'
+   * @param {Object[]} entries - Entries to compare
+   * @returns {string}
+   */
+  _formatEntryComparison(category, entries) {
+    const label = this.processor.entryLabels[category];
+    const shortNames = entries.map(entry => (category === 'experience' ? entry.title : label.name(entry)));
+    const names = new Set(shortNames).size === shortNames.length ? shortNames : entries.map(entry => label.name(entry));
+
+    const timeline = category === 'experience' ? this.knowledgeBase.getExperienceTimeline() : [];
+    const yearly = new Map(this.knowledgeBase.getProjectMetrics().map(item => [item.project, item.metrics]));
+    const aspects = {
+      experience: [
+        ['📅 Dates', entry => {
+          const item = timeline.find(candidate => candidate.data === entry);
+          return item ? `${entry.duration} (${DateRange.formatMonths(item.months)})` : entry.duration;
+        }],
+        ['📍 Location', entry => entry.location],
+        ['🛠️ Technologies', entry => (entry.technologies || []).join(', ')],
+        ['⭐ Highlight', entry => (entry.responsibilities || [])[0]]
+      ],
+      projects: [
+        ['🛠️ Technologies', entry => (entry.technologies || []).join(', ')],
+        ['📈 Impact', entry => entry.impact],
+        ['📆 Per year', entry => (yearly.get(entry) || [])
+          .filter(metric => metric.perYear !== null)
+          .map(metric => MetricNormalizer.format(metric.perYear, metric.kind, metric.unit))
+          .join(', ')]
+      ],
+      awards: [
+        ['🏛️ Awarded by', entry => entry.organization],
+        ['📅 Year', entry => entry.year]
+      ],
+      certifications: [
+        ['🏛️ Issued by', entry => entry.issuer],
+        ['📅 Year', entry => entry.year]
+      ]
+    }[category] || [];
+
+    let response = `Comparing ${entries.length} of Dinakaran's ${label.many}:\n\n`;
+    for (const [heading, value] of aspects) {
+      response += `${heading}:\n`;
+      entries.forEach((entry, index) => {
+        const text = value(entry);
+        response += `• ${names[index]}: ${text === undefined || text === null || text === '' ? 'not listed' : text}\n`;
+      });
+      response += '\n';
+    }
+
+    const technologySets = entries.map(entry => new Set(entry.technologies || []));
+    const sharedTechnologies = [...technologySets[0]].filter(technology => technologySets.every(set => set.has(technology)));
+    if ((category === 'experience' || category === 'projects') && sharedTechnologies.length > 0) {
+      response += `🤝 In common: ${sharedTechnologies.join(', ')}`;
+    }
+
+    return response.trim();
+  }
+
+  /**
+   * Ranks every entry of a category and names the top one
+   * Projects are ranked by yearly savings, roles by length or start date,
+   * awards and certifications by year.
+   * @private
+   * @param {string} category - 'projects', 'experience', 'awards' or 'certifications'
+   * @param {string} query - The question, for the direction and measure of the ranking
+   * @returns {string}
+   */
+  _formatRankedComparison(category, query) {
+    const data = this.knowledgeBase.getByCategory(category);
+    const entries = (Array.isArray(data) ? data : []).map(entry => ({ category, data: entry }));
+    const ranked = this.rankEntries(entries, query);
+    const label = this.processor.entryLabels[category];
+    if (!ranked) {
+      return `I don't have enough details to rank Dinakaran's ${label.many}.`;
+    }
+
+    let response = `${ranked.lines.map(line => line.text).join('\n')}\n\n`;
+
+    if (category === 'projects') {
+      const { totals, other } = this.knowledgeBase.aggregateMetrics();
+      const headings = { money: '💰 Yearly cost savings', time: '⏱️ Yearly time saved', count: '📊 Yearly totals' };
+      for (const total of totals) {
+        response += `${headings[total.kind] || total.kind}:\n`;
+        total.contributions.forEach(({ project, metric, perYear }, index) => {
+          response += `${index + 1}. ${project.name}: ${MetricNormalizer.format(perYear, metric.kind, metric.unit)}\n`;
+        });
+        response += '\n';
+      }
+      if (other.length > 0) {
+        response += `Other results: ${other.map(({ project, metric }) => `${project.name} (${metric.text} ${metric.key})`).join(', ')}.`;
+      }
+    } else if (category === 'experience') {
+      // The timeline is already most recent first
+      const byLength = /\b(?:longest|shortest|long)\b/.test(query);
+      const timeline = byLength
+        ? [...this.knowledgeBase.getExperienceTimeline()].sort((a, b) => b.months - a.months)
+        : this.knowledgeBase.getExperienceTimeline();
+      response += byLength ? '📅 By length:\n' : '📅 Most recent first:\n';
+      timeline.forEach((item, index) => {
+        response += `${index + 1}. ${label.name(item.data)}: ${item.range.format()} (${DateRange.formatMonths(item.months)})\n`;
+      });
+    } else {
+      const byYear = entries.filter(entry => typeof entry.data.year === 'number').sort((a, b) => b.data.year - a.data.year);
+      response += '📅 Most recent first:\n';
+      byYear.forEach((entry, index) => {
+        response += `${index + 1}. ${label.name(entry.data)} (${entry.data.year})\n`;
+      });
+    }
+
+    return response.trim();
+  }
+}
+
+// ES Module export
+export { ComparisonResponder };
+
+// CommonJS export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ComparisonResponder };
+}
+
+// Browser global
+if (typeof window !== 'undefined') {
+  window.ComparisonResponder = ComparisonResponder;
+}
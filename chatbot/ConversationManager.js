@@ -41,9 +41,11 @@ class ConversationManager {
    * @param {string} message - The message content
    * @param {string} sender - The sender ('user' or 'bot')
    * @param {number} [timestamp] - Optional Unix timestamp (defaults to current time)
+   * @param {Object} [metadata] - Optional data kept with the message, e.g. the
+   *   `dialogue` state QueryProcessor returns for follow-up questions
    * @returns {Object} - The message object with unique ID
    */
-  addMessage(message, sender, timestamp = null) {
+  addMessage(message, sender, timestamp = null, metadata = null) {
     // Validate message content
     if (message === undefined || message === null) {
       throw new Error('Message content is required');
@@ -63,6 +65,10 @@ class ConversationManager {
       timestamp: timestamp !== null ? timestamp : Date.now()
     };
 
+    if (metadata && typeof metadata === 'object') {
+      messageObject.metadata = metadata;
+    }
+
     // Add to history
     this.messages.push(messageObject);
 
@@ -0,0 +1,316 @@
+/**
+ * DateRange Class
+ * 
+ * A month-granular date range parsed from free-text durations such as
+ * "Apr 2024 - Present" or "May 2021 - Apr 2024". Both ends are inclusive, so
+ * "Apr 2019 - Oct 2022" spans 43 months. "Present" resolves to the current month.
+ */
+
+class DateRange {
+  /**
+   * Abbreviated month names, January first
+   * @static
+   */
+  static MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+  /**
+   * Words that mark an ongoing range
+   * @static
+   */
+  static PRESENT_PATTERN = /^(present|current|now|today|ongoing)$/i;
+
+  /**
+   * Parses a duration string such as "Apr 2024 - Present"
+   * A bare year counts as January when it starts a range and December when it ends one.
+   * @static
+   * @param {string} duration - Duration text
+   * @param {Date} [now] - Date that "Present" resolves to (default: today)
+   * @returns {DateRange|null} - The range, or null if the text cannot be parsed
+   */
+  static parse(duration, now = new Date()) {
+    if (!duration || typeof duration !== 'string') {
+      return null;
+    }
+
+    const parts = duration.split(/\s*(?:\s[-–—]\s|\bto\b|[–—])\s*/i).map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0 || parts.length > 2) {
+      return null;
+    }
+
+    const start = DateRange.parseMonth(parts[0], 'start');
+    if (!start) {
+      return null;
+    }
+
+    // A single date is a one-month (or one-year) range
+    if (parts.length === 1) {
+      const end = DateRange.parseMonth(parts[0], 'end');
+      return new DateRange(start, end);
+    }
+
+    if (DateRange.PRESENT_PATTERN.test(parts[1])) {
+      return new DateRange(start, DateRange._toMonthIndex(now), true);
+    }
+
+    const end = DateRange.parseMonth(parts[1], 'end');
+    if (!end || end < start) {
+      return null;
+    }
+    return new DateRange(start, end);
+  }
+
+  /**
+   * Parses "Apr 2024", "April 2024", "2024-04" or "2024" into a month index
+   * @static
+   * @param {string} text - Month text
+   * @param {string} [edge='start'] - Which month a bare year resolves to: 'start' (Jan) or 'end' (Dec)
+   * @returns {number|null} - Months since year 0, or null if the text cannot be parsed
+   */
+  static parseMonth(text, edge = 'start') {
+    const value = (text || '').trim();
+
+    const named = /^([A-Za-z]{3,9})\.?\s+(\d{4})$/.exec(value);
+    if (named) {
+      const month = DateRange.MONTH_NAMES.findIndex(
+        name => name.toLowerCase() === named[1].slice(0, 3).toLowerCase()
+      );
+      return month === -1 ? null : Number(named[2]) * 12 + month;
+    }
+
+    const iso = /^(\d{4})-(\d{2})(?:-\d{2})?$/.exec(value);
+    if (iso) {
+      const month = Number(iso[2]) - 1;
+      return month >= 0 && month < 12 ? Number(iso[1]) * 12 + month : null;
+    }
+
+    const year = /^(\d{4})$/.exec(value);
+    if (year) {
+      return Number(year[1]) * 12 + (edge === 'end' ? 11 : 0);
+    }
+
+    return null;
+  }
+
+  /**
+   * Creates the range covering a whole calendar year
+   * @static
+   * @param {number} year - Calendar year
+   * @returns {DateRange}
+   */
+  static fromYear(year) {
+    return new DateRange(year * 12, year * 12 + 11);
+  }
+
+  /**
+   * Creates a range from two dates, years or month texts
+   * @static
+   * @param {Date|number|string} start - Start (a number is a year)
+   * @param {Date|number|string} [end=start] - End (a number is a year)
+   * @returns {DateRange|null}
+   */
+  static between(start, end = start) {
+    const startIndex = DateRange._toBoundary(start, 'start');
+    const endIndex = DateRange._toBoundary(end, 'end');
+    if (startIndex === null || endIndex === null || endIndex < startIndex) {
+      return null;
+    }
+    return new DateRange(startIndex, endIndex);
+  }
+
+  /**
+   * Merges overlapping or adjacent ranges
+   * @static
+   * @param {DateRange[]} ranges - Ranges to merge
+   * @returns {DateRange[]} - Disjoint ranges, earliest first
+   */
+  static merge(ranges) {
+    const sorted = [...ranges].sort((a, b) => a.startIndex - b.startIndex);
+    const merged = [];
+
+    for (const range of sorted) {
+      const last = merged[merged.length - 1];
+      if (last && range.startIndex <= last.endIndex + 1) {
+        merged[merged.length - 1] = new DateRange(
+          last.startIndex,
+          Math.max(last.endIndex, range.endIndex),
+          last.endIndex >= range.endIndex ? last.isCurrent : range.isCurrent
+        );
+      } else {
+        merged.push(range);
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Formats a month count as "3 years 7 months"
+   * @static
+   * @param {number} months - Number of months
+   * @returns {string}
+   */
+  static formatMonths(months) {
+    const years = Math.floor(months / 12);
+    const remainder = months % 12;
+    const parts = [];
+
+    if (years > 0) {
+      parts.push(`${years} ${years === 1 ? 'year' : 'years'}`);
+    }
+    if (remainder > 0 || years === 0) {
+      parts.push(`${remainder} ${remainder === 1 ? 'month' : 'months'}`);
+    }
+    return parts.join(' ');
+  }
+
+  /**
+   * Formats a month index as "Apr 2024"
+   * @static
+   * @param {number} monthIndex - Months since year 0
+   * @returns {string}
+   */
+  static formatMonth(monthIndex) {
+    return `${DateRange.MONTH_NAMES[monthIndex % 12]} ${Math.floor(monthIndex / 12)}`;
+  }
+
+  /**
+   * @param {number} startIndex - First month (months since year 0)
+   * @param {number} endIndex - Last month, inclusive
+   * @param {boolean} [isCurrent=false] - Whether the range runs to the present
+   */
+  constructor(startIndex, endIndex, isCurrent = false) {
+    this.startIndex = startIndex;
+    this.endIndex = endIndex;
+    this.isCurrent = isCurrent;
+  }
+
+  /**
+   * First day of the first month
+   * @returns {Date}
+   */
+  get start() {
+    return new Date(Date.UTC(Math.floor(this.startIndex / 12), this.startIndex % 12, 1));
+  }
+
+  /**
+   * Last day of the last month
+   * @returns {Date}
+   */
+  get end() {
+    return new Date(Date.UTC(Math.floor(this.endIndex / 12), this.endIndex % 12 + 1, 0));
+  }
+
+  /**
+   * Number of months covered, counting both ends
+   * @returns {number}
+   */
+  getMonths() {
+    return this.endIndex - this.startIndex + 1;
+  }
+
+  /**
+   * Checks whether two ranges share at least one month
+   * @param {DateRange} other - Range to compare
+   * @returns {boolean}
+   */
+  overlaps(other) {
+    return this.startIndex <= other.endIndex && other.startIndex <= this.endIndex;
+  }
+
+  /**
+   * Returns the months two ranges share
+   * @param {DateRange} other - Range to intersect
+   * @returns {DateRange|null} - The shared range, or null if they do not overlap
+   */
+  intersect(other) {
+    if (!this.overlaps(other)) {
+      return null;
+    }
+    return new DateRange(
+      Math.max(this.startIndex, other.startIndex),
+      Math.min(this.endIndex, other.endIndex),
+      this.isCurrent && other.isCurrent
+    );
+  }
+
+  /**
+   * Checks whether a date falls inside the range
+   * @param {Date} date - Date to check
+   * @returns {boolean}
+   */
+  contains(date) {
+    const index = DateRange._toMonthIndex(date);
+    return index >= this.startIndex && index <= this.endIndex;
+  }
+
+  /**
+   * Formats the range as "May 2021 - Apr 2024" or "Apr 2024 - Present"
+   * @returns {string}
+   */
+  format() {
+    const end = this.isCurrent ? 'Present' : DateRange.formatMonth(this.endIndex);
+    return `${DateRange.formatMonth(this.startIndex)} - ${end}`;
+  }
+
+  /**
+   * Serializes the range with ISO 8601 months
+   * @returns {{start: string, end: (string|null), isCurrent: boolean, months: number}}
+   */
+  toJSON() {
+    return {
+      start: DateRange._toIsoMonth(this.startIndex),
+      end: this.isCurrent ? null : DateRange._toIsoMonth(this.endIndex),
+      isCurrent: this.isCurrent,
+      months: this.getMonths()
+    };
+  }
+
+  /**
+   * Converts a Date to a month index
+   * @private
+   * @static
+   */
+  static _toMonthIndex(date) {
+    return date.getFullYear() * 12 + date.getMonth();
+  }
+
+  /**
+   * Converts a month index to "YYYY-MM"
+   * @private
+   * @static
+   */
+  static _toIsoMonth(monthIndex) {
+    return `${Math.floor(monthIndex / 12)}-${String(monthIndex % 12 + 1).padStart(2, '0')}`;
+  }
+
+  /**
+   * Converts a Date, year number or month text to a month index
+   * @private
+   * @static
+   */
+  static _toBoundary(value, edge) {
+    if (value instanceof Date) {
+      return Number.isNaN(value.getTime()) ? null : DateRange._toMonthIndex(value);
+    }
+    if (typeof value === 'number' && Number.isInteger(value)) {
+      return value * 12 + (edge === 'end' ? 11 : 0);
+    }
+    if (typeof value === 'string') {
+      return DateRange.parseMonth(value, edge);
+    }
+    return null;
+  }
+}
+
+// ES Module export
+export { DateRange };
+
+// CommonJS export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DateRange };
+}
+
+// Browser global
+if (typeof window !== 'undefined') {
+  window.DateRange = DateRange;
+}
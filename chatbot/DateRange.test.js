@@ -0,0 +1,55 @@
+import { DateRange } from './DateRange.js';
+
+describe('DateRange', () => {
+  const now = new Date('2025-06-15');
+
+  describe('parse', () => {
+    test('parses a month range, counting both ends', () => {
+      const range = DateRange.parse('May 2021 - Apr 2024');
+
+      expect(range.getMonths()).toBe(36);
+      expect(range.format()).toBe('May 2021 - Apr 2024');
+      expect(range.isCurrent).toBe(false);
+    });
+
+    test('resolves "Present" to the given date', () => {
+      const range = DateRange.parse('Apr 2024 - Present', now);
+
+      expect(range.isCurrent).toBe(true);
+      expect(range.getMonths()).toBe(15);
+      expect(range.format()).toBe('Apr 2024 - Present');
+      expect(range.toJSON()).toEqual({ start: '2024-04', end: null, isCurrent: true, months: 15 });
+    });
+
+    test('returns null for text that is not a duration', () => {
+      expect(DateRange.parse('nonsense')).toBeNull();
+    });
+  });
+
+  test('finds the overlap of the WERP-India and Amazon roles', () => {
+    const amazon = DateRange.parse('May 2021 - Apr 2024');
+    const werp = DateRange.parse('Apr 2019 - Oct 2022');
+
+    expect(amazon.overlaps(werp)).toBe(true);
+    expect(amazon.intersect(werp).format()).toBe('May 2021 - Oct 2022');
+    expect(amazon.intersect(werp).getMonths()).toBe(18);
+  });
+
+  test('merges overlapping ranges', () => {
+    const merged = DateRange.merge([DateRange.parse('May 2021 - Apr 2024'), DateRange.parse('Apr 2019 - Oct 2022')]);
+
+    expect(merged.map(range => range.format())).toEqual(['Apr 2019 - Apr 2024']);
+  });
+
+  test('builds ranges for years', () => {
+    expect(DateRange.fromYear(2022).format()).toBe('Jan 2022 - Dec 2022');
+    expect(DateRange.between(2021, 2022).format()).toBe('Jan 2021 - Dec 2022');
+    expect(DateRange.parse('May 2021 - Apr 2024').contains(new Date('2022-01-01'))).toBe(true);
+  });
+
+  test('formats month counts in words', () => {
+    expect(DateRange.formatMonths(1)).toBe('1 month');
+    expect(DateRange.formatMonths(18)).toBe('1 year 6 months');
+    expect(DateRange.formatMonths(24)).toBe('2 years');
+  });
+});
@@ -0,0 +1,353 @@
+/**
+ * DialogueTracker Class
+ *
+ * Records what each QueryProcessor answer was about (its intent, the entries
+ * it showed and the skill it covered) and resolves follow-up questions against
+ * that state: "what about WERP?" repeats the last topic, while "when did you
+ * get it?", "which one saved the most?" and "tell me more" are answered about
+ * the entries shown last.
+ */
+
+class DialogueTracker {
+  /**
+   * @param {QueryProcessor} processor - The processor that answers resolved follow-ups
+   */
+  constructor(processor) {
+    this.processor = processor;
+    this.knowledgeBase = processor.knowledgeBase;
+  }
+
+  /**
+   * Recognizes a follow-up to the previous answer
+   * - Elliptical questions ("what about WERP?", "and Selenium?") repeat the last
+   *   question, including a yes/no capability check, for the newly named entity
+   * - Questions that refer back ("when did you get it?", "which one saved the
+   *   most?", "tell me more about that") are answered about the entries the
+   *   last answer showed
+   * Questions that name their own topic are not follow-ups.
+   * @param {string} query - The normalized query
+   * @param {Object} dialogue - The previous dialogue state (see QueryProcessor.getDialogueState)
+   * @returns {Object|null} - `{ kind, intent, entities?, entries?, dialogue }`, or null
+   */
+  parseFollowUp(query, dialogue) {
+    const entities = this.processor.extractEntities(query);
+
+    const ellipsis = /^(?:what|how)\s+about\b|^what of\b|^and\b/.exec(query);
+    if (ellipsis && entities.length > 0) {
+      // Nothing but the marker and the entities: "what about WERP?"
+      let rest = query.slice(ellipsis[0].length);
+      for (const entity of entities) {
+        rest = rest.replace(entity.text, ' ');
+      }
+      if (this.processor.extractKeywords(rest).length === 0) {
+        return this._parseEllipsis(dialogue, entities);
+      }
+    }
+
+    if (entities.length > 0) {
+      return null;
+    }
+
+    const refersBack = /\b(?:it|its|that|this|them|they|those|these|their|one|ones|same|which)\b/.test(query);
+    const asksMore = /^(?:tell me |give me |show me )?more\b|\b(?:more (?:about|details|detail|info)|elaborate|go on|expand on)\b/.test(query);
+    const asksWhen = /^when\b|\b(?:what|which) year\b|\bhow long ago\b/.test(query);
+    const asksRank = /\b(?:most|least|biggest|largest|highest|lowest|smallest|best|latest|newest|earliest|oldest|first|recent|longest|shortest)\b/.test(query);
+
+    if (!asksMore && !(refersBack && (asksWhen || asksRank || this.processor.detectIntent(query) === 'general'))) {
+      return null;
+    }
+
+    const entries = this._resolveEntries(dialogue.entries);
+
+    if (asksWhen && entries.length > 0) {
+      return { kind: 'when', intent: dialogue.intent, entries, dialogue: this._summarizeEntries(dialogue.intent, entries) };
+    }
+
+    if (asksRank && !asksMore) {
+      const ranked = this.processor.comparisonResponder.rankEntries(entries, query);
+      if (!ranked) {
+        return null;
+      }
+      const winners = ranked.lines.map(line => line.entry);
+      return { kind: 'ranked', intent: dialogue.intent, ranked, dialogue: this._summarizeEntries(dialogue.intent, winners) };
+    }
+
+    return { kind: 'more', intent: dialogue.intent, entries, dialogue: { ...dialogue } };
+  }
+
+  /**
+   * Answers a follow-up recognized by parseFollowUp
+   * @param {Object} followUp - The parsed follow-up
+   * @param {Object[]} context - Conversation context
+   * @returns {string}
+   */
+  respond(followUp, context) {
+    switch (followUp.kind) {
+      case 'ellipsis':
+        return this.processor.generateResponse(followUp.intent, [], context, followUp.details);
+      case 'when':
+        return this._formatWhenResponse(followUp.entries);
+      case 'ranked':
+        return followUp.ranked.lines.map(line => line.text).join('\n');
+      default:
+        return this._formatMoreResponse(followUp, context);
+    }
+  }
+
+  /**
+   * Records the topic and the entries an answer showed
+   * @param {Array<{intent: string, clause: string}>} sections - The answered intents
+   * @param {Object} [details] - Details the answer was generated with, when not parsed from the clause
+   * @returns {{intent: string, entries: Array<{category: string, name: string}>, skill: string|null}}
+   */
+  describe(sections, details = null) {
+    const entries = [];
+    let skill = null;
+
+    for (const { intent, clause } of sections) {
+      const shown = this._getShownEntries(intent, clause, details);
+      entries.push(...shown.entries);
+      skill = shown.skill || skill;
+    }
+
+    const last = sections[sections.length - 1].intent;
+    return { ...this._summarizeEntries(last, entries), skill };
+  }
+
+  /**
+   * Repeats the previous topic for the entities named by an elliptical question
+   * @private
+   * @param {Object} dialogue - The previous dialogue state
+   * @param {Object[]} entities - Entities named by the question
+   * @returns {Object|null}
+   */
+  _parseEllipsis(dialogue, entities) {
+    const technology = entities.find(entity => entity.type === 'technology');
+    const company = entities.find(entity => entity.type === 'company');
+    const year = entities.find(entity => entity.type === 'year');
+    const intent = dialogue.intent;
+
+    let details = { entities };
+    if (intent === 'capability') {
+      // "Do you know Playwright?" → "and Selenium?" asks the same yes/no question
+      const technologies = entities.filter(entity => entity.type === 'technology');
+      if (technologies.length === 0) {
+        return null;
+      }
+      details = {
+        capability: {
+          items: technologies.map(entity => ({ subject: entity.text, skill: entity.value })),
+          certification: false
+        }
+      };
+    } else if (intent === 'evidence' || intent === 'topic') {
+      if (!technology) {
+        return null;
+      }
+      details = intent === 'evidence'
+        ? { evidence: { skill: technology.value, categories: [] } }
+        : { topic: { technology: technology.value } };
+    } else if (intent === 'timeline') {
+      if (year) {
+        details = { temporal: { type: 'period', start: year.value, end: year.value } };
+      } else if (company) {
+        details = { temporal: { type: 'tenure', company: company.value } };
+      } else {
+        return null;
+      }
+    } else if (!Object.values(this.processor.categoryIntents).includes(intent)) {
+      return null;
+    }
+
+    const text = entities.map(entity => entity.text).join(' ');
+    return {
+      kind: 'ellipsis',
+      intent,
+      details,
+      dialogue: this.describe([{ intent, clause: text }], details)
+    };
+  }
+
+  /**
+   * Repeats the previous answer, narrowed to the entries it showed
+   * @private
+   */
+  _formatMoreResponse(followUp, context) {
+    const category = followUp.entries.length > 0 ? followUp.entries[0].category : null;
+    const intent = this.processor.categoryIntents[category];
+
+    // Entries of one category are listed again; "it" after a single entry shows just that entry
+    if (intent && followUp.entries.every(entry => entry.category === category)) {
+      const entities = followUp.entries.map(({ data }) => ({ type: 'reference', value: this.processor.entryLabels[category].name(data) }));
+      return this.processor.generateResponse(intent, [], context, { entities });
+    }
+
+    const skill = followUp.dialogue.skill;
+    if (skill && (followUp.intent === 'evidence' || followUp.intent === 'topic')) {
+      return followUp.intent === 'evidence'
+        ? this.processor.skillResponder.respondToTopic({ technology: skill })
+        : this.processor.skillResponder.respondToEvidence({ skill, categories: [] });
+    }
+
+    return this.processor.generateResponse(followUp.intent, [], context, {});
+  }
+
+  /**
+   * Says when each entry happened
+   * @private
+   * @param {Array<{category: string, data: Object}>} entries - Resolved entries
+   * @returns {string}
+   */
+  _formatWhenResponse(entries) {
+    const sentences = entries.map(({ category, data }) => {
+      switch (category) {
+        case 'awards':
+          return `Dinakaran received the **${data.title}** from ${data.organization} in ${data.year}.`;
+        case 'certifications':
+          return `Dinakaran earned the **${data.name}** certification in ${data.year}.`;
+        case 'experience':
+          return `Dinakaran worked as **${data.title}** at ${data.company} (${data.duration}).`;
+        default:
+          return `I don't have a date for **${this.processor.entryLabels[category].name(data)}**.`;
+      }
+    });
+
+    return sentences.length === 1 ? sentences[0] : `Here's when:\n\n${sentences.map(sentence => `• ${sentence}`).join('\n')}`;
+  }
+
+  /**
+   * Builds a dialogue state from resolved entries
+   * @private
+   */
+  _summarizeEntries(intent, entries) {
+    const seen = new Set();
+    const references = [];
+    for (const { category, data } of entries) {
+      const name = this.processor.entryLabels[category].name(data);
+      if (!seen.has(`${category}:${name}`)) {
+        seen.add(`${category}:${name}`);
+        references.push({ category, name });
+      }
+    }
+    return { intent, entries: references, skill: null };
+  }
+
+  /**
+   * Lists the entries an answer to one intent shows
+   * @private
+   * @param {string} intent - The answered intent
+   * @param {string} text - The query or clause it answered
+   * @param {Object} [details] - Details the answer was generated with
+   * @returns {{entries: Array<{category: string, data: Object}>, skill: string|null}}
+   */
+  _getShownEntries(intent, text, details = null) {
+    const kb = this.knowledgeBase;
+    const listOf = category => {
+      const data = kb.getByCategory(category);
+      return Array.isArray(data) ? data : [];
+    };
+    const asEntries = (category, items) => items.map(data => ({ category, data }));
+
+    const category = Object.keys(this.processor.categoryIntents).find(name => this.processor.categoryIntents[name] === intent);
+    if (category) {
+      const entities = details && details.entities ? details.entities : this.processor.extractEntities(text);
+      return { entries: asEntries(category, this.processor.selectEntries(category, listOf(category), entities).entries), skill: null };
+    }
+
+    switch (intent) {
+      case 'impact':
+        return { entries: asEntries('projects', kb.getProjectMetrics().map(item => item.project)), skill: null };
+      case 'timeline': {
+        const temporal = (details && details.temporal) || this.processor.timelineResponder.parse(text) || { type: 'overview' };
+        let roles;
+        if (temporal.type === 'period') {
+          roles = kb.getExperienceInRange(temporal.start, temporal.end).map(item => item.data);
+        } else if (temporal.type === 'recent') {
+          const recent = kb.getMostRecentExperience();
+          roles = recent ? [recent.data] : [];
+        } else if (temporal.type === 'tenure') {
+          const tenure = kb.getTenure(temporal.company);
+          roles = tenure ? tenure.roles.map(item => item.data) : [];
+        } else {
+          roles = listOf('experience');
+        }
+        return { entries: asEntries('experience', roles), skill: null };
+      }
+      case 'comparison': {
+        const parsed = (details && details.comparison) || this.processor.comparisonResponder.parse(text);
+        if (!parsed || parsed.type === 'skills') {
+          return { entries: [], skill: null };
+        }
+        if (parsed.type === 'entries') {
+          return { entries: asEntries(parsed.category, parsed.entries), skill: null };
+        }
+        const ranked = this.processor.comparisonResponder.rankEntries(asEntries(parsed.category, listOf(parsed.category)), text);
+        return { entries: ranked ? ranked.lines.map(line => line.entry) : [], skill: null };
+      }
+      case 'capability': {
+        const parsed = (details && details.capability) || this.processor.skillResponder.parseCapability(text);
+        const known = parsed ? parsed.items.filter(item => item.skill) : [];
+        return known.length === 1
+          ? this._getShownEntries('evidence', text, { evidence: { skill: known[0].skill, categories: [] } })
+          : { entries: [], skill: null };
+      }
+      case 'evidence':
+      case 'topic': {
+        const parsed = intent === 'evidence'
+          ? (details && details.evidence) || this.processor.skillResponder.parseEvidence(text)
+          : (details && details.topic) || this.processor.skillResponder.parseTopic(text);
+        const skill = parsed ? (parsed.skill || parsed.technology) : null;
+        const result = skill ? kb.getSkillEvidence(skill) : null;
+        if (!result) {
+          return { entries: [], skill };
+        }
+        const categories = parsed.categories && parsed.categories.length > 0
+          ? parsed.categories
+          : Object.keys(result.evidence);
+        const entries = categories
+          .filter(name => this.processor.entryLabels[name] && result.evidence[name])
+          .flatMap(name => asEntries(name, result.evidence[name].map(item => item.data)));
+        return { entries, skill: result.skill };
+      }
+      default:
+        return { entries: [], skill: null };
+    }
+  }
+
+  /**
+   * Looks up the entries named in a dialogue state in the current data
+   * Entries removed since the state was recorded are skipped.
+   * @private
+   * @param {Array<{category: string, name: string}>} references - Entry references
+   * @returns {Array<{category: string, data: Object}>}
+   */
+  _resolveEntries(references) {
+    if (!Array.isArray(references)) {
+      return [];
+    }
+
+    const resolved = [];
+    for (const { category, name } of references) {
+      const label = this.processor.entryLabels[category];
+      const data = this.knowledgeBase.getByCategory(category);
+      const entry = label && Array.isArray(data) ? data.find(item => label.name(item) === name) : null;
+      if (entry) {
+        resolved.push({ category, data: entry });
+      }
+    }
+    return resolved;
+  }
+}
+
+// ES Module export
+export { DialogueTracker };
+
+// CommonJS export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DialogueTracker };
+}
+
+// Browser global
+if (typeof window !== 'undefined') {
+  window.DialogueTracker = DialogueTracker;
+}
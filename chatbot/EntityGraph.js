@@ -0,0 +1,164 @@
+/**
+ * EntityGraph Class
+ * 
+ * A small undirected graph of typed nodes joined by labelled edges. The
+ * SkillGraph uses it to link skills to the projects, roles and
+ * certifications that use or mention them, so one node answers "where was X
+ * used" across every category.
+ */
+
+class EntityGraph {
+  /**
+   * Creates an empty graph
+   */
+  constructor() {
+    this._nodes = new Map();
+    this._edges = new Map();
+  }
+
+  /**
+   * Adds a node, or merges properties into an existing node with the same id
+   * @param {string} id - Unique node id, e.g. "skill:python" or "projects[2]"
+   * @param {string} type - Node type, e.g. "skill" or "projects"
+   * @param {Object} [properties] - Extra properties stored on the node
+   * @returns {Object} - The node: `{ id, type, ...properties }`
+   */
+  addNode(id, type, properties = {}) {
+    if (this._nodes.has(id)) {
+      return Object.assign(this._nodes.get(id), properties);
+    }
+
+    const node = { id, type, ...properties };
+    this._nodes.set(id, node);
+    this._edges.set(id, []);
+    return node;
+  }
+
+  /**
+   * Returns a node by id
+   * @param {string} id - Node id
+   * @returns {Object|null}
+   */
+  getNode(id) {
+    return this._nodes.get(id) || null;
+  }
+
+  /**
+   * Returns every node, optionally of one type
+   * @param {string} [type] - Node type to keep
+   * @returns {Object[]}
+   */
+  getNodes(type) {
+    const nodes = [...this._nodes.values()];
+    return type ? nodes.filter(node => node.type === type) : nodes;
+  }
+
+  /**
+   * Links two existing nodes; linking the same pair twice keeps the first relation
+   * @param {string} from - Node id
+   * @param {string} to - Node id
+   * @param {string} relation - Edge label, e.g. "uses" or "mentions"
+   * @returns {boolean} - Whether a new edge was added
+   * @throws {Error} If either node does not exist
+   */
+  addEdge(from, to, relation) {
+    if (!this._nodes.has(from) || !this._nodes.has(to)) {
+      throw new Error(`Cannot link unknown nodes "${from}" and "${to}"`);
+    }
+    if (this.hasEdge(from, to)) {
+      return false;
+    }
+
+    this._edges.get(from).push({ to, relation });
+    this._edges.get(to).push({ to: from, relation });
+    return true;
+  }
+
+  /**
+   * Checks whether two nodes are linked
+   * @param {string} from - Node id
+   * @param {string} to - Node id
+   * @returns {boolean}
+   */
+  hasEdge(from, to) {
+    const edges = this._edges.get(from);
+    return Boolean(edges && edges.some(edge => edge.to === to));
+  }
+
+  /**
+   * Returns the nodes linked to a node, in the order the links were made
+   * @param {string} id - Node id
+   * @param {Object} [filter] - Filters
+   * @param {string} [filter.type] - Keep only neighbours of this type
+   * @param {string} [filter.relation] - Keep only links with this relation
+   * @returns {Array<{node: Object, relation: string}>}
+   */
+  getNeighbors(id, filter = {}) {
+    return (this._edges.get(id) || [])
+      .filter(edge => !filter.relation || edge.relation === filter.relation)
+      .map(edge => ({ node: this._nodes.get(edge.to), relation: edge.relation }))
+      .filter(({ node }) => !filter.type || node.type === filter.type);
+  }
+
+  /**
+   * Number of nodes in the graph
+   * @returns {number}
+   */
+  size() {
+    return this._nodes.size;
+  }
+
+  /**
+   * Serializes the graph
+   * @param {Function} [serializeNode] - Maps a node to the properties to store
+   *   (default: every property); `id` and `type` are always stored
+   * @returns {{nodes: Array<Object>, edges: Array<Array<string>>}} - Edges as `[from, to, relation]`, each once
+   */
+  toJSON(serializeNode = node => node) {
+    const nodes = [...this._nodes.values()].map(node => ({ ...serializeNode(node), id: node.id, type: node.type }));
+    const edges = [];
+    const seen = new Set();
+
+    for (const [from, list] of this._edges) {
+      for (const { to, relation } of list) {
+        if (!seen.has(`${to}\u0000${from}`)) {
+          seen.add(`${from}\u0000${to}`);
+          edges.push([from, to, relation]);
+        }
+      }
+    }
+
+    return { nodes, edges };
+  }
+
+  /**
+   * Restores a graph serialized with toJSON
+   * @static
+   * @param {Object} json - Output of toJSON
+   * @param {Function} [hydrateNode] - Returns extra properties for a stored node (e.g. its data)
+   * @returns {EntityGraph}
+   */
+  static fromJSON(json, hydrateNode = () => ({})) {
+    const graph = new EntityGraph();
+    for (const { id, type, ...properties } of json.nodes) {
+      graph.addNode(id, type, { ...properties, ...hydrateNode({ id, type, ...properties }) });
+    }
+    for (const [from, to, relation] of json.edges) {
+      graph.addEdge(from, to, relation);
+    }
+    return graph;
+  }
+}
+
+// ES Module export
+export { EntityGraph };
+
+// CommonJS export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { EntityGraph };
+}
+
+// Browser global
+if (typeof window !== 'undefined') {
+  window.EntityGraph = EntityGraph;
+}
@@ -0,0 +1,232 @@
+/**
+ * EntityRecognizer Class
+ *
+ * Finds named entities in a query using a gazetteer built from the knowledge
+ * base itself: technologies, companies, project names, award titles and
+ * certification names. Years are recognized by pattern, since any year can
+ * fall inside a role's date range. Each match is returned with its type and
+ * its character span in the query.
+ */
+
+class EntityRecognizer {
+  /**
+   * Entity types, in the order they are reported for equal spans
+   * @static
+   */
+  static TYPES = ['project', 'award', 'certification', 'company', 'technology', 'year'];
+
+  /**
+   * Trailing words that may be left off an entry name ("the Kill Switch" for
+   * "Kill Switch Mechanism")
+   * @static
+   */
+  static GENERIC_NAME_WORDS = ['script', 'tool', 'mechanism', 'framework', 'project', 'system', 'award', 'certification'];
+
+  /**
+   * Creates an empty recognizer
+   */
+  constructor() {
+    // alias (lowercase) -> [{ type, value }]
+    this._gazetteer = new Map();
+    this._values = new Map();
+  }
+
+  /**
+   * Builds a recognizer from a KnowledgeBase's current data
+   * @static
+   * @param {KnowledgeBase} knowledgeBase - The knowledge base to read names from
+   * @returns {EntityRecognizer}
+   */
+  static fromKnowledgeBase(knowledgeBase) {
+    const recognizer = new EntityRecognizer();
+    const entries = category => {
+      const data = knowledgeBase.getByCategory(category);
+      return Array.isArray(data) ? data : [];
+    };
+
+    for (const project of entries('projects')) {
+      recognizer.add('project', project.name);
+    }
+    for (const award of entries('awards')) {
+      recognizer.add('award', award.title);
+    }
+    for (const certification of entries('certifications')) {
+      recognizer.add('certification', certification.name);
+    }
+
+    const personal = knowledgeBase.getByCategory('personal');
+    for (const company of [personal && personal.company, ...entries('experience').map(role => role.company)]) {
+      recognizer.add('company', company);
+    }
+
+    for (const category of knowledgeBase.getAllCategories()) {
+      for (const entry of entries(category)) {
+        if (entry && Array.isArray(entry.technologies)) {
+          entry.technologies.forEach(technology => recognizer.add('technology', technology));
+        }
+      }
+    }
+    const skills = knowledgeBase.getByCategory('skills');
+    if (skills && typeof skills === 'object') {
+      for (const list of Object.values(skills)) {
+        if (Array.isArray(list)) {
+          list.forEach(skill => recognizer.add('technology', skill));
+        }
+      }
+    }
+
+    return recognizer;
+  }
+
+  /**
+   * Adds a name to the gazetteer under all of its aliases
+   * @param {string} type - Entity type (see EntityRecognizer.TYPES)
+   * @param {string} value - The name as written in the data
+   * @returns {EntityRecognizer} - This recognizer, for chaining
+   */
+  add(type, value) {
+    if (typeof value !== 'string' || !value.trim()) {
+      return this;
+    }
+
+    if (!this._values.has(type)) {
+      this._values.set(type, []);
+    }
+    if (!this._values.get(type).includes(value)) {
+      this._values.get(type).push(value);
+    }
+
+    for (const alias of this._getAliases(type, value)) {
+      const targets = this._gazetteer.get(alias) || [];
+      if (!targets.some(target => target.type === type)) {
+        targets.push({ type, value });
+      }
+      this._gazetteer.set(alias, targets);
+    }
+    return this;
+  }
+
+  /**
+   * Returns every name of one type, as written in the data
+   * @param {string} type - Entity type
+   * @returns {string[]}
+   */
+  getValues(type) {
+    return [...(this._values.get(type) || [])];
+  }
+
+  /**
+   * Finds the entities mentioned in a text
+   * Longer names win over names they contain ("Python for Automation" over
+   * "Python"), and matched spans never overlap.
+   * @param {string} text - The text to scan
+   * @param {Object} [options] - Recognition options
+   * @param {string[]} [options.types] - Only report these types
+   * @returns {Array<{type: string, value: string|number, text: string, start: number, end: number}>}
+   *   - Entities in order of appearance; `end` is exclusive
+   */
+  recognize(text, options = {}) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+
+    const lowered = text.toLowerCase();
+    const taken = [];
+    const entities = [];
+    const isFree = (start, end) => taken.every(([from, to]) => end <= from || start >= to);
+
+    const aliases = [...this._gazetteer.keys()].sort((a, b) => b.length - a.length);
+    for (const alias of aliases) {
+      const pattern = new RegExp(`(?<![\\w-])${this._escapeRegex(alias)}(?![\\w-])`, 'g');
+      for (const match of lowered.matchAll(pattern)) {
+        const start = match.index;
+        const end = start + alias.length;
+        if (!isFree(start, end)) {
+          continue;
+        }
+
+        taken.push([start, end]);
+        for (const { type, value } of this._gazetteer.get(alias)) {
+          entities.push({ type, value, text: text.slice(start, end), start, end });
+        }
+      }
+    }
+
+    for (const match of lowered.matchAll(/\b(?:19|20)\d{2}\b/g)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (isFree(start, end)) {
+        entities.push({ type: 'year', value: Number(match[0]), text: match[0], start, end });
+      }
+    }
+
+    const typeOrder = type => EntityRecognizer.TYPES.indexOf(type);
+    return entities
+      .filter(entity => !options.types || options.types.includes(entity.type))
+      .sort((a, b) => a.start - b.start || typeOrder(a.type) - typeOrder(b.type));
+  }
+
+  /**
+   * Returns the number of aliases in the gazetteer
+   * @returns {number}
+   */
+  size() {
+    return this._gazetteer.size;
+  }
+
+  /**
+   * Derives the lowercase forms a name may be written in
+   * Both halves of "BDD (Behavior Driven Development)" are aliases; companies
+   * also match on their first word ("WERP" for "WERP-India"); entry names may
+   * leave off a generic last word.
+   * @private
+   * @param {string} type - Entity type
+   * @param {string} value - The name as written in the data
+   * @returns {string[]}
+   */
+  _getAliases(type, value) {
+    const normalize = form => form.toLowerCase().replace(/\s+/g, ' ').trim();
+    const parenthesized = /^(.*?)\s*\(([^)]*)\)\s*$/.exec(value);
+    const forms = parenthesized ? [parenthesized[1], parenthesized[2], value] : [value];
+    const aliases = forms.map(normalize);
+
+    if (type === 'company') {
+      const firstWord = aliases[0].split(/[^a-z0-9]+/).find(Boolean);
+      if (firstWord && firstWord.length >= 3) {
+        aliases.push(firstWord);
+      }
+    }
+
+    if (type === 'project' || type === 'award' || type === 'certification') {
+      const words = aliases[0].split(' ');
+      if (words.length > 2 && EntityRecognizer.GENERIC_NAME_WORDS.includes(words[words.length - 1])) {
+        aliases.push(words.slice(0, -1).join(' '));
+      }
+    }
+
+    return [...new Set(aliases.filter(alias => alias.length > 1))];
+  }
+
+  /**
+   * Escapes special regex characters in a string
+   * @private
+   * @param {string} str - String to escape
+   * @returns {string}
+   */
+  _escapeRegex(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+// ES Module export
+export { EntityRecognizer };
+
+// CommonJS export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { EntityRecognizer };
+}
+
+// Browser global
+if (typeof window !== 'undefined') {
+  window.EntityRecognizer = EntityRecognizer;
+}
@@ -0,0 +1,44 @@
+import { EntityRecognizer } from './EntityRecognizer.js';
+import { KnowledgeBase } from './KnowledgeBase.js';
+import { knowledgeBase as data } from './knowledge-base.js';
+
+describe('EntityRecognizer', () => {
+  const recognizer = EntityRecognizer.fromKnowledgeBase(new KnowledgeBase(data));
+
+  test('builds its gazetteer from the knowledge base', () => {
+    expect(recognizer.getValues('project')).toEqual(data.projects.map(project => project.name));
+    expect(recognizer.getValues('company')).toEqual(['Amazon', 'WERP-India']);
+    expect(recognizer.getValues('technology')).toEqual(expect.arrayContaining(['Python', 'Playwright', 'Pytest']));
+  });
+
+  test('returns typed entities with their spans', () => {
+    expect(recognizer.recognize('Tell me about the Kill Switch Mechanism')).toEqual([
+      { type: 'project', value: 'Kill Switch Mechanism', text: 'Kill Switch Mechanism', start: 18, end: 39 }
+    ]);
+  });
+
+  test('recognizes companies, years and technologies', () => {
+    expect(recognizer.recognize('what did you do at WERP in 2022 with python')).toEqual([
+      { type: 'company', value: 'WERP-India', text: 'WERP', start: 19, end: 23 },
+      { type: 'year', value: 2022, text: '2022', start: 27, end: 31 },
+      { type: 'technology', value: 'Python', text: 'python', start: 37, end: 43 }
+    ]);
+  });
+
+  test('accepts entry names without their generic last word', () => {
+    expect(recognizer.recognize('the kill switch')[0]).toMatchObject({ type: 'project', value: 'Kill Switch Mechanism' });
+  });
+
+  test('prefers the longest name and never overlaps spans', () => {
+    expect(recognizer.recognize('python for automation').map(entity => entity.value)).toEqual(['Python for Automation']);
+  });
+
+  test('filters by type', () => {
+    expect(recognizer.recognize('python at amazon in 2023', { types: ['company'] }).map(entity => entity.value))
+      .toEqual(['Amazon']);
+  });
+
+  test('only treats plausible years as years', () => {
+    expect(new EntityRecognizer().recognize('in 2019 and 1850').map(entity => entity.value)).toEqual([2019]);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * ExperienceTimeline Class
+ *
+ * Answers temporal questions about the experience category: which roles fall
+ * in a period, the most recent role, tenure per company, total experience and
+ * overlapping roles. Durations are parsed with DateRange when the timeline is
+ * created, and "Present" resolves to the date it is given.
+ */
+
+import { DateRange } from './DateRange.js';
+
+class ExperienceTimeline {
+  /**
+   * Parses experience entries into a timeline
+   * Entries whose duration cannot be parsed are left out.
+   * @param {Array<Object>} experience - Entries of the experience category
+   * @param {Date} [now] - Date that "Present" durations resolve to (default: the current date)
+   */
+  constructor(experience, now = new Date()) {
+    this.entries = (Array.isArray(experience) ? experience : [])
+      .map(entry => ({ data: entry, range: DateRange.parse(entry.duration, now) }))
+      .filter(item => item.range !== null)
+      .map(item => ({ ...item, months: item.range.getMonths() }))
+      .sort((a, b) => b.range.endIndex - a.range.endIndex || b.range.startIndex - a.range.startIndex);
+  }
+
+  /**
+   * Returns the roles held at any point within a period
+   * @param {Date|number|string} start - Period start (a number is a year, e.g. 2022)
+   * @param {Date|number|string} [end=start] - Period end, inclusive
+   * @returns {Array<{data: Object, range: DateRange, months: number, overlap: DateRange}>} - Most recent first;
+   *   `overlap` is the part of the role inside the period
+   */
+  getInRange(start, end = start) {
+    const period = DateRange.between(start, end);
+    if (!period) {
+      return [];
+    }
+
+    return this.entries
+      .filter(item => item.range.overlaps(period))
+      .map(item => ({ ...item, overlap: item.range.intersect(period) }));
+  }
+
+  /**
+   * Returns the most recent role, preferring one that is still ongoing
+   * @returns {{data: Object, range: DateRange, months: number}|null}
+   */
+  getMostRecent() {
+    return this.entries[0] || null;
+  }
+
+  /**
+   * Computes how long was spent at a company, across all of its roles
+   * Overlapping roles at the same company are only counted once.
+   * @param {string} company - Company name, matched case-insensitively by prefix (e.g. "werp")
+   * @returns {{company: string, months: number, ranges: DateRange[], roles: Array}|null} - Tenure, or null if unknown
+   */
+  getTenure(company) {
+    if (!company || typeof company !== 'string') {
+      return null;
+    }
+
+    const needle = company.toLowerCase().trim();
+    const roles = this.entries.filter(item => {
+      const name = String(item.data.company || '').toLowerCase();
+      return name === needle || name.startsWith(needle);
+    });
+
+    if (roles.length === 0) {
+      return null;
+    }
+
+    const ranges = DateRange.merge(roles.map(item => item.range));
+    return {
+      company: roles[0].data.company,
+      months: ranges.reduce((total, range) => total + range.getMonths(), 0),
+      ranges,
+      roles
+    };
+  }
+
+  /**
+   * Computes total experience, counting overlapping roles once
+   * @returns {{months: number, ranges: DateRange[]}} - Total months and the merged periods
+   */
+  getTotal() {
+    const ranges = DateRange.merge(this.entries.map(item => item.range));
+    return {
+      months: ranges.reduce((total, range) => total + range.getMonths(), 0),
+      ranges
+    };
+  }
+
+  /**
+   * Lists every pair of roles that were held at the same time
+   * A role starting in the month the other one ended is a handover, not an overlap.
+   * @returns {Array<{roles: Array, overlap: DateRange}>} - Overlapping pairs with the shared period
+   */
+  getOverlaps() {
+    const timeline = this.entries;
+    const overlaps = [];
+
+    for (let i = 0; i < timeline.length; i++) {
+      for (let j = i + 1; j < timeline.length; j++) {
+        const overlap = timeline[i].range.intersect(timeline[j].range);
+        const isHandover = overlap && overlap.getMonths() === 1 &&
+          (timeline[i].range.startIndex === timeline[j].range.endIndex ||
+            timeline[j].range.startIndex === timeline[i].range.endIndex);
+        if (overlap && !isHandover) {
+          overlaps.push({ roles: [timeline[i], timeline[j]], overlap });
+        }
+      }
+    }
+
+    return overlaps;
+  }
+}
+
+// ES Module export
+export { ExperienceTimeline };
+
+// CommonJS export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ExperienceTimeline };
+}
+
+// Browser global
+if (typeof window !== 'undefined') {
+  window.ExperienceTimeline = ExperienceTimeline;
+}
@@ -0,0 +1,68 @@
+import { ExperienceTimeline } from './ExperienceTimeline.js';
+import { knowledgeBase as data } from './knowledge-base.js';
+
+describe('ExperienceTimeline', () => {
+  const timeline = new ExperienceTimeline(data.experience, new Date('2025-06-15'));
+
+  test('orders the roles most recent first', () => {
+    expect(timeline.entries.map(item => item.data.title)).toEqual([
+      'Quality Assurance Technician',
+      'Device Associate',
+      'Assistant National Director (Intern)'
+    ]);
+  });
+
+  test('finds the roles held in 2022', () => {
+    expect(timeline.getInRange(2022).map(item => item.data.company)).toEqual(['Amazon', 'WERP-India']);
+    expect(timeline.getInRange(2025).map(item => item.data.title)).toEqual(['Quality Assurance Technician']);
+  });
+
+  test('returns the ongoing role as the most recent one', () => {
+    const recent = timeline.getMostRecent();
+
+    expect(recent.data.title).toBe('Quality Assurance Technician');
+    expect(recent.range.isCurrent).toBe(true);
+  });
+
+  test('computes tenure per company across its roles', () => {
+    const amazon = timeline.getTenure('amazon');
+
+    expect(amazon.company).toBe('Amazon');
+    expect(amazon.months).toBe(50);
+    expect(amazon.roles).toHaveLength(2);
+    expect(timeline.getTenure('werp').months).toBe(43);
+    expect(timeline.getTenure('google')).toBeNull();
+  });
+
+  test('counts overlapping roles once in the total', () => {
+    const total = timeline.getTotal();
+
+    expect(total.months).toBe(75);
+    expect(total.ranges.map(range => range.format())).toEqual(['Apr 2019 - Present']);
+  });
+
+  test('reports the 18-month overlap between WERP-India and Amazon', () => {
+    const overlaps = timeline.getOverlaps();
+
+    expect(overlaps).toHaveLength(1);
+    expect(overlaps[0].roles.map(item => item.data.company).sort()).toEqual(['Amazon', 'WERP-India']);
+    expect(overlaps[0].overlap.format()).toBe('May 2021 - Oct 2022');
+    expect(overlaps[0].overlap.getMonths()).toBe(18);
+  });
+
+  test('treats a handover month as no overlap', () => {
+    const handover = new ExperienceTimeline([
+      { title: 'New', company: 'B', duration: 'Apr 2024 - Present' },
+      { title: 'Old', company: 'A', duration: 'Jan 2023 - Apr 2024' }
+    ], new Date('2025-06-15'));
+
+    expect(handover.getOverlaps()).toEqual([]);
+  });
+
+  test('leaves out durations it cannot parse', () => {
+    const partial = new ExperienceTimeline([{ title: 'Role', company: 'X', duration: 'a while' }]);
+
+    expect(partial.entries).toEqual([]);
+    expect(partial.getMostRecent()).toBeNull();
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * ImpactResponder Class
+ *
+ * Recognizes and answers the QueryProcessor's questions about how much time
+ * or money the projects saved, from the yearly totals the knowledge base
+ * computes out of the project metrics.
+ */
+
+import { MetricNormalizer } from './MetricNormalizer.js';
+
+class ImpactResponder {
+  /**
+   * @param {KnowledgeBase} knowledgeBase - The knowledge base to answer from
+   */
+  constructor(knowledgeBase) {
+    this.knowledgeBase = knowledgeBase;
+  }
+
+  /**
+   * Recognizes questions about how much time or money the projects saved
+   * @param {string} query - The normalized query
+   * @returns {{measure: string}|null} - `measure` is 'money', 'time', or 'all'; null for other queries
+   */
+  parse(query) {
+    if (!query) {
+      return null;
+    }
+
+    const asksHowMuch = /\bhow (?:much|many)\b.*\b(?:save|saved|saves|saving|savings)\b/.test(query);
+    const asksForTotal = /\b(?:total|overall|combined|annual|yearly)\s+(?:savings|impact|time saved|hours saved|cost savings)\b/.test(query) ||
+      /\b(?:time|money|hours|cost|dollars)\s+(?:saved|savings)\b/.test(query);
+
+    if (!asksHowMuch && !asksForTotal) {
+      return null;
+    }
+
+    const asksTime = /\b(?:time|hours?|days?)\b/.test(query);
+    const asksMoney = /\b(?:money|cost|costs|dollars?|budget)\b|\$/.test(query);
+    if (asksTime !== asksMoney) {
+      return { measure: asksTime ? 'time' : 'money' };
+    }
+    return { measure: 'all' };
+  }
+
+  /**
+   * Formats yearly savings totals computed from the project metrics
+   * @param {{measure: string}} impact - Parsed savings question (see parse)
+   * @returns {string}
+   */
+  respond(impact) {
+    const { totals, other } = this.knowledgeBase.aggregateMetrics();
+    const selected = impact.measure === 'all'
+      ? totals
+      : totals.filter(total => total.kind === impact.measure);
+
+    if (selected.length === 0) {
+      const measure = { money: 'cost savings', time: 'time savings' }[impact.measure] || 'savings';
+      return `I don't have any ${measure} figures recorded for Dinakaran's projects yet. Ask me about the projects themselves!`;
+    }
+
+    const labels = { money: '💰 Cost savings', time: '⏱️ Time saved', count: '📊 Other' };
+    let response = `Across Dinakaran's projects, automation saves ${selected.map(total => `**${total.text} per year**`).join(' and ')}:\n\n`;
+
+    for (const total of selected) {
+      response += `${labels[total.kind] || total.kind}: ${total.text}/year\n`;
+      for (const { project, metric, perYear } of total.contributions) {
+        const period = metric.period === 'day' ? 'working day' : metric.period;
+        const source = metric.period === 'year' ? '' : ` (${metric.text} per ${period})`;
+        response += `• ${project.name}: ${MetricNormalizer.format(perYear, metric.kind, metric.unit)}/year${source}\n`;
+      }
+      response += '\n';
+    }
+
+    if (impact.measure === 'all' && other.length > 0) {
+      response += `Other results: ${other.map(({ project, metric }) => `${project.name} (${metric.text} ${metric.key})`).join(', ')}.`;
+    }
+
+    return response.trim();
+  }
+}
+
+// ES Module export
+export { ImpactResponder };
+
+// CommonJS export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ImpactResponder };
+}
+
+// Browser global
+if (typeof window !== 'undefined') {
+  window.ImpactResponder = ImpactResponder;
+}
@@ -0,0 +1,244 @@
+/**
+ * IntentClassifier Class
+ *
+ * Multinomial naive Bayes over stemmed word n-grams, trained from labelled
+ * example utterances (intent-examples.json). A trained model can be exported as
+ * JSON (build-intent-model.js), so the browser loads the counts instead of
+ * retraining; the export records a hash of the examples so a stale model can be
+ * spotted. QueryProcessor consults it before its hand-written intent
+ * patterns and falls back to them when the classifier is not confident.
+ */
+
+import { PorterStemmer } from './PorterStemmer.js';
+
+class IntentClassifier {
+  /**
+   * Identifies serialized models
+   * @static
+   */
+  static MODEL_FORMAT = 'portfolio-chatbot-intent-model';
+
+  /**
+   * Serialized model version; bumped when the feature extraction changes
+   * @static
+   */
+  static MODEL_VERSION = 1;
+
+  /**
+   * Creates an untrained classifier
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.ngramSize=2] - Longest word n-gram used as a feature
+   * @param {number} [options.alpha=0.1] - Additive smoothing; kept small because the
+   *   example utterances are short and a full count would swamp them
+   */
+  constructor(options = {}) {
+    this.ngramSize = options.ngramSize || 2;
+    this.alpha = options.alpha !== undefined ? options.alpha : 0.1;
+
+    // intent -> { documents, total, features: Map(feature -> count) }
+    this._classes = new Map();
+    this._vocabulary = new Set();
+    this._documents = 0;
+  }
+
+  /**
+   * Trains on labelled utterances, adding to any earlier training
+   * @param {Object<string, string[]>} examples - Example utterances per intent
+   * @returns {IntentClassifier} - This classifier, for chaining
+   */
+  train(examples) {
+    if (!examples || typeof examples !== 'object') {
+      throw new TypeError('IntentClassifier.train expects an object of utterances per intent');
+    }
+
+    for (const [intent, utterances] of Object.entries(examples)) {
+      if (!Array.isArray(utterances)) {
+        throw new TypeError(`Examples for intent "${intent}" must be an array of strings`);
+      }
+      for (const utterance of utterances) {
+        this._addDocument(intent, this.extractFeatures(utterance));
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Classifies an utterance
+   * @param {string} text - The utterance
+   * @returns {{intent: string|null, confidence: number, scores: Object<string, number>}} - The most
+   *   probable intent and its posterior probability; `intent` is null when the model is untrained
+   *   or none of the utterance's features were seen in training
+   */
+  classify(text) {
+    const features = this.extractFeatures(text).filter(feature => this._vocabulary.has(feature));
+    if (this._documents === 0 || features.length === 0) {
+      return { intent: null, confidence: 0, scores: {} };
+    }
+
+    const vocabularySize = this._vocabulary.size;
+    const logScores = {};
+    for (const [intent, data] of this._classes) {
+      let score = Math.log(data.documents / this._documents);
+      const denominator = data.total + this.alpha * vocabularySize;
+      for (const feature of features) {
+        score += Math.log(((data.features.get(feature) || 0) + this.alpha) / denominator);
+      }
+      logScores[intent] = score;
+    }
+
+    // Normalize the log scores into probabilities (log-sum-exp for stability)
+    const max = Math.max(...Object.values(logScores));
+    const sum = Object.values(logScores).reduce((total, score) => total + Math.exp(score - max), 0);
+    const scores = {};
+    let best = null;
+    for (const [intent, score] of Object.entries(logScores)) {
+      scores[intent] = Math.exp(score - max) / sum;
+      if (best === null || scores[intent] > scores[best]) {
+        best = intent;
+      }
+    }
+
+    return { intent: best, confidence: scores[best], scores };
+  }
+
+  /**
+   * Turns an utterance into stemmed word n-grams ("where did you build" ->
+   * "where", "did", ..., "where did", "did you", ...)
+   * @param {string} text - The utterance
+   * @returns {string[]} - Features, repeated as often as they occur
+   */
+  extractFeatures(text) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+
+    const words = (text.toLowerCase().match(/[a-z0-9#+]+/g) || []).map(word => PorterStemmer.stem(word));
+    const features = [];
+    for (let size = 1; size <= this.ngramSize; size++) {
+      for (let i = 0; i + size <= words.length; i++) {
+        features.push(words.slice(i, i + size).join(' '));
+      }
+    }
+    return features;
+  }
+
+  /**
+   * Returns the intents the classifier was trained on
+   * @returns {string[]}
+   */
+  getIntents() {
+    return [...this._classes.keys()];
+  }
+
+  /**
+   * Serializes the trained counts
+   * @returns {Object} - JSON-safe model (see IntentClassifier.fromJSON)
+   */
+  toJSON() {
+    const classes = {};
+    for (const [intent, data] of this._classes) {
+      classes[intent] = { documents: data.documents, features: Object.fromEntries(data.features) };
+    }
+
+    return {
+      format: IntentClassifier.MODEL_FORMAT,
+      version: IntentClassifier.MODEL_VERSION,
+      ngramSize: this.ngramSize,
+      alpha: this.alpha,
+      classes
+    };
+  }
+
+  /**
+   * Restores a classifier serialized with toJSON
+   * @static
+   * @param {Object} json - Serialized model
+   * @returns {IntentClassifier}
+   * @throws {Error} - If the model has an unknown format or version
+   */
+  static fromJSON(json) {
+    if (!json || json.format !== IntentClassifier.MODEL_FORMAT) {
+      throw new Error('Not a portfolio chatbot intent model');
+    }
+    if (json.version !== IntentClassifier.MODEL_VERSION) {
+      throw new Error(`Unsupported intent model version ${json.version} (expected ${IntentClassifier.MODEL_VERSION})`);
+    }
+
+    const classifier = new IntentClassifier({ ngramSize: json.ngramSize, alpha: json.alpha });
+    for (const [intent, data] of Object.entries(json.classes || {})) {
+      const features = new Map(Object.entries(data.features || {}));
+      const total = [...features.values()].reduce((sum, count) => sum + count, 0);
+      classifier._classes.set(intent, { documents: data.documents, total, features });
+      classifier._documents += data.documents;
+      features.forEach((count, feature) => classifier._vocabulary.add(feature));
+    }
+    return classifier;
+  }
+
+  /**
+   * Computes the examples hash stored in exported models (32-bit FNV-1a, hex)
+   * @static
+   * @param {Object<string, string[]>} examples - Example utterances per intent
+   * @returns {string} - e.g. "fnv1a-3b2f9c1d"
+   */
+  static computeExamplesHash(examples) {
+    const content = JSON.stringify(examples);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < content.length; i++) {
+      hash ^= content.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return `fnv1a-${(hash >>> 0).toString(16).padStart(8, '0')}`;
+  }
+
+  /**
+   * Explains why an exported model cannot be used
+   * @static
+   * @param {Object} model - Serialized model
+   * @param {Object<string, string[]>|null} [examples] - Current example utterances, if known
+   * @returns {string|null} - The problem, or null if the model is current
+   */
+  static findModelProblem(model, examples = null) {
+    try {
+      IntentClassifier.fromJSON(model);
+    } catch (error) {
+      return error.message;
+    }
+    if (examples && model.examplesHash !== IntentClassifier.computeExamplesHash(examples)) {
+      return 'model is stale (the intent examples have changed)';
+    }
+    return null;
+  }
+
+  /**
+   * Counts one training utterance
+   * @private
+   */
+  _addDocument(intent, features) {
+    if (!this._classes.has(intent)) {
+      this._classes.set(intent, { documents: 0, total: 0, features: new Map() });
+    }
+
+    const data = this._classes.get(intent);
+    data.documents++;
+    this._documents++;
+    for (const feature of features) {
+      data.features.set(feature, (data.features.get(feature) || 0) + 1);
+      data.total++;
+      this._vocabulary.add(feature);
+    }
+  }
+}
+
+// ES Module export
+export { IntentClassifier };
+
+// CommonJS export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { IntentClassifier };
+}
+
+// Browser global
+if (typeof window !== 'undefined') {
+  window.IntentClassifier = IntentClassifier;
+}
@@ -0,0 +1,96 @@
+import { jest } from '@jest/globals';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { IntentClassifier } from './IntentClassifier.js';
+import { buildIntentModel } from './build-intent-model.js';
+
+const readJson = name => JSON.parse(readFileSync(new URL(name, import.meta.url), 'utf8'));
+
+describe('IntentClassifier', () => {
+  const { intents } = readJson('./intent-examples.json');
+  const classifier = new IntentClassifier().train(intents);
+
+  test('trains on the bundled examples', () => {
+    expect(classifier.getIntents()).toEqual(Object.keys(intents));
+  });
+
+  test.each([
+    ['where did you build this?', 'projects'],
+    ['what do colleagues say about you', 'testimonials'],
+    ['how can I reach you', 'contact']
+  ])('classifies "%s" as %s', (text, intent) => {
+    const result = classifier.classify(text);
+
+    expect(result.intent).toBe(intent);
+    expect(result.confidence).toBeGreaterThan(0.9);
+  });
+
+  test('returns probabilities that sum to 1', () => {
+    const { scores } = classifier.classify('tell me about your awards');
+    const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+
+    expect(total).toBeCloseTo(1);
+  });
+
+  test('has no intent for unseen words or before training', () => {
+    expect(classifier.classify('zzz qqq').intent).toBeNull();
+    expect(new IntentClassifier().classify('hello')).toEqual({ intent: null, confidence: 0, scores: {} });
+  });
+
+  test('extracts stemmed word n-grams', () => {
+    expect(classifier.extractFeatures('Testing tools')).toEqual(['test', 'tool', 'test tool']);
+  });
+
+  test('rejects malformed examples', () => {
+    expect(() => new IntentClassifier().train({ greet: 'hello' }))
+      .toThrow('Examples for intent "greet" must be an array of strings');
+  });
+
+  describe('serialization', () => {
+    test('classifies identically after a JSON round trip', () => {
+      const restored = IntentClassifier.fromJSON(JSON.parse(JSON.stringify(classifier.toJSON())));
+
+      for (const text of ['where did you build this?', 'are you certified', 'hi']) {
+        expect(restored.classify(text)).toEqual(classifier.classify(text));
+      }
+    });
+
+    test('rejects unknown formats and versions', () => {
+      expect(() => IntentClassifier.fromJSON({ format: 'other' })).toThrow('Not a portfolio chatbot intent model');
+      expect(() => IntentClassifier.fromJSON({ ...classifier.toJSON(), version: 99 }))
+        .toThrow('Unsupported intent model version 99');
+    });
+
+    test('spots stale and unusable models', () => {
+      const model = { ...classifier.toJSON(), examplesHash: IntentClassifier.computeExamplesHash(intents) };
+
+      expect(IntentClassifier.findModelProblem(model, intents)).toBeNull();
+      expect(IntentClassifier.findModelProblem(model)).toBeNull();
+      expect(IntentClassifier.findModelProblem(model, { ...intents, greeting: ['hi'] }))
+        .toBe('model is stale (the intent examples have changed)');
+      expect(IntentClassifier.findModelProblem(classifier.toJSON(), intents))
+        .toBe('model is stale (the intent examples have changed)');
+      expect(IntentClassifier.findModelProblem({ format: 'other' })).toBe('Not a portfolio chatbot intent model');
+    });
+
+    test('build-intent-model exports the committed model', () => {
+      const directory = mkdtempSync(join(tmpdir(), 'intent-model-'));
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      try {
+        const outputPath = join(directory, 'model.json');
+        buildIntentModel(outputPath);
+        const restored = IntentClassifier.fromJSON(JSON.parse(readFileSync(outputPath, 'utf8')));
+
+        expect(restored.classify('where did you build this?').intent).toBe('projects');
+        expect(JSON.parse(readFileSync(outputPath, 'utf8'))).toEqual(readJson('./intent-model.json'));
+      } finally {
+        log.mockRestore();
+        warn.mockRestore();
+        rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  });
+});
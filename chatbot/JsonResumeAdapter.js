@@ -0,0 +1,447 @@
+/**
+ * JsonResumeAdapter Class
+ * 
+ * Converts between JSON Resume documents (https://jsonresume.org/schema) and the
+ * knowledge base shape used by KnowledgeBase. Both directions report the source
+ * fields they could not carry over, as JSON paths into the source document.
+ * 
+ * Mapping:
+ * - basics → personal and contact
+ * - work → experience
+ * - skills → skills (one group per skill entry, keyed by its camelCased name)
+ * - projects → projects
+ * - awards → awards
+ * - certificates → certifications
+ * - references → testimonials
+ */
+
+import { DateRange } from './DateRange.js';
+
+class JsonResumeAdapter {
+  /**
+   * JSON Resume sections with no knowledge base counterpart
+   * @static
+   */
+  static UNSUPPORTED_SECTIONS = ['education', 'volunteer', 'publications', 'languages', 'interests', 'meta'];
+
+  /**
+   * Checks whether a document looks like a JSON Resume rather than knowledge base data
+   * @static
+   * @param {*} document - Parsed JSON document
+   * @returns {boolean}
+   */
+  static isJsonResume(document) {
+    return typeof document === 'object' && document !== null && !Array.isArray(document) &&
+      (document.basics !== undefined || document.work !== undefined || document.$schema !== undefined) &&
+      document.personal === undefined;
+  }
+
+  /**
+   * Converts a JSON Resume document to knowledge base data
+   * @static
+   * @param {Object} resume - JSON Resume document
+   * @returns {{data: Object, unmapped: string[]}} - Knowledge base data and the resume fields left out
+   */
+  static fromJsonResume(resume) {
+    if (!resume || typeof resume !== 'object') {
+      throw new Error('JsonResumeAdapter requires a JSON Resume object');
+    }
+
+    const unmapped = [];
+    const data = {};
+    const basics = resume.basics || {};
+    const work = Array.isArray(resume.work) ? resume.work : [];
+
+    // Sections and fields the knowledge base has no place for
+    for (const key of Object.keys(resume)) {
+      if (!['basics', 'work', 'skills', 'projects', 'awards', 'certificates', 'references', '$schema'].includes(key)) {
+        unmapped.push(key);
+      }
+    }
+
+    // basics → personal
+    const currentWork = work.find(job => !job.endDate) || work[0];
+    const location = JsonResumeAdapter._formatLocation(basics.location);
+    data.personal = JsonResumeAdapter._compact({
+      name: basics.name,
+      role: basics.label,
+      company: currentWork ? currentWork.name : undefined,
+      location,
+      summary: basics.summary
+    });
+
+    // basics → contact
+    const profiles = Array.isArray(basics.profiles) ? basics.profiles : [];
+    const linkedin = profiles.find(profile => /linkedin/i.test(profile.network || ''));
+    const github = profiles.find(profile => /github/i.test(profile.network || ''));
+    data.contact = JsonResumeAdapter._compact({
+      email: basics.email,
+      linkedin: linkedin ? linkedin.url : undefined,
+      github: github ? github.url : undefined,
+      location
+    });
+
+    for (const key of ['phone', 'url', 'image']) {
+      if (basics[key] !== undefined) {
+        unmapped.push(`basics.${key}`);
+      }
+    }
+    profiles.forEach((profile, index) => {
+      if (profile !== linkedin && profile !== github) {
+        unmapped.push(`basics.profiles[${index}]`);
+      }
+    });
+    JsonResumeAdapter._reportExtraKeys(basics.location, ['address', 'postalCode', 'city', 'countryCode', 'region'], 'basics.location', unmapped);
+    JsonResumeAdapter._reportExtraKeys(basics, ['name', 'label', 'email', 'summary', 'location', 'profiles', 'phone', 'url', 'image'], 'basics', unmapped);
+
+    // work → experience
+    if (work.length > 0) {
+      data.experience = work.map((job, index) => {
+        const path = `work[${index}]`;
+        JsonResumeAdapter._reportExtraKeys(job, ['name', 'position', 'location', 'startDate', 'endDate', 'highlights'], path, unmapped);
+        return JsonResumeAdapter._compact({
+          title: job.position,
+          company: job.name,
+          duration: JsonResumeAdapter._formatDuration(job.startDate, job.endDate),
+          location: job.location,
+          responsibilities: job.highlights
+        });
+      });
+    }
+
+    // skills → skills groups
+    if (Array.isArray(resume.skills) && resume.skills.length > 0) {
+      data.skills = {};
+      resume.skills.forEach((skill, index) => {
+        JsonResumeAdapter._reportExtraKeys(skill, ['name', 'keywords'], `skills[${index}]`, unmapped);
+        const key = JsonResumeAdapter._toCamelCase(skill.name || `group${index + 1}`);
+        data.skills[key] = Array.isArray(skill.keywords) && skill.keywords.length > 0
+          ? [...skill.keywords]
+          : [skill.name];
+      });
+    }
+
+    // projects → projects
+    if (Array.isArray(resume.projects) && resume.projects.length > 0) {
+      data.projects = resume.projects.map((project, index) => {
+        const path = `projects[${index}]`;
+        const highlights = Array.isArray(project.highlights) ? project.highlights : [];
+        JsonResumeAdapter._reportExtraKeys(project, ['name', 'description', 'keywords', 'highlights'], path, unmapped);
+        highlights.slice(1).forEach((_, offset) => unmapped.push(`${path}.highlights[${offset + 1}]`));
+        return JsonResumeAdapter._compact({
+          name: project.name,
+          description: project.description,
+          technologies: project.keywords,
+          impact: highlights[0]
+        });
+      });
+    }
+
+    // awards → awards
+    if (Array.isArray(resume.awards) && resume.awards.length > 0) {
+      data.awards = resume.awards.map((award, index) => {
+        JsonResumeAdapter._reportExtraKeys(award, ['title', 'awarder', 'date', 'summary'], `awards[${index}]`, unmapped);
+        return JsonResumeAdapter._compact({
+          title: award.title,
+          organization: award.awarder,
+          year: JsonResumeAdapter._parseYear(award.date),
+          description: award.summary
+        });
+      });
+    }
+
+    // certificates → certifications
+    if (Array.isArray(resume.certificates) && resume.certificates.length > 0) {
+      data.certifications = resume.certificates.map((certificate, index) => {
+        JsonResumeAdapter._reportExtraKeys(certificate, ['name', 'issuer', 'date'], `certificates[${index}]`, unmapped);
+        return JsonResumeAdapter._compact({
+          name: certificate.name,
+          issuer: certificate.issuer,
+          year: JsonResumeAdapter._parseYear(certificate.date)
+        });
+      });
+    }
+
+    // references → testimonials
+    if (Array.isArray(resume.references) && resume.references.length > 0) {
+      data.testimonials = resume.references.map((reference, index) => {
+        JsonResumeAdapter._reportExtraKeys(reference, ['name', 'reference'], `references[${index}]`, unmapped);
+        return JsonResumeAdapter._compact({
+          quote: reference.reference,
+          author: reference.name
+        });
+      });
+    }
+
+    return { data, unmapped };
+  }
+
+  /**
+   * Converts knowledge base data to a JSON Resume document
+   * @static
+   * @param {Object} data - Knowledge base data
+   * @returns {{resume: Object, unmapped: string[]}} - JSON Resume document and the knowledge base fields left out
+   */
+  static toJsonResume(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('JsonResumeAdapter requires a knowledge base data object');
+    }
+
+    const unmapped = [];
+    const resume = {};
+    const personal = data.personal || {};
+    const contact = data.contact || {};
+
+    for (const key of Object.keys(data)) {
+      if (!['personal', 'contact', 'experience', 'skills', 'projects', 'awards', 'certifications', 'testimonials'].includes(key)) {
+        unmapped.push(key);
+      }
+    }
+
+    // personal + contact → basics
+    const profiles = [];
+    if (contact.linkedin) {
+      profiles.push({ network: 'LinkedIn', url: contact.linkedin });
+    }
+    if (contact.github) {
+      profiles.push({ network: 'GitHub', url: contact.github });
+    }
+    resume.basics = JsonResumeAdapter._compact({
+      name: personal.name,
+      label: personal.role,
+      email: contact.email,
+      summary: personal.summary,
+      location: JsonResumeAdapter._parseLocation(personal.location || contact.location),
+      profiles: profiles.length > 0 ? profiles : undefined
+    });
+
+    JsonResumeAdapter._reportExtraKeys(personal, ['name', 'role', 'company', 'location', 'summary'], 'personal', unmapped);
+    JsonResumeAdapter._reportExtraKeys(contact, ['email', 'linkedin', 'github', 'location'], 'contact', unmapped);
+    if (personal.location && contact.location && personal.location !== contact.location) {
+      unmapped.push('contact.location');
+    }
+
+    // experience → work
+    if (Array.isArray(data.experience)) {
+      resume.work = data.experience.map((job, index) => {
+        const path = `experience[${index}]`;
+        const dates = JsonResumeAdapter._parseDuration(job.duration);
+        if (job.duration && !dates) {
+          unmapped.push(`${path}.duration`);
+        }
+        JsonResumeAdapter._reportExtraKeys(job, ['title', 'company', 'duration', 'location', 'responsibilities'], path, unmapped);
+        return JsonResumeAdapter._compact({
+          name: job.company,
+          position: job.title,
+          location: job.location,
+          startDate: dates ? dates.startDate : undefined,
+          endDate: dates ? dates.endDate : undefined,
+          highlights: job.responsibilities
+        });
+      });
+    }
+
+    // skills groups → skills
+    if (data.skills && typeof data.skills === 'object') {
+      resume.skills = Object.entries(data.skills).map(([group, keywords]) => ({
+        name: JsonResumeAdapter._toTitleCase(group),
+        keywords: Array.isArray(keywords) ? [...keywords] : []
+      }));
+    }
+
+    // projects → projects
+    if (Array.isArray(data.projects)) {
+      resume.projects = data.projects.map((project, index) => {
+        JsonResumeAdapter._reportExtraKeys(project, ['name', 'description', 'technologies', 'impact'], `projects[${index}]`, unmapped);
+        return JsonResumeAdapter._compact({
+          name: project.name,
+          description: project.description,
+          keywords: project.technologies,
+          highlights: project.impact ? [project.impact] : undefined
+        });
+      });
+    }
+
+    // awards → awards
+    if (Array.isArray(data.awards)) {
+      resume.awards = data.awards.map((award, index) => {
+        JsonResumeAdapter._reportExtraKeys(award, ['title', 'organization', 'year', 'description'], `awards[${index}]`, unmapped);
+        return JsonResumeAdapter._compact({
+          title: award.title,
+          awarder: award.organization,
+          date: award.year !== undefined ? String(award.year) : undefined,
+          summary: award.description
+        });
+      });
+    }
+
+    // certifications → certificates
+    if (Array.isArray(data.certifications)) {
+      resume.certificates = data.certifications.map((certification, index) => {
+        JsonResumeAdapter._reportExtraKeys(certification, ['name', 'issuer', 'year'], `certifications[${index}]`, unmapped);
+        return JsonResumeAdapter._compact({
+          name: certification.name,
+          issuer: certification.issuer,
+          date: certification.year !== undefined ? String(certification.year) : undefined
+        });
+      });
+    }
+
+    // testimonials → references
+    if (Array.isArray(data.testimonials)) {
+      resume.references = data.testimonials.map((testimonial, index) => {
+        JsonResumeAdapter._reportExtraKeys(testimonial, ['quote', 'author'], `testimonials[${index}]`, unmapped);
+        return JsonResumeAdapter._compact({
+          name: testimonial.author,
+          reference: testimonial.quote
+        });
+      });
+    }
+
+    return { resume, unmapped };
+  }
+
+  // ============ Private Helper Methods ============
+
+  /**
+   * Records the keys of an object that the mapping does not carry over
+   * @private
+   * @static
+   */
+  static _reportExtraKeys(object, mappedKeys, path, unmapped) {
+    if (!object || typeof object !== 'object') {
+      return;
+    }
+    for (const key of Object.keys(object)) {
+      if (!mappedKeys.includes(key) && object[key] !== undefined) {
+        unmapped.push(`${path}.${key}`);
+      }
+    }
+  }
+
+  /**
+   * Returns a copy of an object without undefined, null or empty-string values
+   * @private
+   * @static
+   */
+  static _compact(object) {
+    const compacted = {};
+    for (const [key, value] of Object.entries(object)) {
+      if (value !== undefined && value !== null && value !== '') {
+        compacted[key] = Array.isArray(value) ? [...value] : value;
+      }
+    }
+    return compacted;
+  }
+
+  /**
+   * Formats ISO 8601 start/end dates as a duration such as "Apr 2024 - Present"
+   * @private
+   * @static
+   */
+  static _formatDuration(startDate, endDate) {
+    const start = DateRange.parseMonth(startDate || '');
+    if (start === null) {
+      return undefined;
+    }
+    const end = endDate ? DateRange.parseMonth(endDate, 'end') : null;
+    return `${DateRange.formatMonth(start)} - ${end !== null ? DateRange.formatMonth(end) : 'Present'}`;
+  }
+
+  /**
+   * Parses a duration such as "May 2021 - Apr 2024" into ISO 8601 dates
+   * @private
+   * @static
+   * @returns {{startDate: string, endDate: (string|undefined)}|null}
+   */
+  static _parseDuration(duration) {
+    const range = DateRange.parse(duration);
+    if (!range) {
+      return null;
+    }
+    const { start, end } = range.toJSON();
+    return { startDate: start, endDate: end || undefined };
+  }
+
+  /**
+   * Extracts the year from an ISO 8601 date
+   * @private
+   * @static
+   */
+  static _parseYear(isoDate) {
+    const match = /^(\d{4})/.exec(isoDate || '');
+    return match ? Number(match[1]) : undefined;
+  }
+
+  /**
+   * Formats a JSON Resume location object as "City, Region, Country"
+   * @private
+   * @static
+   */
+  static _formatLocation(location) {
+    if (!location || typeof location !== 'object') {
+      return undefined;
+    }
+    const parts = [location.city, location.region, location.countryCode].filter(Boolean);
+    return parts.length > 0 ? parts.join(', ') : undefined;
+  }
+
+  /**
+   * Parses "City, Region, Country" into a JSON Resume location object
+   * Only a trailing two-letter ISO code becomes `countryCode`; any other text
+   * after the city stays in `region`, so free text such as
+   * "Coimbatore, Tamil Nadu, India (Currently in Chennai)" formats back unchanged.
+   * @private
+   * @static
+   */
+  static _parseLocation(location) {
+    if (!location) {
+      return undefined;
+    }
+    const [city, ...rest] = location.split(/,\s*/);
+    const countryCode = rest.length > 0 && /^[A-Z]{2}$/.test(rest[rest.length - 1]) ? rest.pop() : undefined;
+    return JsonResumeAdapter._compact({
+      city,
+      region: rest.length > 0 ? rest.join(', ') : undefined,
+      countryCode
+    });
+  }
+
+  /**
+   * Converts a skill group name such as "Cloud Platforms" to "cloudPlatforms"
+   * @private
+   * @static
+   */
+  static _toCamelCase(text) {
+    const words = String(text).trim().split(/[^A-Za-z0-9]+/).filter(Boolean);
+    return words
+      .map((word, index) => index === 0
+        ? word.toLowerCase()
+        : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+      .join('');
+  }
+
+  /**
+   * Converts a skill group key such as "cloudPlatforms" to "Cloud Platforms"
+   * @private
+   * @static
+   */
+  static _toTitleCase(key) {
+    return key
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/^./, char => char.toUpperCase());
+  }
+}
+
+// ES Module export
+export { JsonResumeAdapter };
+
+// CommonJS export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { JsonResumeAdapter };
+}
+
+// Browser global
+if (typeof window !== 'undefined') {
+  window.JsonResumeAdapter = JsonResumeAdapter;
+}
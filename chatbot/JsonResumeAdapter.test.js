@@ -0,0 +1,125 @@
+import { JsonResumeAdapter } from './JsonResumeAdapter.js';
+import { KnowledgeSchema } from './KnowledgeSchema.js';
+import { knowledgeBase as data } from './knowledge-base.js';
+
+/**
+ * Returns a copy of the data without the fields at the given paths,
+ * e.g. "quickFacts" or "experience[0].technologies"
+ */
+function withoutPaths(value, paths) {
+  const copy = JSON.parse(JSON.stringify(value));
+  for (const path of paths) {
+    const keys = path.match(/[^.[\]]+/g);
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => node[key], copy);
+    delete parent[last];
+  }
+  return copy;
+}
+
+describe('JsonResumeAdapter', () => {
+  const resume = {
+    basics: {
+      name: 'Ada Tester',
+      label: 'QA Engineer',
+      email: 'ada@example.com',
+      phone: '123',
+      summary: 'Tests things',
+      location: { city: 'Chennai', region: 'Tamil Nadu', countryCode: 'IN' },
+      profiles: [
+        { network: 'GitHub', url: 'https://github.com/ada' },
+        { network: 'LinkedIn', url: 'https://linkedin.com/in/ada' },
+        { network: 'Twitter', url: 'https://x.com/ada' }
+      ]
+    },
+    work: [
+      { name: 'Acme', position: 'SDET', startDate: '2021-05', endDate: '2024-04-15', highlights: ['Built a framework'], location: 'Remote' },
+      { name: 'Initech', position: 'QA Lead', startDate: '2024-05' }
+    ],
+    skills: [{ name: 'Automation Tools', keywords: ['Playwright', 'Selenium'], level: 'Expert' }],
+    projects: [{ name: 'Runner', description: 'Reruns tests', keywords: ['Python'], url: 'https://example.com' }],
+    awards: [{ title: 'Bug Hunter', awarder: 'Acme', date: '2023-02-01', summary: 'Found bugs' }],
+    certificates: [{ name: 'ISTQB', issuer: 'ISTQB', date: '2022-01-01' }],
+    references: [{ name: 'Bob, Acme', reference: 'Great tester' }],
+    education: [{ institution: 'Uni' }]
+  };
+
+  test('recognizes JSON Resume documents', () => {
+    expect(JsonResumeAdapter.isJsonResume(resume)).toBe(true);
+    expect(JsonResumeAdapter.isJsonResume(data)).toBe(false);
+  });
+
+  describe('fromJsonResume', () => {
+    const { data: converted, unmapped } = JsonResumeAdapter.fromJsonResume(resume);
+
+    test('maps work to experience with durations', () => {
+      expect(converted.experience).toEqual([
+        { title: 'SDET', company: 'Acme', duration: 'May 2021 - Apr 2024', location: 'Remote', responsibilities: ['Built a framework'] },
+        { title: 'QA Lead', company: 'Initech', duration: 'May 2024 - Present' }
+      ]);
+    });
+
+    test('maps basics to personal and contact', () => {
+      expect(converted.personal).toMatchObject({ name: 'Ada Tester', role: 'QA Engineer', company: 'Initech' });
+      expect(converted.contact).toEqual({
+        email: 'ada@example.com',
+        linkedin: 'https://linkedin.com/in/ada',
+        github: 'https://github.com/ada',
+        location: 'Chennai, Tamil Nadu, IN'
+      });
+    });
+
+    test('maps skills, projects, awards, certificates and references', () => {
+      expect(converted.skills).toEqual({ automationTools: ['Playwright', 'Selenium'] });
+      expect(converted.projects).toEqual([{ name: 'Runner', description: 'Reruns tests', technologies: ['Python'] }]);
+      expect(converted.awards).toEqual([{ title: 'Bug Hunter', organization: 'Acme', year: 2023, description: 'Found bugs' }]);
+      expect(converted.certifications).toEqual([{ name: 'ISTQB', issuer: 'ISTQB', year: 2022 }]);
+      expect(converted.testimonials).toEqual([{ quote: 'Great tester', author: 'Bob, Acme' }]);
+    });
+
+    test('reports the fields it could not carry over', () => {
+      expect(unmapped).toEqual(['education', 'basics.phone', 'basics.profiles[2]', 'skills[0].level', 'projects[0].url']);
+    });
+
+    test('produces data that passes schema validation', () => {
+      expect(new KnowledgeSchema().validate(converted).issues).toEqual([]);
+    });
+
+    test('rejects anything but an object', () => {
+      expect(() => JsonResumeAdapter.fromJsonResume(null)).toThrow('JsonResumeAdapter requires a JSON Resume object');
+    });
+  });
+
+  describe('toJsonResume', () => {
+    const locationOf = location => JsonResumeAdapter.toJsonResume({ personal: { ...data.personal, location } })
+      .resume.basics.location;
+
+    test('sets countryCode only from a two-letter code', () => {
+      expect(locationOf('Chennai, Tamil Nadu, IN')).toEqual({ city: 'Chennai', region: 'Tamil Nadu', countryCode: 'IN' });
+      expect(locationOf(data.personal.location)).toEqual({
+        city: 'Coimbatore',
+        region: 'Tamil Nadu, India (Currently in Chennai)'
+      });
+    });
+  });
+
+  describe('round trip', () => {
+    test('keeps every field of the knowledge base it does not report', () => {
+      const { resume: exported, unmapped } = JsonResumeAdapter.toJsonResume(data);
+      const { data: imported, unmapped: reimportUnmapped } = JsonResumeAdapter.fromJsonResume(exported);
+
+      expect(unmapped).toEqual(expect.arrayContaining(['quickFacts', 'experience[0].technologies', 'projects[0].metrics']));
+      expect(reimportUnmapped).toEqual([]);
+      expect(imported).toEqual(withoutPaths(data, unmapped));
+    });
+
+    test('keeps a JSON Resume document unchanged apart from normalized dates', () => {
+      const { data: converted } = JsonResumeAdapter.fromJsonResume(resume);
+
+      expect(JsonResumeAdapter.toJsonResume(converted).resume.work).toEqual([
+        { name: 'Acme', position: 'SDET', location: 'Remote', startDate: '2021-05', endDate: '2024-04', highlights: ['Built a framework'] },
+        { name: 'Initech', position: 'QA Lead', startDate: '2024-05' }
+      ]);
+    });
+  });
+});
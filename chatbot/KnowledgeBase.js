@@ -1,18 +1,46 @@
 /**
  * KnowledgeBase Class
- * 
+ *
  * Provides structured access to portfolio information with query capabilities.
  * Supports category-based retrieval, keyword matching, and cross-category search.
- * 
+ * The KnowledgeBase owns the validated data and the mutation API; the work is
+ * done by focused modules built from that data:
+ * - SearchIndex ranks keyword matches with BM25 over an inverted index, and by
+ *   TF-IDF cosine similarity for the 'vector' and 'hybrid' retrieval modes
+ * - QueryEvaluator runs structured queries parsed by QueryParser
+ * - SkillGraph links each skill to the projects, roles and certifications that
+ *   use or mention it
+ * - ExperienceTimeline and MetricNormalizer answer timeline and metric questions
+ * - KnowledgeBaseSnapshot saves the built indexes (see build-snapshot.js) so
+ *   fromSnapshot can restore them without re-tokenizing
+ * Mutations rebuild the index and the graph and emit change events.
+ *
  * Requirements: 2.1, 2.2, 2.3, 2.4, 2.5, 2.6, 2.7, 6.2
  */
 
+import { SynonymDictionary } from './SynonymDictionary.js';
+import { KnowledgeSchema, KnowledgeBaseValidationError } from './KnowledgeSchema.js';
+import { QueryParser, QuerySyntaxError } from './QueryParser.js';
+import { QueryEvaluator } from './QueryEvaluator.js';
+import { SearchIndex } from './SearchIndex.js';
+import { SkillGraph } from './SkillGraph.js';
+import { ExperienceTimeline } from './ExperienceTimeline.js';
+import { MetricNormalizer } from './MetricNormalizer.js';
+import { KnowledgeBaseSnapshot } from './KnowledgeBaseSnapshot.js';
+
 class KnowledgeBase {
   /**
    * Threshold for high-confidence matches that trigger early termination
+   * (see SearchIndex.HIGH_CONFIDENCE_THRESHOLD)
+   * @static
+   */
+  static HIGH_CONFIDENCE_THRESHOLD = SearchIndex.HIGH_CONFIDENCE_THRESHOLD;
+
+  /**
+   * Events emitted by the mutation API; 'change' fires for every mutation
    * @static
    */
-  static HIGH_CONFIDENCE_THRESHOLD = 0.85;
+  static CHANGE_EVENTS = ['add', 'update', 'remove', 'replace', 'change'];
 
   /**
    * Default fallback response when errors occur
@@ -53,15 +81,78 @@ class KnowledgeBase {
    * Initializes the KnowledgeBase with structured data
    * @param {Object} data - The structured knowledge base data
    * @param {Object} [options] - Configuration options
-   * @param {number} [options.highConfidenceThreshold] - Threshold for early termination (default: 0.85)
+   * @param {number} [options.highConfidenceThreshold] - Threshold for early termination (default: 0.7)
+   * @param {number} [options.k1] - BM25 term frequency saturation (default: 1.2)
+   * @param {number} [options.b] - BM25 document length normalization (default: 0.75)
+   * @param {boolean} [options.fuzzy=true] - Match misspelled keywords against similar indexed terms
+   * @param {boolean} [options.stemming=true] - Match keywords against indexed terms with the same stem
+   * @param {string} [options.retrieval='keyword'] - Default retrieval mode for search: 'keyword',
+   *   'vector' or 'hybrid' (see SearchIndex.RETRIEVAL_MODES)
+   * @param {number} [options.vectorWeight=0.5] - Share of the vector similarity in hybrid scores
+   * @param {number} [options.fuzzyTolerance=0.25] - Maximum edits allowed per keyword character
+   * @param {SynonymDictionary|Object|boolean} [options.synonyms] - Alias dictionary used to expand
+   *   keywords (default: the QA/automation dictionary; false disables expansion)
+   * @param {Object<string, Object<string, number>>} [options.fieldWeights] - Per-category field
+   *   weights merged over SearchIndex.DEFAULT_FIELD_WEIGHTS, e.g. `{ projects: { name: 4 } }`
+   * @param {string|boolean} [options.validation='strict'] - Schema validation mode: 'strict' throws a
+   *   KnowledgeBaseValidationError, 'lenient' warns and drops invalid entries, false skips validation
+   * @param {KnowledgeSchema} [options.schema] - Schema to validate against (default: KnowledgeSchema.DEFAULT_SCHEMA)
+   * @param {Date|Function} [options.now] - Date that "Present" durations resolve to, or a function
+   *   returning it (default: the current date)
    */
   constructor(data, options = {}) {
     if (!data || typeof data !== 'object') {
       throw new Error('KnowledgeBase requires a valid data object');
     }
+
+    this._applyOptions(options);
+
+    // Validate before indexing so malformed entries never reach responses
+    this.validationIssues = [];
+    if (this.validation !== false) {
+      const result = this.schema.validate(data, { mode: this.validation });
+      data = result.data;
+      this.validationIssues = result.issues;
+    }
+
     this.data = data;
-    this.categories = Object.keys(data);
-    this.highConfidenceThreshold = options.highConfidenceThreshold || KnowledgeBase.HIGH_CONFIDENCE_THRESHOLD;
+
+    // 'built' here, 'snapshot' or 'rebuilt' when created by fromSnapshot
+    this.indexSource = 'built';
+
+    this._buildIndexes();
+  }
+
+  /**
+   * Applies the constructor options
+   * @private
+   * @param {Object} options - Options accepted by the constructor
+   */
+  _applyOptions(options) {
+    this.schema = options.schema || new KnowledgeSchema();
+    this.validation = options.validation === false ? false : options.validation || 'strict';
+    this._listeners = new Map();
+    this.synonyms = SynonymDictionary.from(options.synonyms);
+    this._indexOptions = { ...options, retrieval: SearchIndex.resolveRetrieval(options.retrieval) };
+    this._customFieldWeights = options.fieldWeights || null;
+    this._clock = options.now || null;
+  }
+
+  /**
+   * Builds the search index and the skill graph from the current data
+   * @private
+   */
+  _buildIndexes() {
+    this._index = new SearchIndex(this.data, this._indexOptions);
+    this._skillGraph = new SkillGraph(this.data, this.synonyms);
+  }
+
+  /**
+   * Names of the categories currently in the data
+   * @returns {string[]}
+   */
+  get categories() {
+    return Object.keys(this.data);
   }
 
   /**
@@ -71,33 +162,40 @@ class KnowledgeBase {
    */
   getByCategory(category) {
     try {
-      if (!category || typeof category !== 'string') {
-        return null;
-      }
-      
-      const normalizedCategory = category.toLowerCase().trim();
-      
-      // Direct match
-      if (this.data[normalizedCategory] !== undefined) {
-        return this.data[normalizedCategory];
-      }
-      
-      // Try to find a matching category (case-insensitive)
-      const matchingKey = this.categories.find(
-        key => key.toLowerCase() === normalizedCategory
-      );
-      
-      if (matchingKey) {
-        return this.data[matchingKey];
-      }
-      
-      return null;
+      const key = this._resolveCategory(category);
+      return key !== null ? this.data[key] : null;
     } catch (error) {
       KnowledgeBase._logError('Error in getByCategory:', error);
       return null;
     }
   }
 
+  /**
+   * Resolves a category name to the matching data key
+   * @private
+   * @param {string} category - The category name to resolve
+   * @returns {string|null} - The data key, or null if not found
+   */
+  _resolveCategory(category) {
+    if (!category || typeof category !== 'string') {
+      return null;
+    }
+
+    const normalizedCategory = category.toLowerCase().trim();
+
+    // Direct match
+    if (this.data[normalizedCategory] !== undefined) {
+      return normalizedCategory;
+    }
+
+    // Try to find a matching category (case-insensitive)
+    const matchingKey = this.categories.find(
+      key => key.toLowerCase() === normalizedCategory
+    );
+
+    return matchingKey || null;
+  }
+
   /**
    * Retrieves information by category and keywords
    * @param {string} category - The category to search within
@@ -106,7 +204,8 @@ class KnowledgeBase {
    */
   query(category, keywords) {
     try {
-      const categoryData = this.getByCategory(category);
+      const key = this._resolveCategory(category);
+      const categoryData = key !== null ? this.data[key] : null;
       
       if (!categoryData) {
         return [];
@@ -120,8 +219,8 @@ class KnowledgeBase {
         return this._wrapWithRelevance(categoryData, 1.0);
       }
 
-      // Search within the category data
-      return this._searchInData(categoryData, keywordArray);
+      // Rank the indexed documents of this category
+      return this._index.rank(keywordArray, [key]);
     } catch (error) {
       KnowledgeBase._logError('Error in query:', error);
       return [];
@@ -136,7 +235,8 @@ class KnowledgeBase {
    */
   querySafe(category, keywords) {
     try {
-      const categoryData = this.getByCategory(category);
+      const key = this._resolveCategory(category);
+      const categoryData = key !== null ? this.data[key] : null;
       
       if (!categoryData) {
         return {
@@ -157,8 +257,8 @@ class KnowledgeBase {
         };
       }
 
-      // Search within the category data
-      const results = this._searchInData(categoryData, keywordArray);
+      // Rank the indexed documents of this category
+      const results = this._index.rank(keywordArray, [key]);
       
       if (results.length === 0) {
         return {
@@ -188,52 +288,39 @@ class KnowledgeBase {
    * @param {string|string[]} keywords - Keywords to search for
    * @param {Object} [options] - Search options
    * @param {boolean} [options.earlyTermination=true] - Enable early termination for high-confidence matches
-   * @returns {Array} - Array of matching results with relevance scores, sorted by relevance
+   * @param {boolean} [options.fuzzy] - Override the instance fuzzy matching setting
+   * @param {string} [options.retrieval] - Override the instance retrieval mode ('keyword', 'vector', 'hybrid')
+   * @param {number} [options.vectorWeight] - Override the share of vector similarity in hybrid scores
+   * @param {boolean} [options.facets=false] - Also count the matched entries by category, technology
+   *   and year. Early termination is then off unless requested, so the counts cover every category.
+   * @returns {Array|{results: Array, facets: Object}} - Array of matching results with relevance
+   *   scores, sorted by relevance, or with `facets` an object holding those results and the counts
+   *   (see SearchIndex.buildFacets).
+   *   Each result carries the `path` of its entry (e.g. `projects[2]`) and `matches`, one per
+   *   matched value: `{ path, text, highlights: [{ start, end, term, keyword }] }`, where the
+   *   path points at the value (e.g. `experience[0].technologies[2]`) and the offsets index
+   *   into `text`. Results matched through a typo correction also carry
+   *   `corrections: [{ original, corrected }]`.
    * Requirements: 2.7, 6.2
    */
   search(keywords, options = {}) {
+    const withFacets = results => (options.facets ? { results, facets: this._index.buildFacets(results) } : results);
+
     try {
       const keywordArray = this._normalizeKeywords(keywords);
       
       if (keywordArray.length === 0) {
-        return [];
+        return withFacets([]);
       }
 
-      const enableEarlyTermination = options.earlyTermination !== false;
-      const results = [];
-
-      // Search through all categories
-      for (const category of this.categories) {
-        const categoryData = this.data[category];
-        const categoryResults = this._searchInDataOptimized(
-          categoryData, 
-          keywordArray, 
-          category,
-          enableEarlyTermination
-        );
-        results.push(...categoryResults);
-
-        // Early termination: if we found a high-confidence match, we can stop searching
-        if (enableEarlyTermination && categoryResults.length > 0) {
-          const highConfidenceMatch = categoryResults.find(
-            r => r.relevance >= this.highConfidenceThreshold
-          );
-          if (highConfidenceMatch) {
-            // Add the high-confidence result and stop searching
-            // Sort current results and return
-            results.sort((a, b) => b.relevance - a.relevance);
-            return results;
-          }
-        }
-      }
-
-      // Sort by relevance score (descending)
-      results.sort((a, b) => b.relevance - a.relevance);
+      const enableEarlyTermination = options.facets
+        ? options.earlyTermination === true
+        : options.earlyTermination !== false;
 
-      return results;
+      return withFacets(this._index.rank(keywordArray, this.categories, enableEarlyTermination, options));
     } catch (error) {
       KnowledgeBase._logError('Error in search:', error);
-      return [];
+      return withFacets([]);
     }
   }
 
@@ -242,7 +329,13 @@ class KnowledgeBase {
    * @param {string|string[]} keywords - Keywords to search for
    * @param {Object} [options] - Search options
    * @param {boolean} [options.earlyTermination=true] - Enable early termination for high-confidence matches
-   * @returns {Object} - Object with success status, data array, and optional fallback message
+   * @param {boolean} [options.fuzzy] - Override the instance fuzzy matching setting
+   * @param {string} [options.retrieval] - Override the instance retrieval mode ('keyword', 'vector', 'hybrid')
+   * @param {number} [options.vectorWeight] - Override the share of vector similarity in hybrid scores
+   * @param {boolean} [options.facets=false] - Add `facets` with counts of the matched entries
+   *   (see SearchIndex.buildFacets); early termination is then off unless requested
+   * @returns {Object} - Object with success status, data array, optional fallback message,
+   *   and `corrections` listing every typo-corrected keyword
    */
   searchSafe(keywords, options = {}) {
     try {
@@ -256,37 +349,75 @@ class KnowledgeBase {
         };
       }
 
-      const enableEarlyTermination = options.earlyTermination !== false;
-      const results = [];
-
-      // Search through all categories
-      for (const category of this.categories) {
-        const categoryData = this.data[category];
-        const categoryResults = this._searchInDataOptimized(
-          categoryData, 
-          keywordArray, 
-          category,
-          enableEarlyTermination
-        );
-        results.push(...categoryResults);
-
-        // Early termination: if we found a high-confidence match, we can stop searching
-        if (enableEarlyTermination && categoryResults.length > 0) {
-          const highConfidenceMatch = categoryResults.find(
-            r => r.relevance >= this.highConfidenceThreshold
-          );
-          if (highConfidenceMatch) {
-            results.sort((a, b) => b.relevance - a.relevance);
-            return {
-              success: true,
-              data: results
-            };
-          }
+      const enableEarlyTermination = options.facets
+        ? options.earlyTermination === true
+        : options.earlyTermination !== false;
+      const results = this._index.rank(keywordArray, this.categories, enableEarlyTermination, options);
+
+      if (results.length === 0) {
+        return {
+          success: false,
+          data: [],
+          fallback: "I couldn't find information matching your query. You can ask me about my experience, skills, projects, awards, certifications, or contact information."
+        };
+      }
+
+      const response = {
+        success: true,
+        data: results,
+        corrections: SearchIndex.collectCorrections(results)
+      };
+      if (options.facets) {
+        response.facets = this._index.buildFacets(results);
+      }
+      return response;
+    } catch (error) {
+      KnowledgeBase._logError('Error in searchSafe:', error);
+      return {
+        success: false,
+        data: [],
+        fallback: KnowledgeBase.DEFAULT_FALLBACK_RESPONSE
+      };
+    }
+  }
+
+  /**
+   * Searches with the structured query syntax (see QueryParser)
+   * Supports field filters (`technologies:python`), category scoping (`in:projects`),
+   * numeric/date comparisons (`year>=2023`, `duration>=2022`), quoted phrases and `-exclusions`,
+   * evaluated by QueryEvaluator.
+   * @param {string} query - The structured query
+   * @param {Object} [options] - Search options
+   * @param {boolean} [options.fuzzy] - Override the instance fuzzy matching setting
+   * @returns {Object} - Object with success status, data array, optional fallback message,
+   *   and on syntax errors `error: { message, position }`
+   */
+  structuredSearch(query, options = {}) {
+    try {
+      let clauses;
+      try {
+        clauses = new QueryParser({ categories: this.categories }).parse(query);
+      } catch (error) {
+        if (!(error instanceof QuerySyntaxError)) {
+          throw error;
         }
+        return {
+          success: false,
+          data: [],
+          error: { message: error.message, position: error.position },
+          fallback: `I couldn't understand that query: ${error.message}.`
+        };
       }
 
-      // Sort by relevance score (descending)
-      results.sort((a, b) => b.relevance - a.relevance);
+      if (clauses.length === 0) {
+        return {
+          success: false,
+          data: [],
+          fallback: "Please provide a search term. You can ask me about my experience, skills, projects, awards, certifications, or contact information."
+        };
+      }
+
+      const results = new QueryEvaluator(this._index, this.synonyms, { now: this._now() }).evaluate(clauses, this.categories, options);
 
       if (results.length === 0) {
         return {
@@ -301,7 +432,7 @@ class KnowledgeBase {
         data: results
       };
     } catch (error) {
-      KnowledgeBase._logError('Error in searchSafe:', error);
+      KnowledgeBase._logError('Error in structuredSearch:', error);
       return {
         success: false,
         data: [],
@@ -310,75 +441,439 @@ class KnowledgeBase {
     }
   }
 
+  // ============ Index Snapshots ============
+
   /**
-   * Optimized search within data with early termination support
-   * @private
-   * @param {*} data - The data to search
-   * @param {string[]} keywords - Keywords to match
-   * @param {string} [category] - Optional category name for results
-   * @param {boolean} [enableEarlyTermination=true] - Enable early termination
-   * @returns {Array} - Array of matching results with relevance scores
+   * Computes the content hash stored in snapshots
+   * @static
+   * @param {Object} data - Knowledge base data
+   * @param {Object} [options] - Constructor options
+   * @returns {string} - e.g. "fnv1a-3b2f9c1d" (see KnowledgeBaseSnapshot.computeContentHash)
    */
-  _searchInDataOptimized(data, keywords, category = null, enableEarlyTermination = true) {
-    const results = [];
+  static computeContentHash(data, options = {}) {
+    return KnowledgeBaseSnapshot.computeContentHash(data, options);
+  }
 
-    if (Array.isArray(data)) {
-      // Search through array items
-      for (const item of data) {
-        const relevance = this._calculateRelevance(item, keywords);
-        if (relevance > 0) {
-          results.push({
-            data: item,
-            relevance,
-            category
-          });
-          
-          // Early termination for high-confidence match
-          if (enableEarlyTermination && relevance >= this.highConfidenceThreshold) {
-            return results;
-          }
-        }
+  /**
+   * Serializes the data and the built indexes into a versioned, JSON-safe snapshot
+   * @returns {Object} - Snapshot for KnowledgeBase.fromSnapshot (see KnowledgeBaseSnapshot.create)
+   */
+  toSnapshot() {
+    return KnowledgeBaseSnapshot.create(this.data, this._index, this._skillGraph, {
+      fieldWeights: this._customFieldWeights
+    });
+  }
+
+  /**
+   * Creates a KnowledgeBase from a snapshot without re-tokenizing
+   * A snapshot with an unknown format or version, or whose content hash does
+   * not match the data, is stale: the knowledge base is then rebuilt from the
+   * data and `indexSource` is 'rebuilt' instead of 'snapshot'.
+   * @static
+   * @param {Object} snapshot - Output of toSnapshot (parsed JSON)
+   * @param {Object|null} [data=null] - Current knowledge base data to check the snapshot against
+   *   (default: trust the data embedded in the snapshot)
+   * @param {Object} [options] - Constructor options; must match those the snapshot was built with
+   * @returns {KnowledgeBase}
+   * @throws {Error} If the snapshot is unusable and there is no data to rebuild from
+   */
+  static fromSnapshot(snapshot, data = null, options = {}) {
+    const problem = KnowledgeBaseSnapshot.findProblem(snapshot, data, options);
+
+    if (problem) {
+      const source = data || (snapshot && snapshot.data);
+      if (!source) {
+        throw new Error(`Cannot load knowledge base snapshot: ${problem}`);
       }
-    } else if (typeof data === 'object' && data !== null) {
-      // For objects, check if the whole object matches or search nested structures
-      const relevance = this._calculateRelevance(data, keywords);
-      if (relevance > 0) {
-        results.push({
-          data,
-          relevance,
-          category
-        });
-        
-        // Early termination for high-confidence match
-        if (enableEarlyTermination && relevance >= this.highConfidenceThreshold) {
-          return results;
-        }
+      KnowledgeBase._logError(`Rebuilding knowledge base index: ${problem}`);
+      const knowledgeBase = new KnowledgeBase(source, options);
+      knowledgeBase.indexSource = 'rebuilt';
+      return knowledgeBase;
+    }
+
+    const knowledgeBase = Object.create(KnowledgeBase.prototype);
+    knowledgeBase._applyOptions(options);
+    knowledgeBase.validationIssues = [];
+    knowledgeBase.data = data || snapshot.data;
+    knowledgeBase.indexSource = 'snapshot';
+    knowledgeBase._index = SearchIndex.fromJSON(snapshot, knowledgeBase.data, knowledgeBase._indexOptions);
+    knowledgeBase._skillGraph = SkillGraph.fromJSON(snapshot, knowledgeBase.data, knowledgeBase.synonyms);
+    return knowledgeBase;
+  }
+
+  // ============ Mutation & Change Events ============
+
+  /**
+   * Subscribes to change events
+   * Listeners run after the indexes have been rebuilt and receive
+   * `{ type, category, key, entry, previous }`, where `key` is the array index
+   * or property name that changed (null when a whole category is replaced).
+   * @param {string} event - One of CHANGE_EVENTS ('add', 'update', 'remove', 'replace', or 'change' for all)
+   * @param {Function} listener - Called with the change
+   * @returns {Function} - Unsubscribes the listener
+   */
+  on(event, listener) {
+    if (!KnowledgeBase.CHANGE_EVENTS.includes(event)) {
+      throw new Error(`Unknown event "${event}"; expected one of: ${KnowledgeBase.CHANGE_EVENTS.join(', ')}`);
+    }
+    if (typeof listener !== 'function') {
+      throw new TypeError('KnowledgeBase event listeners must be functions');
+    }
+
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, new Set());
+    }
+    this._listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Unsubscribes a listener
+   * @param {string} event - Event name passed to on
+   * @param {Function} listener - The listener to remove
+   * @returns {boolean} - Whether the listener was subscribed
+   */
+  off(event, listener) {
+    const listeners = this._listeners.get(event);
+    return Boolean(listeners && listeners.delete(listener));
+  }
+
+  /**
+   * Appends an entry to an array category (e.g. a new project)
+   * @param {string} category - Array category name
+   * @param {*} entry - The entry to add
+   * @returns {number} - Index of the new entry
+   * @throws {KnowledgeBaseValidationError} If the entry fails validation
+   */
+  addEntry(category, entry) {
+    const name = this._requireCategory(category);
+    const current = this.data[name];
+    if (!Array.isArray(current)) {
+      throw new Error(`Cannot add an entry to "${name}": it is not a list (use updateEntry to set a property)`);
+    }
+
+    const value = [...current, entry];
+    this._commit(name, value, { type: 'add', category: name, key: current.length, entry, previous: undefined });
+    return current.length;
+  }
+
+  /**
+   * Updates an entry of an array category, or a property of an object category
+   * Object entries are merged with the changes (`{ duration: "..." }` keeps the
+   * other fields); any other value is replaced.
+   * @param {string} category - Category name
+   * @param {number|string} key - Array index or property name
+   * @param {*} changes - Fields to merge, or the new value
+   * @returns {*} - The updated entry
+   * @throws {KnowledgeBaseValidationError} If the result fails validation
+   */
+  updateEntry(category, key, changes) {
+    const name = this._requireCategory(category);
+    const current = this.data[name];
+    const previous = this._requireEntry(name, key);
+    const entry = this._isPlainObject(previous) && this._isPlainObject(changes)
+      ? { ...previous, ...changes }
+      : changes;
+
+    const value = Array.isArray(current)
+      ? current.map((item, index) => (index === key ? entry : item))
+      : { ...current, [key]: entry };
+    this._commit(name, value, { type: 'update', category: name, key, entry, previous });
+    return entry;
+  }
+
+  /**
+   * Removes an entry from an array category, or a property from an object category
+   * Later array entries shift down, so their indexes (and result paths) change.
+   * @param {string} category - Category name
+   * @param {number|string} key - Array index or property name
+   * @returns {*} - The removed entry
+   * @throws {KnowledgeBaseValidationError} If the category is invalid without it
+   */
+  removeEntry(category, key) {
+    const name = this._requireCategory(category);
+    const current = this.data[name];
+    const previous = this._requireEntry(name, key);
+
+    let value;
+    if (Array.isArray(current)) {
+      value = current.filter((item, index) => index !== key);
+    } else {
+      value = { ...current };
+      delete value[key];
+    }
+    this._commit(name, value, { type: 'remove', category: name, key, entry: undefined, previous });
+    return previous;
+  }
+
+  /**
+   * Replaces a whole category, or adds a category the schema allows
+   * @param {string} category - Category name
+   * @param {*} value - New category data
+   * @throws {KnowledgeBaseValidationError} If the data fails validation
+   */
+  replaceCategory(category, value) {
+    if (!category || typeof category !== 'string') {
+      throw new Error('replaceCategory requires a category name');
+    }
+
+    const name = this._resolveCategory(category) || category.trim();
+    const previous = this.data[name];
+    this._commit(name, value, { type: 'replace', category: name, key: null, entry: value, previous });
+  }
+
+  /**
+   * Validates a new category value, swaps it in, rebuilds the indexes and notifies listeners
+   * The data object is replaced rather than mutated, so earlier references stay unchanged.
+   * @private
+   * @param {string} category - Category name
+   * @param {*} value - New category data
+   * @param {Object} change - Event payload
+   */
+  _commit(category, value, change) {
+    if (this.validation !== false) {
+      const { valid, issues } = this.schema.validateCategory(category, value);
+      if (!valid) {
+        throw new KnowledgeBaseValidationError(issues);
       }
-      
-      // Also search nested arrays within the object
-      for (const key of Object.keys(data)) {
-        if (Array.isArray(data[key])) {
-          for (const item of data[key]) {
-            const itemRelevance = this._calculateRelevance(item, keywords);
-            if (itemRelevance > 0) {
-              results.push({
-                data: item,
-                relevance: itemRelevance,
-                category,
-                field: key
-              });
-              
-              // Early termination for high-confidence match
-              if (enableEarlyTermination && itemRelevance >= this.highConfidenceThreshold) {
-                return results;
-              }
-            }
-          }
-        }
+    }
+
+    this.data = { ...this.data, [category]: value };
+    this._buildIndexes();
+    this.indexSource = 'built';
+
+    this._emit(change.type, change);
+    this._emit('change', change);
+  }
+
+  /**
+   * Calls the listeners of an event; a failing listener never blocks the others
+   * @private
+   */
+  _emit(event, change) {
+    for (const listener of [...(this._listeners.get(event) || [])]) {
+      try {
+        listener(change);
+      } catch (error) {
+        KnowledgeBase._logError(`Error in "${event}" listener:`, error);
       }
     }
+  }
+
+  /**
+   * Resolves a category name that must exist
+   * @private
+   * @throws {Error} If the category is unknown
+   */
+  _requireCategory(category) {
+    const name = this._resolveCategory(category);
+    if (name === null) {
+      throw new Error(`Unknown category "${category}"`);
+    }
+    return name;
+  }
+
+  /**
+   * Returns an existing entry by array index or property name
+   * @private
+   * @throws {RangeError} If there is no such entry
+   */
+  _requireEntry(category, key) {
+    const current = this.data[category];
+    const exists = Array.isArray(current)
+      ? Number.isInteger(key) && key >= 0 && key < current.length
+      : this._isPlainObject(current) && Object.prototype.hasOwnProperty.call(current, key);
+
+    if (!exists) {
+      throw new RangeError(`No entry "${key}" in category "${category}"`);
+    }
+    return current[key];
+  }
+
+  /**
+   * Checks for a plain (non-array, non-null) object
+   * @private
+   */
+  _isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+
+  // ============ Experience Timeline ============
+
+  /**
+   * Returns experience entries with their durations parsed into date ranges
+   * Entries whose duration cannot be parsed are left out.
+   * @returns {Array<{data: Object, range: DateRange, months: number}>} - Most recent first
+   */
+  getExperienceTimeline() {
+    return this._getTimeline().entries;
+  }
+
+  /**
+   * Returns the roles held at any point within a period
+   * @param {Date|number|string} start - Period start (a number is a year, e.g. 2022)
+   * @param {Date|number|string} [end=start] - Period end, inclusive
+   * @returns {Array<{data: Object, range: DateRange, months: number, overlap: DateRange}>} - Most recent first;
+   *   `overlap` is the part of the role inside the period
+   */
+  getExperienceInRange(start, end = start) {
+    return this._getTimeline().getInRange(start, end);
+  }
+
+  /**
+   * Returns the most recent role, preferring one that is still ongoing
+   * @returns {{data: Object, range: DateRange, months: number}|null}
+   */
+  getMostRecentExperience() {
+    return this._getTimeline().getMostRecent();
+  }
+
+  /**
+   * Computes how long was spent at a company, across all of its roles
+   * Overlapping roles at the same company are only counted once.
+   * @param {string} company - Company name, matched case-insensitively by prefix (e.g. "werp")
+   * @returns {{company: string, months: number, ranges: DateRange[], roles: Array}|null} - Tenure, or null if unknown
+   */
+  getTenure(company) {
+    return this._getTimeline().getTenure(company);
+  }
+
+  /**
+   * Computes total professional experience, counting overlapping roles once
+   * @returns {{months: number, ranges: DateRange[]}} - Total months and the merged periods
+   */
+  getTotalExperience() {
+    return this._getTimeline().getTotal();
+  }
+
+  /**
+   * Lists every pair of roles that were held at the same time
+   * A role starting in the month the other one ended is a handover, not an overlap.
+   * @returns {Array<{roles: Array, overlap: DateRange}>} - Overlapping pairs with the shared period
+   */
+  getOverlappingExperience() {
+    return this._getTimeline().getOverlaps();
+  }
+
+  /**
+   * Parses the experience category into a timeline, "Present" resolving to now
+   * @private
+   * @returns {ExperienceTimeline} - An empty timeline if the category cannot be parsed
+   */
+  _getTimeline() {
+    try {
+      return new ExperienceTimeline(this.getByCategory('experience'), this._now());
+    } catch (error) {
+      KnowledgeBase._logError('Error in getExperienceTimeline:', error);
+      return new ExperienceTimeline([]);
+    }
+  }
+
+  /**
+   * Returns the date that "Present" resolves to
+   * @private
+   * @returns {Date}
+   */
+  _now() {
+    if (typeof this._clock === 'function') {
+      return this._clock();
+    }
+    return this._clock ? new Date(this._clock) : new Date();
+  }
+
+  // ============ Project Metrics ============
+
+  /**
+   * Returns each project's metrics normalized into numbers with units
+   * Projects without metrics are left out.
+   * @param {Object} [options] - Options
+   * @param {Object<string, number>} [options.periodsPerYear] - Overrides for MetricNormalizer.PERIODS_PER_YEAR
+   * @returns {Array<{project: Object, metrics: Array<Object>}>} - Each metric also carries `perYear`,
+   *   its yearly amount (null for one-off metrics and percentages)
+   */
+  getProjectMetrics(options = {}) {
+    try {
+      return MetricNormalizer.normalizeProjects(this.getByCategory('projects'), options.periodsPerYear);
+    } catch (error) {
+      KnowledgeBase._logError('Error in getProjectMetrics:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Sums recurring project metrics into yearly totals across all projects
+   * (see MetricNormalizer.aggregate)
+   * @param {Object} [options] - Options
+   * @param {Object<string, number>} [options.periodsPerYear] - Overrides for MetricNormalizer.PERIODS_PER_YEAR
+   *   (e.g. `{ day: 365 }` to count every calendar day)
+   * @returns {{totals: Array<{kind: string, unit: string, perYear: number, text: string, contributions: Array}>,
+   *   other: Array<{project: Object, metric: Object}>}} - Totals sorted with money first, largest contributions first
+   */
+  aggregateMetrics(options = {}) {
+    return MetricNormalizer.aggregate(this.getProjectMetrics(options));
+  }
+
+  // ============ Skill Graph ============
+
+  /**
+   * Resolves a skill or technology name to the name used in the graph
+   * Aliases are expanded first, and parenthesized short forms work both ways
+   * ("bdd" finds "BDD (Behavior Driven Development)" and vice versa).
+   * @param {string} name - Skill name, matched case-insensitively
+   * @returns {string|null} - The skill's display name, or null if unknown
+   */
+  resolveSkill(name) {
+    return this._skillGraph.resolve(name);
+  }
+
+  /**
+   * Finds every known skill mentioned in a piece of text
+   * Longer names win over the shorter names they contain, so "python automation"
+   * yields "Python Automation" rather than also "Python".
+   * @param {string} text - Text to scan, e.g. a user query
+   * @returns {string[]} - Skill display names, in order of length (longest first)
+   */
+  findSkillsInText(text) {
+    return this._skillGraph.findInText(text);
+  }
+
+  /**
+   * Collects everything linked to a skill, grouped by category
+   * `relation` is "uses" when the entry lists the skill in its technologies and
+   * "mentions" when the skill only appears in its text.
+   * @param {string} skill - Skill name
+   * @returns {{skill: string, groups: string[], evidence: Object<string, Array<{data: Object, path: string, relation: string}>>}|null}
+   *   - `groups` are the skills lists naming it (e.g. "programming"); null if the skill is unknown
+   */
+  getSkillEvidence(skill) {
+    return this._skillGraph.getEvidence(skill);
+  }
+
+  /**
+   * Lists the projects that use or mention a skill
+   * @param {string} skill - Skill name
+   * @returns {Array<{data: Object, path: string, relation: string}>} - Projects listing it as a technology first
+   */
+  getProjectsUsing(skill) {
+    return this._skillGraph.getLinkedEntries(skill, 'projects');
+  }
+
+  /**
+   * Lists the roles where a skill was used
+   * @param {string} skill - Skill name
+   * @returns {Array<{data: Object, path: string, relation: string}>} - Roles listing it as a technology first
+   */
+  getRolesUsing(skill) {
+    return this._skillGraph.getLinkedEntries(skill, 'experience');
+  }
 
-    return results;
+  /**
+   * Lists the certifications that back a skill
+   * @param {string} skill - Skill name
+   * @returns {Array<{data: Object, path: string, relation: string}>}
+   */
+  getCertificationsFor(skill) {
+    return this._skillGraph.getLinkedEntries(skill, 'certifications');
   }
 
   /**
@@ -391,6 +886,9 @@ class KnowledgeBase {
 
   /**
    * Normalizes keywords input to an array of lowercase strings
+   * Aliases are expanded to their canonical terms before splitting. Keywords
+   * keep their surface form; the SearchIndex resolves stems so exact matches
+   * can still outrank stem-only ones.
    * @private
    * @param {string|string[]} keywords - Keywords input
    * @returns {string[]} - Normalized array of keywords
@@ -402,8 +900,7 @@ class KnowledgeBase {
 
     if (typeof keywords === 'string') {
       // Split string by spaces and common delimiters, filter empty strings
-      return keywords
-        .toLowerCase()
+      return this.synonyms.expand(keywords)
         .split(/[\s,;]+/)
         .map(k => k.trim())
         .filter(k => k.length > 0);
@@ -412,7 +909,7 @@ class KnowledgeBase {
     if (Array.isArray(keywords)) {
       return keywords
         .filter(k => typeof k === 'string')
-        .map(k => k.toLowerCase().trim())
+        .map(k => this.synonyms.expand(k).trim())
         .filter(k => k.length > 0);
     }
 
@@ -435,156 +932,13 @@ class KnowledgeBase {
         category
       }));
     }
-    
+
     return [{
       data,
       relevance,
       category
     }];
   }
-
-  /**
-   * Searches within data for keyword matches
-   * @private
-   * @param {*} data - The data to search
-   * @param {string[]} keywords - Keywords to match
-   * @param {string} [category] - Optional category name for results
-   * @returns {Array} - Array of matching results with relevance scores
-   */
-  _searchInData(data, keywords, category = null) {
-    const results = [];
-
-    if (Array.isArray(data)) {
-      // Search through array items
-      for (const item of data) {
-        const relevance = this._calculateRelevance(item, keywords);
-        if (relevance > 0) {
-          results.push({
-            data: item,
-            relevance,
-            category
-          });
-        }
-      }
-    } else if (typeof data === 'object' && data !== null) {
-      // For objects, check if the whole object matches or search nested structures
-      const relevance = this._calculateRelevance(data, keywords);
-      if (relevance > 0) {
-        results.push({
-          data,
-          relevance,
-          category
-        });
-      }
-      
-      // Also search nested arrays within the object
-      for (const key of Object.keys(data)) {
-        if (Array.isArray(data[key])) {
-          for (const item of data[key]) {
-            const itemRelevance = this._calculateRelevance(item, keywords);
-            if (itemRelevance > 0) {
-              results.push({
-                data: item,
-                relevance: itemRelevance,
-                category,
-                field: key
-              });
-            }
-          }
-        }
-      }
-    }
-
-    return results;
-  }
-
-  /**
-   * Calculates relevance score for a data item based on keyword matches
-   * @private
-   * @param {*} item - The item to score
-   * @param {string[]} keywords - Keywords to match
-   * @returns {number} - Relevance score between 0 and 1
-   */
-  _calculateRelevance(item, keywords) {
-    if (!item || keywords.length === 0) {
-      return 0;
-    }
-
-    // Convert item to searchable text
-    const searchText = this._itemToSearchText(item).toLowerCase();
-    
-    if (!searchText) {
-      return 0;
-    }
-
-    let matchCount = 0;
-    let totalWeight = 0;
-
-    for (const keyword of keywords) {
-      // Skip very short keywords (less than 2 chars) to avoid noise
-      if (keyword.length < 2) {
-        continue;
-      }
-
-      totalWeight++;
-      
-      // Check for exact word match (higher weight)
-      const wordBoundaryRegex = new RegExp(`\\b${this._escapeRegex(keyword)}\\b`, 'i');
-      if (wordBoundaryRegex.test(searchText)) {
-        matchCount += 1;
-      }
-      // Check for partial match (lower weight)
-      else if (searchText.includes(keyword)) {
-        matchCount += 0.5;
-      }
-    }
-
-    if (totalWeight === 0) {
-      return 0;
-    }
-
-    return matchCount / totalWeight;
-  }
-
-  /**
-   * Converts an item to searchable text
-   * @private
-   * @param {*} item - The item to convert
-   * @returns {string} - Searchable text representation
-   */
-  _itemToSearchText(item) {
-    if (typeof item === 'string') {
-      return item;
-    }
-
-    if (typeof item === 'number' || typeof item === 'boolean') {
-      return String(item);
-    }
-
-    if (Array.isArray(item)) {
-      return item.map(i => this._itemToSearchText(i)).join(' ');
-    }
-
-    if (typeof item === 'object' && item !== null) {
-      const textParts = [];
-      for (const value of Object.values(item)) {
-        textParts.push(this._itemToSearchText(value));
-      }
-      return textParts.join(' ');
-    }
-
-    return '';
-  }
-
-  /**
-   * Escapes special regex characters in a string
-   * @private
-   * @param {string} str - String to escape
-   * @returns {string} - Escaped string safe for regex
-   */
-  _escapeRegex(str) {
-    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  }
 }
 
 // ES Module export
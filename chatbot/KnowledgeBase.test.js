@@ -0,0 +1,289 @@
+import { jest } from '@jest/globals';
+import { KnowledgeBase } from './KnowledgeBase.js';
+import { SearchIndex } from './SearchIndex.js';
+import { KnowledgeBaseValidationError } from './KnowledgeSchema.js';
+import { knowledgeBase as data } from './knowledge-base.js';
+
+describe('KnowledgeBase', () => {
+  const now = new Date('2025-06-15');
+  let knowledgeBase;
+
+  beforeEach(() => {
+    knowledgeBase = new KnowledgeBase(data, { now });
+  });
+
+  describe('construction', () => {
+    test('requires a data object', () => {
+      expect(() => new KnowledgeBase(null)).toThrow('KnowledgeBase requires a valid data object');
+    });
+
+    test('validates the data strictly by default', () => {
+      const invalid = { ...data, awards: [{ title: 'Award', organization: 'Amazon' }] };
+
+      expect(() => new KnowledgeBase(invalid)).toThrow(KnowledgeBaseValidationError);
+    });
+
+    test('drops invalid entries in lenient mode', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const invalid = { ...data, awards: [{ title: 'Award', organization: 'Amazon' }, ...data.awards] };
+      const lenient = new KnowledgeBase(invalid, { validation: 'lenient' });
+      warn.mockRestore();
+
+      expect(lenient.getByCategory('awards')).toEqual(data.awards);
+      expect(lenient.validationIssues).toEqual([{ path: 'awards[0].year', message: 'is required' }]);
+    });
+
+    test('looks categories up case-insensitively', () => {
+      expect(knowledgeBase.getAllCategories()).toEqual(Object.keys(data));
+      expect(knowledgeBase.getByCategory('Projects')).toEqual(data.projects);
+      expect(knowledgeBase.getByCategory('nope')).toBeNull();
+    });
+  });
+
+  describe('search', () => {
+    test('ranks the entry named after the query first', () => {
+      expect(knowledgeBase.search('Kill Switch')[0].data.name).toBe('Kill Switch Mechanism');
+      expect(knowledgeBase.search('Innovation')[0].data.title).toBe('Innovation Award');
+    });
+
+    test('returns each match with its JSON path and highlight offsets', () => {
+      const role = knowledgeBase.search('selenium', { earlyTermination: false })
+        .find(result => result.path === 'experience[0]');
+
+      expect(role.category).toBe('experience');
+      expect(role.matches).toContainEqual({
+        path: 'experience[0].technologies[2]',
+        text: 'Selenium',
+        highlights: [{ start: 0, end: 8, term: 'selenium', keyword: 'selenium' }]
+      });
+    });
+
+    test('matches other forms of a word', () => {
+      expect(knowledgeBase.search('automated').map(result => result.path)).toContain('projects[0]');
+    });
+
+    test('counts results by category, technology and year', () => {
+      const { results, facets } = knowledgeBase.search('python', { facets: true });
+
+      expect(results.length).toBeGreaterThan(0);
+      expect(facets.category.slice(0, 2)).toEqual([
+        { value: 'projects', count: 3 },
+        { value: 'certifications', count: 2 }
+      ]);
+      expect(facets.technology[0]).toEqual({ value: 'Python', count: 4 });
+      expect(facets.year).toEqual([{ value: 2021, count: 1 }, { value: 2024, count: 1 }]);
+    });
+
+    test('finds paraphrases with vector and hybrid retrieval', () => {
+      const query = 'what tools have you built to save time';
+
+      for (const retrieval of ['vector', 'hybrid']) {
+        const results = knowledgeBase.search(query, { retrieval });
+        expect(results[0].path).toBe('projects[1]');
+      }
+      expect(() => new KnowledgeBase(data, { retrieval: 'semantic' })).toThrow('Unknown retrieval mode');
+    });
+
+    test('keeps searching later categories unless a match is high-confidence', () => {
+      const categories = knowledgeBase.search('selenium', { earlyTermination: false })
+        .map(result => result.category);
+
+      expect(new Set(categories).size).toBeGreaterThan(1);
+      expect(KnowledgeBase.HIGH_CONFIDENCE_THRESHOLD).toBe(SearchIndex.HIGH_CONFIDENCE_THRESHOLD);
+    });
+
+    test('stops after the first category with a high-confidence match', () => {
+      const all = knowledgeBase.search('python', { earlyTermination: false });
+      const terminated = knowledgeBase.search('python');
+
+      expect(all.some(result => result.category === 'certifications')).toBe(true);
+      expect(terminated[0].relevance).toBeGreaterThanOrEqual(KnowledgeBase.HIGH_CONFIDENCE_THRESHOLD);
+      expect(new Set(terminated.map(result => result.category))).toEqual(new Set(['personal', 'experience', 'skills']));
+    });
+
+    test('expands aliases before searching', () => {
+      expect(knowledgeBase.search('py')).toEqual(knowledgeBase.search('python'));
+    });
+  });
+
+  describe('searchSafe', () => {
+    test('corrects misspelled keywords', () => {
+      const result = knowledgeBase.searchSafe('selinium');
+
+      expect(result.success).toBe(true);
+      expect(result.corrections).toEqual([{ original: 'selinium', corrected: 'Selenium' }]);
+      expect(result.data[0].matches[0].text).toContain('Selenium');
+    });
+
+    test('leaves correctly spelled words alone', () => {
+      const result = knowledgeBase.searchSafe('what tools have you built to save time');
+
+      const keywords = result.data.flatMap(item => item.matches)
+        .flatMap(match => match.highlights.map(highlight => highlight.keyword));
+
+      expect(result.corrections).toEqual([]);
+      expect(keywords).not.toContain('what');
+      expect(keywords).not.toContain('built');
+    });
+
+    test('explains empty and unmatched searches', () => {
+      expect(knowledgeBase.searchSafe('')).toMatchObject({ success: false, data: [] });
+      expect(knowledgeBase.searchSafe('xyzzyq').fallback).toContain("I couldn't find information");
+    });
+  });
+
+  describe('query', () => {
+    test('searches a single category', () => {
+      expect(knowledgeBase.query('projects', 'kill switch').map(result => result.data.name))
+        .toEqual(['Kill Switch Mechanism']);
+    });
+
+    test('returns a fallback for unmatched queries', () => {
+      expect(knowledgeBase.querySafe('projects', 'xyzzy')).toMatchObject({ success: false, data: [] });
+    });
+  });
+
+  describe('structuredSearch', () => {
+    test('evaluates the query syntax', () => {
+      const result = knowledgeBase.structuredSearch('technologies:python in:projects');
+
+      expect(result.success).toBe(true);
+      expect(result.data.every(item => item.category === 'projects')).toBe(true);
+    });
+
+    test('reports syntax errors with their position', () => {
+      expect(knowledgeBase.structuredSearch('python year>=abc')).toMatchObject({
+        success: false,
+        data: [],
+        error: { position: 13 }
+      });
+    });
+  });
+
+  describe('mutations', () => {
+    const project = {
+      name: 'Flaky Test Quarantine Bot',
+      description: 'Quarantines flaky tests',
+      technologies: ['Python']
+    };
+
+    test('adds an entry, reindexes and notifies listeners', () => {
+      const events = [];
+      knowledgeBase.on('change', change => events.push(['change', change.type, change.category, change.key]));
+      knowledgeBase.on('add', change => events.push(['add', change.key]));
+
+      const index = knowledgeBase.addEntry('projects', project);
+
+      expect(index).toBe(4);
+      expect(knowledgeBase.search('quarantine').map(result => result.path)).toEqual(['projects[4]']);
+      expect(events).toEqual([['add', 4], ['change', 'add', 'projects', 4]]);
+    });
+
+    test('updates entries by merging the changes', () => {
+      const entry = knowledgeBase.updateEntry('experience', 0, { duration: 'Apr 2024 - Dec 2024' });
+
+      expect(entry.title).toBe('Quality Assurance Technician');
+      expect(knowledgeBase.getMostRecentExperience().range.isCurrent).toBe(false);
+    });
+
+    test('removes entries and replaces categories', () => {
+      knowledgeBase.addEntry('projects', project);
+      expect(knowledgeBase.removeEntry('projects', 4).name).toBe(project.name);
+      expect(knowledgeBase.search('quarantine')).toEqual([]);
+
+      knowledgeBase.replaceCategory('awards', []);
+      expect(knowledgeBase.search('innovation award').some(result => result.category === 'awards')).toBe(false);
+    });
+
+    test('rejects invalid changes without applying them', () => {
+      expect(() => knowledgeBase.addEntry('projects', { name: 3 })).toThrow(KnowledgeBaseValidationError);
+      expect(() => knowledgeBase.updateEntry('projects', 99, {})).toThrow('No entry "99" in category "projects"');
+      expect(() => knowledgeBase.addEntry('contact', {})).toThrow('it is not a list');
+      expect(knowledgeBase.getByCategory('projects')).toEqual(data.projects);
+    });
+
+    test('never mutates the original data', () => {
+      knowledgeBase.addEntry('projects', project);
+      knowledgeBase.replaceCategory('awards', []);
+
+      expect(data.projects).toHaveLength(4);
+      expect(data.awards).toHaveLength(2);
+    });
+
+    test('unsubscribes listeners', () => {
+      const listener = jest.fn();
+      const unsubscribe = knowledgeBase.on('change', listener);
+      unsubscribe();
+      knowledgeBase.replaceCategory('awards', []);
+
+      expect(listener).not.toHaveBeenCalled();
+      expect(() => knowledgeBase.on('nope', listener)).toThrow('Unknown event "nope"');
+    });
+  });
+
+  describe('experience timeline', () => {
+    test('answers date-range questions', () => {
+      expect(knowledgeBase.getExperienceInRange(2022).map(item => item.data.company)).toEqual(['Amazon', 'WERP-India']);
+      expect(knowledgeBase.getMostRecentExperience().data.title).toBe('Quality Assurance Technician');
+      expect(knowledgeBase.getTenure('Amazon').months).toBe(50);
+      expect(knowledgeBase.getTotalExperience().months).toBe(75);
+    });
+
+    test('reports the 18-month WERP-India and Amazon overlap', () => {
+      const [overlap] = knowledgeBase.getOverlappingExperience();
+
+      expect(overlap.overlap.getMonths()).toBe(18);
+      expect(overlap.overlap.format()).toBe('May 2021 - Oct 2022');
+    });
+  });
+
+  describe('project metrics', () => {
+    test('aggregates yearly savings from the project metrics', () => {
+      expect(knowledgeBase.aggregateMetrics().totals.map(total => total.text)).toEqual(['$4,838', '160.98 hours']);
+    });
+
+    test('accepts a different number of working days', () => {
+      const time = knowledgeBase.aggregateMetrics({ periodsPerYear: { day: 365 } }).totals
+        .find(total => total.kind === 'time');
+
+      expect(time.perYear).toBeCloseTo(218.48);
+    });
+
+    test('leaves out projects without metrics', () => {
+      expect(knowledgeBase.getProjectMetrics()).toHaveLength(4);
+    });
+  });
+
+  describe('skill graph', () => {
+    test('links a skill to the projects and roles that use it', () => {
+      expect(knowledgeBase.getProjectsUsing('Pytest').map(item => [item.data.name, item.relation]))
+        .toEqual([['VLS Functionality Testing Framework', 'uses']]);
+      expect(knowledgeBase.getRolesUsing('pytest').map(item => item.data.title)).toEqual(['Quality Assurance Technician']);
+    });
+
+    test('finds the certifications backing a skill', () => {
+      expect(knowledgeBase.getCertificationsFor('Playwright').map(item => item.data.name))
+        .toContain('Playwright Python Automation Testing');
+      expect(knowledgeBase.getCertificationsFor('AWS')).toEqual([]);
+    });
+
+    test('resolves aliases and short forms', () => {
+      expect(knowledgeBase.resolveSkill('bdd')).toBe('BDD (Behavior Driven Development)');
+      expect(knowledgeBase.resolveSkill('py')).toBe('Python');
+      expect(knowledgeBase.resolveSkill('cypress')).toBeNull();
+    });
+
+    test('prefers the longest skill name in text', () => {
+      expect(knowledgeBase.findSkillsInText('python automation and selenium')).toEqual(['Python Automation', 'Selenium']);
+    });
+
+    test('groups evidence by category', () => {
+      const evidence = knowledgeBase.getSkillEvidence('Python');
+
+      expect(evidence.skill).toBe('Python');
+      expect(evidence.groups).toContain('programming');
+      expect(evidence.evidence.projects.length).toBeGreaterThan(0);
+      expect(knowledgeBase.getSkillEvidence('Cypress')).toBeNull();
+    });
+  });
+});
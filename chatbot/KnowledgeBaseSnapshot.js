@@ -0,0 +1,92 @@
+/**
+ * KnowledgeBaseSnapshot Class
+ *
+ * Versioned, JSON-safe snapshots of a knowledge base and its built indexes
+ * (see build-snapshot.js). A snapshot records a hash of the content it was
+ * built from, so KnowledgeBase.fromSnapshot can tell when it has gone stale.
+ */
+
+class KnowledgeBaseSnapshot {
+  /**
+   * Format name and version written into snapshots
+   * Bump the version whenever the snapshot layout or the indexing rules change.
+   * @static
+   */
+  static FORMAT = 'portfolio-chatbot-knowledge-base-index';
+  static VERSION = 1;
+
+  /**
+   * Computes the content hash stored in snapshots (32-bit FNV-1a, hex)
+   * Covers the data and any custom field weights, since both change the index.
+   * @static
+   * @param {Object} data - Knowledge base data
+   * @param {Object} [options] - KnowledgeBase constructor options
+   * @returns {string} - e.g. "fnv1a-3b2f9c1d"
+   */
+  static computeContentHash(data, options = {}) {
+    const content = JSON.stringify({ data, fieldWeights: options.fieldWeights || null });
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < content.length; i++) {
+      hash ^= content.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return `fnv1a-${(hash >>> 0).toString(16).padStart(8, '0')}`;
+  }
+
+  /**
+   * Assembles a snapshot
+   * @static
+   * @param {Object} data - Knowledge base data
+   * @param {SearchIndex} index - Index built from the data
+   * @param {SkillGraph} skillGraph - Skill graph built from the data
+   * @param {Object} [options] - KnowledgeBase constructor options the indexes were built with
+   * @returns {Object} - `{ format, version, contentHash, data, index, vectors, graph, skillKeys }`
+   */
+  static create(data, index, skillGraph, options = {}) {
+    return {
+      format: KnowledgeBaseSnapshot.FORMAT,
+      version: KnowledgeBaseSnapshot.VERSION,
+      contentHash: KnowledgeBaseSnapshot.computeContentHash(data, options),
+      data,
+      ...index.toJSON(),
+      ...skillGraph.toJSON()
+    };
+  }
+
+  /**
+   * Explains why a snapshot cannot be used
+   * @static
+   * @param {Object} snapshot - Parsed snapshot
+   * @param {Object|null} data - Current knowledge base data, if any
+   * @param {Object} [options] - KnowledgeBase constructor options
+   * @returns {string|null} - The problem, or null if the snapshot is current
+   */
+  static findProblem(snapshot, data, options = {}) {
+    if (!snapshot || typeof snapshot !== 'object' || snapshot.format !== KnowledgeBaseSnapshot.FORMAT) {
+      return 'not a knowledge base snapshot';
+    }
+    if (snapshot.version !== KnowledgeBaseSnapshot.VERSION) {
+      return `snapshot version ${snapshot.version} does not match ${KnowledgeBaseSnapshot.VERSION}`;
+    }
+    if (KnowledgeBaseSnapshot.computeContentHash(snapshot.data, options) !== snapshot.contentHash) {
+      return 'snapshot content hash does not match its data';
+    }
+    if (data && KnowledgeBaseSnapshot.computeContentHash(data, options) !== snapshot.contentHash) {
+      return 'snapshot is stale (knowledge base content has changed)';
+    }
+    return null;
+  }
+}
+
+// ES Module export
+export { KnowledgeBaseSnapshot };
+
+// CommonJS export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { KnowledgeBaseSnapshot };
+}
+
+// Browser global
+if (typeof window !== 'undefined') {
+  window.KnowledgeBaseSnapshot = KnowledgeBaseSnapshot;
+}
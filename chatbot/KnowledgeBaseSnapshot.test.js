@@ -0,0 +1,94 @@
+import { jest } from '@jest/globals';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { KnowledgeBase } from './KnowledgeBase.js';
+import { KnowledgeBaseSnapshot } from './KnowledgeBaseSnapshot.js';
+import { buildSnapshot } from './build-snapshot.js';
+import { knowledgeBase as data } from './knowledge-base.js';
+
+describe('KnowledgeBaseSnapshot', () => {
+  const snapshot = JSON.parse(JSON.stringify(new KnowledgeBase(data).toSnapshot()));
+
+  test('records the format, version and content hash', () => {
+    expect(Object.keys(snapshot)).toEqual(['format', 'version', 'contentHash', 'data', 'index', 'vectors', 'graph', 'skillKeys']);
+    expect(snapshot.format).toBe(KnowledgeBaseSnapshot.FORMAT);
+    expect(snapshot.version).toBe(KnowledgeBaseSnapshot.VERSION);
+    expect(snapshot.contentHash).toMatch(/^fnv1a-[0-9a-f]{8}$/);
+    expect(snapshot.contentHash).toBe(KnowledgeBase.computeContentHash(data));
+  });
+
+  test('hashes custom field weights along with the data', () => {
+    expect(KnowledgeBaseSnapshot.computeContentHash(data, { fieldWeights: { projects: { name: 4 } } }))
+      .not.toBe(snapshot.contentHash);
+  });
+
+  describe('findProblem', () => {
+    test('accepts a current snapshot', () => {
+      expect(KnowledgeBaseSnapshot.findProblem(snapshot, data)).toBeNull();
+    });
+
+    test('explains why a snapshot cannot be used', () => {
+      const changed = { ...data, awards: [] };
+
+      expect(KnowledgeBaseSnapshot.findProblem({}, data)).toBe('not a knowledge base snapshot');
+      expect(KnowledgeBaseSnapshot.findProblem({ ...snapshot, version: 0 }, data))
+        .toBe(`snapshot version 0 does not match ${KnowledgeBaseSnapshot.VERSION}`);
+      expect(KnowledgeBaseSnapshot.findProblem({ ...snapshot, data: changed }, null))
+        .toBe('snapshot content hash does not match its data');
+      expect(KnowledgeBaseSnapshot.findProblem(snapshot, changed))
+        .toBe('snapshot is stale (knowledge base content has changed)');
+    });
+  });
+
+  describe('KnowledgeBase.fromSnapshot', () => {
+    test('hydrates a current snapshot with the same results', () => {
+      const built = new KnowledgeBase(data);
+      const hydrated = KnowledgeBase.fromSnapshot(snapshot, data);
+
+      expect(hydrated.indexSource).toBe('snapshot');
+      expect(hydrated.search('selinium')).toEqual(built.search('selinium'));
+      expect(hydrated.search('save time', { retrieval: 'hybrid' })).toEqual(built.search('save time', { retrieval: 'hybrid' }));
+      expect(hydrated.getProjectsUsing('Pytest')).toEqual(built.getProjectsUsing('Pytest'));
+    });
+
+    test('rebuilds a stale snapshot from the current data', () => {
+      const changed = {
+        ...data,
+        projects: [...data.projects, { name: 'Visual Diff Checker', description: 'Compares screenshots' }]
+      };
+      const knowledgeBase = KnowledgeBase.fromSnapshot(snapshot, changed);
+
+      expect(knowledgeBase.indexSource).toBe('rebuilt');
+      expect(knowledgeBase.search('screenshots').map(result => result.path)).toEqual(['projects[4]']);
+    });
+
+    test('throws when an unusable snapshot has no data to rebuild from', () => {
+      expect(() => KnowledgeBase.fromSnapshot({ format: 'other' })).toThrow('Cannot load knowledge base snapshot');
+    });
+
+    test('marks the index as built after a mutation', () => {
+      const hydrated = KnowledgeBase.fromSnapshot(snapshot, data);
+      hydrated.replaceCategory('awards', []);
+
+      expect(hydrated.indexSource).toBe('built');
+    });
+  });
+
+  test('build-snapshot writes a loadable snapshot', () => {
+    const directory = mkdtempSync(join(tmpdir(), 'snapshot-'));
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      const outputPath = join(directory, 'snapshot.json');
+      const written = buildSnapshot(outputPath);
+      const loaded = JSON.parse(readFileSync(outputPath, 'utf8'));
+
+      expect(loaded).toEqual(JSON.parse(JSON.stringify(written)));
+      expect(KnowledgeBase.fromSnapshot(loaded, data).indexSource).toBe('snapshot');
+    } finally {
+      log.mockRestore();
+      rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
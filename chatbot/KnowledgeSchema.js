@@ -0,0 +1,454 @@
+/**
+ * KnowledgeSchema Class
+ * 
+ * Describes the expected shape of every knowledge base category and validates
+ * data against it. Reports problems with path-based messages such as
+ * `awards[1].year: is required`, and either throws (strict mode) or warns and
+ * drops the offending entry (lenient mode).
+ */
+
+/**
+ * Error thrown when knowledge base data fails strict validation
+ */
+class KnowledgeBaseValidationError extends Error {
+  /**
+   * @param {Array<{path: string, message: string}>} issues - Validation issues found
+   */
+  constructor(issues) {
+    const details = issues.map(issue => `  - ${issue.path}: ${issue.message}`).join('\n');
+    super(`Knowledge base data failed validation:\n${details}`);
+    this.name = 'KnowledgeBaseValidationError';
+    this.issues = issues;
+  }
+}
+
+const string = { type: 'string' };
+const requiredString = { type: 'string', required: true, nonEmpty: true };
+const stringList = { type: 'array', items: requiredString };
+
+class KnowledgeSchema {
+  /**
+   * Schema for every category in knowledge-base.js
+   * Rules: `type` (string, integer, number, boolean, array, object), `required`,
+   * `nonEmpty`, `format` (email, url), `items` for arrays, and `properties` or
+   * `additionalProperties` for objects.
+   * @static
+   */
+  static DEFAULT_SCHEMA = {
+    personal: {
+      type: 'object',
+      properties: {
+        name: requiredString,
+        role: requiredString,
+        company: requiredString,
+        location: string,
+        yearsOfExperience: string,
+        summary: string,
+        highlights: stringList
+      }
+    },
+    experience: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          title: requiredString,
+          company: requiredString,
+          duration: requiredString,
+          location: string,
+          responsibilities: stringList,
+          technologies: stringList
+        }
+      }
+    },
+    skills: {
+      type: 'object',
+      additionalProperties: stringList
+    },
+    projects: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: requiredString,
+          description: requiredString,
+          technologies: stringList,
+          impact: string,
+          metrics: { type: 'object', additionalProperties: requiredString }
+        }
+      }
+    },
+    awards: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          title: requiredString,
+          organization: requiredString,
+          year: { type: 'integer', required: true },
+          description: string
+        }
+      }
+    },
+    certifications: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: requiredString,
+          issuer: requiredString,
+          year: { type: 'integer', required: true },
+          description: string
+        }
+      }
+    },
+    contact: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', required: true, format: 'email' },
+        linkedin: { type: 'string', format: 'url' },
+        github: { type: 'string', format: 'url' },
+        location: string,
+        resumeAvailable: { type: 'boolean' }
+      }
+    },
+    testimonials: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          quote: requiredString,
+          author: requiredString,
+          organization: string
+        }
+      }
+    },
+    quickFacts: {
+      type: 'object',
+      additionalProperties: requiredString
+    }
+  };
+
+  /**
+   * Validation modes
+   * @static
+   */
+  static MODES = ['strict', 'lenient'];
+
+  /**
+   * Initializes the schema
+   * @param {Object} [schema] - Category rules (default: DEFAULT_SCHEMA)
+   */
+  constructor(schema = KnowledgeSchema.DEFAULT_SCHEMA) {
+    this.schema = schema;
+  }
+
+  /**
+   * Validates knowledge base data
+   * In strict mode any issue throws a KnowledgeBaseValidationError. In lenient
+   * mode each issue is logged with console.warn and the offending entry is left
+   * out of the returned data: an array item, an optional property of an object
+   * category, or the whole category when its own shape is wrong or one of its
+   * required properties is missing or invalid. The input is never mutated.
+   * @param {Object} data - Knowledge base data
+   * @param {Object} [options] - Validation options
+   * @param {string} [options.mode='strict'] - 'strict' or 'lenient'
+   * @returns {{data: Object, issues: Array<{path: string, message: string}>}} - Valid data and issues found
+   */
+  validate(data, options = {}) {
+    const mode = options.mode || 'strict';
+    if (!KnowledgeSchema.MODES.includes(mode)) {
+      throw new Error(`Unknown validation mode "${mode}". Expected one of: ${KnowledgeSchema.MODES.join(', ')}`);
+    }
+
+    const issues = [];
+    const validData = {};
+
+    if (!this._isPlainObject(data)) {
+      issues.push({ path: '$', message: `expected object, got ${this._describeType(data)}` });
+      throw new KnowledgeBaseValidationError(issues);
+    }
+
+    for (const [category, value] of Object.entries(data)) {
+      const rule = this.schema[category];
+
+      if (!rule) {
+        issues.push({
+          path: category,
+          message: `unknown category (expected one of: ${Object.keys(this.schema).join(', ')})`
+        });
+        continue;
+      }
+
+      const validValue = this._validateCategory(value, rule, category, issues);
+      if (validValue !== undefined) {
+        validData[category] = validValue;
+      }
+    }
+
+    if (issues.length > 0) {
+      if (mode === 'strict') {
+        throw new KnowledgeBaseValidationError(issues);
+      }
+      for (const issue of issues) {
+        console.warn(`[KnowledgeBase] ${issue.path}: ${issue.message} (entry dropped)`);
+      }
+    }
+
+    return { data: validData, issues };
+  }
+
+  /**
+   * Checks a single category without dropping anything
+   * @param {string} category - Category name
+   * @param {*} value - Category data
+   * @returns {{valid: boolean, issues: Array<{path: string, message: string}>}} - Result for the category
+   */
+  validateCategory(category, value) {
+    const rule = this.schema[category];
+    if (!rule) {
+      return {
+        valid: false,
+        issues: [{ path: category, message: `unknown category (expected one of: ${Object.keys(this.schema).join(', ')})` }]
+      };
+    }
+
+    const issues = [];
+    this._checkValue(value, rule, category, issues);
+    return { valid: issues.length === 0, issues };
+  }
+
+  /**
+   * Validates a category and returns a copy with invalid entries removed
+   * @private
+   * @param {*} value - Category data
+   * @param {Object} rule - Category rule
+   * @param {string} category - Category name
+   * @param {Array} issues - Collected issues
+   * @returns {*} - Valid category data, or undefined if the whole category is invalid
+   */
+  _validateCategory(value, rule, category, issues) {
+    if (rule.type === 'array') {
+      if (!Array.isArray(value)) {
+        issues.push({ path: category, message: `expected array, got ${this._describeType(value)}` });
+        return undefined;
+      }
+
+      return value.filter((item, index) => {
+        const itemIssues = [];
+        this._checkValue(item, rule.items, `${category}[${index}]`, itemIssues);
+        issues.push(...itemIssues);
+        return itemIssues.length === 0;
+      });
+    }
+
+    if (rule.type === 'object') {
+      if (!this._isPlainObject(value)) {
+        issues.push({ path: category, message: `expected object, got ${this._describeType(value)}` });
+        return undefined;
+      }
+
+      // A missing required property leaves the category unusable
+      const missing = this._findMissingProperties(value, rule, category);
+      if (missing.length > 0) {
+        issues.push(...missing);
+        return undefined;
+      }
+
+      const validValue = {};
+      for (const [key, child] of Object.entries(value)) {
+        const childIssues = [];
+        this._checkProperty(key, child, rule, category, childIssues);
+        issues.push(...childIssues);
+        if (childIssues.length === 0) {
+          validValue[key] = child;
+        }
+      }
+
+      // Pruning an invalid required property leaves it missing as well; its
+      // issue is already recorded
+      return this._findMissingProperties(validValue, rule, category).length > 0 ? undefined : validValue;
+    }
+
+    const valueIssues = [];
+    this._checkValue(value, rule, category, valueIssues);
+    issues.push(...valueIssues);
+    return valueIssues.length === 0 ? value : undefined;
+  }
+
+  /**
+   * Recursively checks a value against a rule
+   * @private
+   * @param {*} value - Value to check
+   * @param {Object} rule - Rule to check against
+   * @param {string} path - JSON path of the value
+   * @param {Array} issues - Collected issues
+   */
+  _checkValue(value, rule, path, issues) {
+    if (!this._matchesType(value, rule.type)) {
+      issues.push({ path, message: `expected ${rule.type}, got ${this._describeType(value)}` });
+      return;
+    }
+
+    switch (rule.type) {
+      case 'string':
+        if (rule.nonEmpty && value.trim().length === 0) {
+          issues.push({ path, message: 'must not be empty' });
+        } else if (rule.format && !this._matchesFormat(value, rule.format)) {
+          issues.push({ path, message: `expected a valid ${rule.format}, got "${value}"` });
+        }
+        break;
+      case 'array':
+        if (rule.items) {
+          value.forEach((item, index) => this._checkValue(item, rule.items, `${path}[${index}]`, issues));
+        }
+        break;
+      case 'object':
+        issues.push(...this._findMissingProperties(value, rule, path));
+        for (const [key, child] of Object.entries(value)) {
+          this._checkProperty(key, child, rule, path, issues);
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Checks one property of an object against the object's rule
+   * @private
+   * @param {string} key - Property name
+   * @param {*} value - Property value
+   * @param {Object} rule - Rule of the containing object
+   * @param {string} path - JSON path of the containing object
+   * @param {Array} issues - Collected issues
+   */
+  _checkProperty(key, value, rule, path, issues) {
+    const propertyPath = this._appendPath(path, key);
+    const propertyRule = rule.properties ? rule.properties[key] : rule.additionalProperties;
+
+    if (!propertyRule) {
+      issues.push({
+        path: propertyPath,
+        message: `unknown property (expected one of: ${Object.keys(rule.properties || {}).join(', ')})`
+      });
+      return;
+    }
+
+    this._checkValue(value, propertyRule, propertyPath, issues);
+  }
+
+  /**
+   * Lists the required properties an object is missing
+   * @private
+   * @param {Object} value - Object to check
+   * @param {Object} rule - Object rule
+   * @param {string} path - JSON path of the object
+   * @returns {Array<{path: string, message: string}>} - One issue per missing property
+   */
+  _findMissingProperties(value, rule, path) {
+    return Object.entries(rule.properties || {})
+      .filter(([key, propertyRule]) => propertyRule.required && (value[key] === undefined || value[key] === null))
+      .map(([key]) => ({ path: this._appendPath(path, key), message: 'is required' }));
+  }
+
+  /**
+   * Checks a value against a rule type
+   * @private
+   * @param {*} value - Value to check
+   * @param {string} type - Expected type
+   * @returns {boolean}
+   */
+  _matchesType(value, type) {
+    switch (type) {
+      case 'string':
+        return typeof value === 'string';
+      case 'integer':
+        return Number.isInteger(value);
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      case 'boolean':
+        return typeof value === 'boolean';
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return this._isPlainObject(value);
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Checks a string against a named format
+   * @private
+   * @param {string} value - String to check
+   * @param {string} format - 'email' or 'url'
+   * @returns {boolean}
+   */
+  _matchesFormat(value, format) {
+    switch (format) {
+      case 'email':
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+      case 'url':
+        return /^https?:\/\/[^\s]+$/.test(value);
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Describes the type of a value for error messages
+   * @private
+   * @param {*} value - Value to describe
+   * @returns {string}
+   */
+  _describeType(value) {
+    if (value === null) {
+      return 'null';
+    }
+    if (Array.isArray(value)) {
+      return 'array';
+    }
+    if (typeof value === 'number' && !Number.isInteger(value)) {
+      return 'number';
+    }
+    return typeof value === 'number' ? 'integer' : typeof value;
+  }
+
+  /**
+   * Checks whether a value is a plain (non-array, non-null) object
+   * @private
+   * @param {*} value - Value to check
+   * @returns {boolean}
+   */
+  _isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+
+  /**
+   * Appends a property access to a JSON path
+   * @private
+   * @param {string} path - Base path
+   * @param {string} key - Property name
+   * @returns {string} - `path.key`, or `path["key"]` when the key is not an identifier
+   */
+  _appendPath(path, key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key)
+      ? `${path}.${key}`
+      : `${path}[${JSON.stringify(key)}]`;
+  }
+}
+
+// ES Module export
+export { KnowledgeSchema, KnowledgeBaseValidationError };
+
+// CommonJS export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { KnowledgeSchema, KnowledgeBaseValidationError };
+}
+
+// Browser global
+if (typeof window !== 'undefined') {
+  window.KnowledgeSchema = KnowledgeSchema;
+  window.KnowledgeBaseValidationError = KnowledgeBaseValidationError;
+}
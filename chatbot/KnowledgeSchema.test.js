@@ -0,0 +1,118 @@
+import { jest } from '@jest/globals';
+import { KnowledgeSchema, KnowledgeBaseValidationError } from './KnowledgeSchema.js';
+import { knowledgeBase as data } from './knowledge-base.js';
+
+describe('KnowledgeSchema', () => {
+  const schema = new KnowledgeSchema();
+
+  // A misspelled field on a role and an award without its year
+  const invalidData = {
+    ...data,
+    experience: [{ ...data.experience[0], responsibilties: ['Typo'] }, ...data.experience.slice(1)],
+    awards: [{ title: 'Innovation Award', organization: 'Amazon' }, ...data.awards.slice(1)]
+  };
+
+  test('covers every category of knowledge-base.js', () => {
+    expect(Object.keys(KnowledgeSchema.DEFAULT_SCHEMA).sort()).toEqual(Object.keys(data).sort());
+  });
+
+  test('accepts the bundled knowledge base', () => {
+    const result = schema.validate(data);
+
+    expect(result.issues).toEqual([]);
+    expect(result.data).toEqual(data);
+  });
+
+  describe('strict mode', () => {
+    test('throws with a path-based message for each problem', () => {
+      expect(() => schema.validate(invalidData)).toThrow(KnowledgeBaseValidationError);
+
+      try {
+        schema.validate(invalidData, { mode: 'strict' });
+      } catch (error) {
+        expect(error.message).toContain('experience[0].responsibilties: unknown property');
+        expect(error.message).toContain('awards[0].year: is required');
+        expect(error.issues.map(issue => issue.path)).toEqual(
+          expect.arrayContaining(['experience[0].responsibilties', 'awards[0].year'])
+        );
+      }
+    });
+
+    test('checks formats and unknown categories', () => {
+      const issuesOf = value => {
+        try {
+          schema.validate(value);
+          return [];
+        } catch (error) {
+          return error.issues;
+        }
+      };
+
+      expect(issuesOf({ ...data, contact: { ...data.contact, email: 'nope' } }))
+        .toEqual([{ path: 'contact.email', message: 'expected a valid email, got "nope"' }]);
+      expect(issuesOf({ ...data, skils: {} })[0].path).toBe('skils');
+      expect(issuesOf({ ...data, projects: 'none' }))
+        .toEqual([{ path: 'projects', message: 'expected array, got string' }]);
+    });
+  });
+
+  describe('lenient mode', () => {
+    let warn;
+
+    beforeEach(() => {
+      warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      warn.mockRestore();
+    });
+
+    test('drops invalid entries and keeps the rest', () => {
+      const result = schema.validate(invalidData, { mode: 'lenient' });
+
+      expect(result.data.experience).toEqual(data.experience.slice(1));
+      expect(result.data.awards).toEqual(data.awards.slice(1));
+      expect(result.data.projects).toEqual(data.projects);
+      expect(result.issues.length).toBeGreaterThanOrEqual(2);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('awards[0].year: is required'));
+    });
+
+    test('drops an object category whose required property is missing or invalid', () => {
+      const validate = value => schema.validate({ ...data, ...value }, { mode: 'lenient' });
+      const { name, ...unnamed } = data.personal;
+
+      expect(validate({ personal: unnamed }).data).not.toHaveProperty('personal');
+      expect(validate({ personal: { ...data.personal, name: '' } }).data).not.toHaveProperty('personal');
+      expect(validate({ contact: { ...data.contact, email: 'nope' } })).toEqual({
+        data: expect.not.objectContaining({ contact: expect.anything() }),
+        issues: [{ path: 'contact.email', message: 'expected a valid email, got "nope"' }]
+      });
+    });
+
+    test('drops only an invalid optional property', () => {
+      const result = schema.validate({ ...data, contact: { ...data.contact, github: 'nope' } }, { mode: 'lenient' });
+      const { github, ...contact } = data.contact;
+
+      expect(result.data.contact).toEqual(contact);
+    });
+
+    test('never mutates the input', () => {
+      const before = JSON.stringify(invalidData);
+      schema.validate(invalidData, { mode: 'lenient' });
+
+      expect(JSON.stringify(invalidData)).toBe(before);
+    });
+  });
+
+  test('rejects unknown modes', () => {
+    expect(() => schema.validate(data, { mode: 'loose' })).toThrow('Unknown validation mode "loose"');
+  });
+
+  test('validateCategory reports without dropping', () => {
+    expect(schema.validateCategory('awards', [{ title: 'Award', organization: 'Amazon' }])).toEqual({
+      valid: false,
+      issues: [{ path: 'awards[0].year', message: 'is required' }]
+    });
+    expect(schema.validateCategory('awards', data.awards)).toEqual({ valid: true, issues: [] });
+  });
+});
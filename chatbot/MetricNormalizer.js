@@ -0,0 +1,275 @@
+/**
+ * MetricNormalizer Class
+ * 
+ * Turns the free-text project metrics in the knowledge base, such as
+ * `costSavings: "$4,838"` or `timeSaved: "0.5 hours"` with `period: "daily"`,
+ * into numbers with units and periods that can be summed and compared.
+ */
+
+class MetricNormalizer {
+  /**
+   * Currency symbols and the ISO codes they stand for
+   * @static
+   */
+  static CURRENCIES = { '$': 'USD', '€': 'EUR', '£': 'GBP', '₹': 'INR' };
+
+  /**
+   * Time units and their length in hours
+   * @static
+   */
+  static TIME_UNITS = [
+    { pattern: /^(hours?|hrs?|h)$/i, hours: 1 },
+    { pattern: /^(minutes?|mins?|m)$/i, hours: 1 / 60 },
+    { pattern: /^(days?|d)$/i, hours: 24 },
+    { pattern: /^(weeks?|wks?)$/i, hours: 24 * 7 }
+  ];
+
+  /**
+   * Period words and their canonical names
+   * @static
+   */
+  static PERIODS = {
+    daily: 'day', day: 'day', 'per day': 'day',
+    weekly: 'week', week: 'week', 'per week': 'week',
+    monthly: 'month', month: 'month', 'per month': 'month',
+    quarterly: 'quarter', quarter: 'quarter',
+    annually: 'year', annual: 'year', yearly: 'year', year: 'year', 'per year': 'year'
+  };
+
+  /**
+   * How many times each period occurs in a year
+   * Daily metrics describe work tasks, so a year counts working days only
+   * (50 weeks of 5 days) rather than 365 calendar days.
+   * @static
+   */
+  static PERIODS_PER_YEAR = { day: 250, week: 52, month: 12, quarter: 4, year: 1 };
+
+  /**
+   * Metric keys that describe the other metrics rather than measure anything
+   * @static
+   */
+  static RESERVED_KEYS = ['period'];
+
+  /**
+   * Normalizes every metric of a project's `metrics` object
+   * @static
+   * @param {Object} metrics - The project's metrics, e.g. `{ timeSaved: "35.98 hours", period: "annually" }`
+   * @returns {Array<Object>} - Normalized metrics (see normalize); unparseable values are skipped
+   */
+  static normalizeAll(metrics) {
+    if (!metrics || typeof metrics !== 'object') {
+      return [];
+    }
+
+    const period = MetricNormalizer.parsePeriod(metrics.period);
+    return Object.entries(metrics)
+      .filter(([key]) => !MetricNormalizer.RESERVED_KEYS.includes(key))
+      .map(([key, value]) => MetricNormalizer.normalize(key, value, period))
+      .filter(metric => metric !== null);
+  }
+
+  /**
+   * Normalizes a single metric value
+   * Money keeps its currency, time is converted to hours, and percentages stay
+   * percentages. "K" and "M" suffixes are expanded ("$5K" is 5000).
+   * @static
+   * @param {string} key - Metric name, e.g. "costSavings"
+   * @param {string|number} value - Metric value, e.g. "$4,838" or "0.5 hours"
+   * @param {string|null} [period=null] - Canonical period the value repeats over
+   * @returns {{key: string, kind: string, value: number, unit: string, period: (string|null), text: string}|null}
+   */
+  static normalize(key, value, period = null) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return { key, kind: 'count', value, unit: '', period, text: String(value) };
+    }
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    const text = value.trim();
+
+    const money = /^([$€£₹])\s*([\d,]+(?:\.\d+)?)\s*([kKmM])?\+?$/.exec(text);
+    if (money) {
+      return {
+        key,
+        kind: 'money',
+        value: MetricNormalizer._parseNumber(money[2], money[3]),
+        unit: MetricNormalizer.CURRENCIES[money[1]],
+        period,
+        text
+      };
+    }
+
+    const percentage = /^([\d,]+(?:\.\d+)?)\s*%$/.exec(text);
+    if (percentage) {
+      return { key, kind: 'percentage', value: MetricNormalizer._parseNumber(percentage[1]), unit: '%', period, text };
+    }
+
+    const duration = /^([\d,]+(?:\.\d+)?)\s*([A-Za-z]+)$/.exec(text);
+    if (duration) {
+      const unit = MetricNormalizer.TIME_UNITS.find(candidate => candidate.pattern.test(duration[2]));
+      if (unit) {
+        return {
+          key,
+          kind: 'time',
+          value: MetricNormalizer._parseNumber(duration[1]) * unit.hours,
+          unit: 'hours',
+          period,
+          text
+        };
+      }
+    }
+
+    const count = /^([\d,]+(?:\.\d+)?)\s*([kKmM])?$/.exec(text);
+    if (count) {
+      return { key, kind: 'count', value: MetricNormalizer._parseNumber(count[1], count[2]), unit: '', period, text };
+    }
+
+    return null;
+  }
+
+  /**
+   * Converts a period word such as "annually" or "daily" to its canonical name
+   * @static
+   * @param {string} period - Period text
+   * @returns {string|null} - 'day', 'week', 'month', 'quarter', 'year', or null if unknown
+   */
+  static parsePeriod(period) {
+    if (!period || typeof period !== 'string') {
+      return null;
+    }
+    return MetricNormalizer.PERIODS[period.toLowerCase().trim()] || null;
+  }
+
+  /**
+   * Converts a recurring metric to its yearly amount
+   * @static
+   * @param {Object} metric - A normalized metric
+   * @param {Object<string, number>} [periodsPerYear] - Overrides for PERIODS_PER_YEAR
+   *   (e.g. `{ day: 365 }` to count every calendar day)
+   * @returns {number|null} - Yearly amount, or null for one-off metrics and percentages
+   */
+  static annualize(metric, periodsPerYear = {}) {
+    if (!metric || !metric.period || metric.kind === 'percentage') {
+      return null;
+    }
+    const multiplier = { ...MetricNormalizer.PERIODS_PER_YEAR, ...periodsPerYear }[metric.period];
+    return multiplier === undefined ? null : metric.value * multiplier;
+  }
+
+  /**
+   * Normalizes and annualizes the metrics of every project
+   * Projects without metrics are left out.
+   * @static
+   * @param {Array<Object>} projects - Entries of the projects category
+   * @param {Object<string, number>} [periodsPerYear] - Overrides for PERIODS_PER_YEAR
+   * @returns {Array<{project: Object, metrics: Array<Object>}>} - Each metric also carries `perYear`,
+   *   its yearly amount (null for one-off metrics and percentages)
+   */
+  static normalizeProjects(projects, periodsPerYear = {}) {
+    if (!Array.isArray(projects)) {
+      return [];
+    }
+
+    return projects
+      .map(project => ({
+        project,
+        metrics: MetricNormalizer.normalizeAll(project.metrics).map(metric => ({
+          ...metric,
+          perYear: MetricNormalizer.annualize(metric, periodsPerYear)
+        }))
+      }))
+      .filter(item => item.metrics.length > 0);
+  }
+
+  /**
+   * Sums annualized project metrics into yearly totals
+   * Metrics are grouped by kind and unit, so money in different currencies is
+   * never added together. Metrics that cannot be annualized (coverage
+   * percentages, one-off figures) are listed separately.
+   * @static
+   * @param {Array<{project: Object, metrics: Array<Object>}>} projectMetrics - Output of normalizeProjects
+   * @returns {{totals: Array<{kind: string, unit: string, perYear: number, text: string, contributions: Array}>,
+   *   other: Array<{project: Object, metric: Object}>}} - Totals sorted with money first, largest contributions first
+   */
+  static aggregate(projectMetrics) {
+    const groups = new Map();
+    const other = [];
+
+    for (const { project, metrics } of projectMetrics) {
+      for (const metric of metrics) {
+        if (metric.perYear === null) {
+          other.push({ project, metric });
+          continue;
+        }
+
+        const groupKey = `${metric.kind}:${metric.unit}`;
+        if (!groups.has(groupKey)) {
+          groups.set(groupKey, { kind: metric.kind, unit: metric.unit, perYear: 0, contributions: [] });
+        }
+        const group = groups.get(groupKey);
+        group.perYear += metric.perYear;
+        group.contributions.push({ project, metric, perYear: metric.perYear });
+      }
+    }
+
+    const kindOrder = ['money', 'time', 'count'];
+    const totals = [...groups.values()]
+      .map(group => ({
+        ...group,
+        text: MetricNormalizer.format(group.perYear, group.kind, group.unit),
+        contributions: group.contributions.sort((a, b) => b.perYear - a.perYear)
+      }))
+      .sort((a, b) => kindOrder.indexOf(a.kind) - kindOrder.indexOf(b.kind));
+
+    return { totals, other };
+  }
+
+  /**
+   * Formats an amount with its unit, e.g. "$4,838" or "218.5 hours"
+   * @static
+   * @param {number} value - Amount
+   * @param {string} kind - Metric kind
+   * @param {string} unit - Metric unit
+   * @returns {string}
+   */
+  static format(value, kind, unit) {
+    const rounded = Math.round(value * 100) / 100;
+    const number = rounded.toLocaleString('en-US', { maximumFractionDigits: 2 });
+
+    if (kind === 'money') {
+      const symbol = Object.keys(MetricNormalizer.CURRENCIES).find(key => MetricNormalizer.CURRENCIES[key] === unit);
+      return symbol ? `${symbol}${number}` : `${number} ${unit}`;
+    }
+    if (kind === 'percentage') {
+      return `${number}%`;
+    }
+    if (kind === 'time') {
+      return `${number} ${rounded === 1 ? 'hour' : 'hours'}`;
+    }
+    return number;
+  }
+
+  /**
+   * Parses a number with thousands separators and an optional K/M suffix
+   * @private
+   * @static
+   */
+  static _parseNumber(digits, suffix = '') {
+    const multiplier = { k: 1000, m: 1000000 }[(suffix || '').toLowerCase()] || 1;
+    return Number(digits.replace(/,/g, '')) * multiplier;
+  }
+}
+
+// ES Module export
+export { MetricNormalizer };
+
+// CommonJS export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MetricNormalizer };
+}
+
+// Browser global
+if (typeof window !== 'undefined') {
+  window.MetricNormalizer = MetricNormalizer;
+}
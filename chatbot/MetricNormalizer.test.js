@@ -0,0 +1,90 @@
+import { MetricNormalizer } from './MetricNormalizer.js';
+import { knowledgeBase as data } from './knowledge-base.js';
+
+describe('MetricNormalizer', () => {
+  describe('normalize', () => {
+    test('parses money with its currency', () => {
+      expect(MetricNormalizer.normalize('costSavings', '$4,838', 'year')).toEqual({
+        key: 'costSavings', kind: 'money', value: 4838, unit: 'USD', period: 'year', text: '$4,838'
+      });
+      expect(MetricNormalizer.normalize('budget', '€5K').value).toBe(5000);
+    });
+
+    test('converts time to hours', () => {
+      expect(MetricNormalizer.normalize('timeSaved', '35.98 hours')).toMatchObject({ kind: 'time', value: 35.98, unit: 'hours' });
+      expect(MetricNormalizer.normalize('timeSaved', '30 minutes').value).toBe(0.5);
+      expect(MetricNormalizer.normalize('timeSaved', '2 days').value).toBe(48);
+    });
+
+    test('keeps percentages and plain counts', () => {
+      expect(MetricNormalizer.normalize('coverage', '100%')).toMatchObject({ kind: 'percentage', value: 100, unit: '%' });
+      expect(MetricNormalizer.normalize('tests', '1,250')).toMatchObject({ kind: 'count', value: 1250 });
+    });
+
+    test('returns null for values it cannot read', () => {
+      expect(MetricNormalizer.normalize('note', 'a lot')).toBeNull();
+      expect(MetricNormalizer.normalize('note', null)).toBeNull();
+    });
+  });
+
+  test('normalizes a metrics object with its period', () => {
+    expect(MetricNormalizer.normalizeAll({ timeSaved: '0.5 hours', period: 'daily' })).toEqual([
+      { key: 'timeSaved', kind: 'time', value: 0.5, unit: 'hours', period: 'day', text: '0.5 hours' }
+    ]);
+  });
+
+  describe('annualize', () => {
+    test('counts working days for daily metrics', () => {
+      const metric = MetricNormalizer.normalize('timeSaved', '0.5 hours', 'day');
+
+      expect(MetricNormalizer.annualize(metric)).toBe(125);
+      expect(MetricNormalizer.annualize(metric, { day: 365 })).toBe(182.5);
+    });
+
+    test('does not annualize one-off metrics or percentages', () => {
+      expect(MetricNormalizer.annualize(MetricNormalizer.normalize('timeSaved', '3 hours'))).toBeNull();
+      expect(MetricNormalizer.annualize(MetricNormalizer.normalize('coverage', '100%', 'year'))).toBeNull();
+    });
+  });
+
+  describe('aggregate', () => {
+    const { totals, other } = MetricNormalizer.aggregate(MetricNormalizer.normalizeProjects(data.projects));
+
+    test('sums the yearly savings across projects', () => {
+      expect(totals.map(total => [total.kind, total.text])).toEqual([
+        ['money', '$4,838'],
+        ['time', '160.98 hours']
+      ]);
+    });
+
+    test('orders contributions largest first', () => {
+      const time = totals.find(total => total.kind === 'time');
+
+      expect(time.contributions.map(item => [item.project.name, item.perYear])).toEqual([
+        ['Automatic Rule Trigger Tool', 125],
+        ['Kill Switch Mechanism', 35.98]
+      ]);
+    });
+
+    test('lists metrics that cannot be summed separately', () => {
+      expect(other.map(item => [item.project.name, item.metric.text])).toEqual([
+        ['VLS Functionality Testing Framework', '100%']
+      ]);
+    });
+
+    test('never adds different currencies together', () => {
+      const result = MetricNormalizer.aggregate(MetricNormalizer.normalizeProjects([
+        { name: 'A', metrics: { costSavings: '$100', period: 'annually' } },
+        { name: 'B', metrics: { costSavings: '€100', period: 'annually' } }
+      ]));
+
+      expect(result.totals.map(total => total.text)).toEqual(['$100', '€100']);
+    });
+  });
+
+  test('formats amounts with their units', () => {
+    expect(MetricNormalizer.format(4838, 'money', 'USD')).toBe('$4,838');
+    expect(MetricNormalizer.format(1, 'time', 'hours')).toBe('1 hour');
+    expect(MetricNormalizer.format(218.5, 'time', 'hours')).toBe('218.5 hours');
+  });
+});
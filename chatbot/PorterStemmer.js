@@ -0,0 +1,174 @@
+/**
+ * PorterStemmer Class
+ * 
+ * Reduces English words to their stems with the Porter (1980) algorithm, so
+ * "automated", "automating", "automation" and "automate" all become "autom".
+ * 
+ * One rule is added on top of the original algorithm: a stem ending in "ifi"
+ * loses its final "i", which lets "certified"/"certify" meet "certification"
+ * ("certif") and "verified" meet "verification".
+ */
+
+class PorterStemmer {
+  /**
+   * Words shorter than this are returned unchanged
+   * @static
+   */
+  static MIN_WORD_LENGTH = 3;
+
+  /**
+   * Step 2 suffix replacements
+   * @static
+   */
+  static STEP2_SUFFIXES = {
+    ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize',
+    bli: 'ble', alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous',
+    ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al', iveness: 'ive',
+    fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+  };
+
+  /**
+   * Step 3 suffix replacements
+   * @static
+   */
+  static STEP3_SUFFIXES = {
+    icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+  };
+
+  /**
+   * Patterns over consonant (C) and vowel (V) sequences used by the algorithm
+   * `measureAbove0` matches stems of the form [C](VC)^m[V] with m > 0,
+   * `measureIs1` with m = 1, `measureAbove1` with m > 1.
+   * @static
+   */
+  static PATTERNS = (() => {
+    const consonant = '[^aeiou]';
+    const vowel = '[aeiouy]';
+    const consonants = `${consonant}[^aeiouy]*`;
+    const vowels = `${vowel}[aeiou]*`;
+
+    return {
+      measureAbove0: new RegExp(`^(${consonants})?${vowels}${consonants}`),
+      measureIs1: new RegExp(`^(${consonants})?${vowels}${consonants}(${vowels})?$`),
+      measureAbove1: new RegExp(`^(${consonants})?${vowels}${consonants}${vowels}${consonants}`),
+      hasVowel: new RegExp(`^(${consonants})?${vowel}`),
+      endsCvc: new RegExp(`^${consonants}${vowel}[^aeiouwxy]$`)
+    };
+  })();
+
+  /**
+   * Stems a single lowercase word
+   * Words with digits or other non-letters (e.g. "s3", "e2e") are returned unchanged.
+   * @static
+   * @param {string} word - The word to stem
+   * @returns {string} - The stem
+   */
+  static stem(word) {
+    if (typeof word !== 'string') {
+      return '';
+    }
+
+    let w = word.toLowerCase();
+    if (w.length < PorterStemmer.MIN_WORD_LENGTH || !/^[a-z]+$/.test(w)) {
+      return w;
+    }
+
+    const { measureAbove0, measureIs1, measureAbove1, hasVowel, endsCvc } = PorterStemmer.PATTERNS;
+
+    // A leading "y" is a consonant; mark it so the vowel patterns skip it
+    const startsWithY = w[0] === 'y';
+    if (startsWithY) {
+      w = `Y${w.slice(1)}`;
+    }
+
+    // Step 1a: plurals
+    let match;
+    if ((match = /^(.+?)(ss|i)es$/.exec(w))) {
+      w = match[1] + match[2];
+    } else if ((match = /^(.+?)([^s])s$/.exec(w))) {
+      w = match[1] + match[2];
+    }
+
+    // Step 1b: past tense and gerunds
+    if ((match = /^(.+?)eed$/.exec(w))) {
+      if (measureAbove0.test(match[1])) {
+        w = w.slice(0, -1);
+      }
+    } else if ((match = /^(.+?)(ed|ing)$/.exec(w))) {
+      if (hasVowel.test(match[1])) {
+        w = match[1];
+        if (/(at|bl|iz)$/.test(w)) {
+          w += 'e';
+        } else if (/([^aeiouylsz])\1$/.test(w)) {
+          w = w.slice(0, -1);
+        } else if (endsCvc.test(w)) {
+          w += 'e';
+        }
+      }
+    }
+
+    // Step 1c: terminal y
+    if ((match = /^(.+?)y$/.exec(w)) && hasVowel.test(match[1])) {
+      w = `${match[1]}i`;
+    }
+
+    // Step 2: double suffixes
+    if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w))) {
+      if (measureAbove0.test(match[1])) {
+        w = match[1] + PorterStemmer.STEP2_SUFFIXES[match[2]];
+      }
+    }
+
+    // Step 3: -ic-, -full, -ness etc.
+    if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w))) {
+      if (measureAbove0.test(match[1])) {
+        w = match[1] + PorterStemmer.STEP3_SUFFIXES[match[2]];
+      }
+    }
+
+    // Step 4: -ant, -ence etc.
+    if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+      if (measureAbove1.test(match[1])) {
+        w = match[1];
+      }
+    } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+      const stem = match[1] + match[2];
+      if (measureAbove1.test(stem)) {
+        w = stem;
+      }
+    }
+
+    // Step 5a: final e
+    if ((match = /^(.+?)e$/.exec(w))) {
+      const stem = match[1];
+      if (measureAbove1.test(stem) || (measureIs1.test(stem) && !endsCvc.test(stem))) {
+        w = stem;
+      }
+    }
+
+    // Step 5b: final double l
+    if (/ll$/.test(w) && measureAbove1.test(w)) {
+      w = w.slice(0, -1);
+    }
+
+    // Extension: "-ify" verbs and their "-ification" nouns share a stem
+    if (/ifi$/.test(w)) {
+      w = w.slice(0, -1);
+    }
+
+    return startsWithY ? `y${w.slice(1)}` : w;
+  }
+}
+
+// ES Module export
+export { PorterStemmer };
+
+// CommonJS export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PorterStemmer };
+}
+
+// Browser global
+if (typeof window !== 'undefined') {
+  window.PorterStemmer = PorterStemmer;
+}
@@ -0,0 +1,24 @@
+import { PorterStemmer } from './PorterStemmer.js';
+
+describe('PorterStemmer', () => {
+  test('reduces the forms of "automate" to one stem', () => {
+    const stems = ['automated', 'automating', 'automation', 'automate'].map(word => PorterStemmer.stem(word));
+
+    expect(new Set(stems).size).toBe(1);
+  });
+
+  test('conflates tested/testing and certified/certification', () => {
+    expect(PorterStemmer.stem('tested')).toBe(PorterStemmer.stem('testing'));
+    expect(PorterStemmer.stem('certified')).toBe(PorterStemmer.stem('certification'));
+  });
+
+  test('follows the Porter rules for plurals and -ing', () => {
+    expect(PorterStemmer.stem('caresses')).toBe('caress');
+    expect(PorterStemmer.stem('ponies')).toBe('poni');
+    expect(PorterStemmer.stem('running')).toBe('run');
+  });
+
+  test('keeps different words apart', () => {
+    expect(PorterStemmer.stem('python')).not.toBe(PorterStemmer.stem('playwright'));
+  });
+});
@@ -0,0 +1,274 @@
+/**
+ * QueryEvaluator Class
+ *
+ * Runs the clauses produced by QueryParser against a SearchIndex for
+ * KnowledgeBase.structuredSearch. Filters, comparisons and phrases must all
+ * match, negated clauses must not, and bare terms and phrases are ranked with
+ * BM25. A query made only of filters returns every entry that passes them with
+ * relevance 1.
+ */
+
+import { SearchIndex } from './SearchIndex.js';
+import { MetricNormalizer } from './MetricNormalizer.js';
+import { DateRange } from './DateRange.js';
+
+class QueryEvaluator {
+  /**
+   * Initializes the evaluator
+   * @param {SearchIndex} index - Index of the knowledge base data
+   * @param {SynonymDictionary} synonyms - Dictionary used to expand terms and filter values
+   * @param {Object} [options] - Evaluation options
+   * @param {Date} [options.now] - Date that "Present" durations resolve to (default: today)
+   */
+  constructor(index, synonyms, options = {}) {
+    this.index = index;
+    this.synonyms = synonyms;
+    this.now = options.now || new Date();
+  }
+
+  /**
+   * Finds the documents that satisfy parsed clauses
+   * @param {Array<Object>} clauses - Clauses from QueryParser.parse
+   * @param {string[]} categories - Categories searched when no `in:` clause scopes the query
+   * @param {Object} [options] - Search options
+   * @param {boolean} [options.fuzzy] - Override the index's fuzzy matching setting
+   * @returns {Array} - Results (see SearchIndex.buildResult), sorted by relevance
+   */
+  evaluate(clauses, categories, options = {}) {
+    const included = clauses.filter(clause => !clause.negated);
+    const excluded = clauses.filter(clause => clause.negated && clause.type !== 'category');
+    const scopes = included.filter(clause => clause.type === 'category').map(clause => clause.value);
+    const excludedScopes = clauses
+      .filter(clause => clause.negated && clause.type === 'category')
+      .map(clause => clause.value);
+    const constraints = included.filter(clause => clause.type !== 'term' && clause.type !== 'category');
+
+    // Terms and phrases both drive ranking
+    const keywords = included
+      .filter(clause => clause.type === 'term' || clause.type === 'phrase')
+      .map(clause => this.synonyms.expand(clause.value).trim())
+      .filter(keyword => keyword.length > 0);
+    const matchesByDocument = keywords.length > 0 ? this.index.calculateRelevance(keywords, options) : null;
+
+    const results = [];
+    for (const category of (scopes.length > 0 ? scopes : categories)) {
+      if (excludedScopes.includes(category)) {
+        continue;
+      }
+
+      for (const document of this.index.getDocuments(category)) {
+        const documentMatch = matchesByDocument
+          ? matchesByDocument.get(document.id)
+          : { relevance: 1, matchedTerms: [] };
+
+        if (!documentMatch || documentMatch.relevance <= 0) {
+          continue;
+        }
+        if (!constraints.every(clause => this.matches(document, clause))) {
+          continue;
+        }
+        if (excluded.some(clause => this.matches(document, clause))) {
+          continue;
+        }
+
+        results.push(this.index.buildResult(document, documentMatch));
+      }
+    }
+
+    return results.sort((a, b) => b.relevance - a.relevance);
+  }
+
+  /**
+   * Checks whether a document satisfies a structured query clause
+   * @param {Object} document - An indexed document
+   * @param {Object} clause - A clause from QueryParser.parse
+   * @returns {boolean}
+   */
+  matches(document, clause) {
+    switch (clause.type) {
+      case 'term': {
+        const tokens = SearchIndex.tokenize(this.synonyms.expand(clause.value));
+        return tokens.length > 0 && tokens.every(token => this.index.containsTerm(document, token));
+      }
+      case 'phrase':
+        return this._containsPhrase(SearchIndex.itemToSearchText(document.data), clause.value);
+      case 'filter': {
+        // An alias matches either as typed or as its canonical term, as in free text
+        const phrases = [...new Set([clause.value, this.synonyms.expand(clause.value)])];
+        return this._getFieldValues(document, clause.field)
+          .some(value => phrases.some(phrase => this._containsPhrase(String(value), phrase)));
+      }
+      case 'comparison':
+        return this._getFieldValues(document, clause.field)
+          .some(value => this._compareValue(value, clause.operator, clause.value));
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Checks whether text contains a phrase as a whole-word sequence, ignoring case and punctuation
+   * @private
+   * @param {string} text - Text to search
+   * @param {string} phrase - Phrase to find
+   * @returns {boolean}
+   */
+  _containsPhrase(text, phrase) {
+    const normalizedPhrase = SearchIndex.tokenize(phrase).join(' ');
+    if (!normalizedPhrase) {
+      return false;
+    }
+    return ` ${SearchIndex.tokenize(text).join(' ')} `.includes(` ${normalizedPhrase} `);
+  }
+
+  /**
+   * Collects the primitive values stored under a field name anywhere in a document
+   * Items nested in an object category also answer to that category's field
+   * name, so `automation:pytest` matches the items of `skills.automation`.
+   * @private
+   * @param {Object} document - The indexed document
+   * @param {string} field - Field name (case-insensitive)
+   * @returns {Array<string|number|boolean>} - Matching values
+   */
+  _getFieldValues(document, field) {
+    const fieldName = field.toLowerCase();
+    const values = [];
+
+    const collectPrimitives = (value) => {
+      if (Array.isArray(value)) {
+        value.forEach(collectPrimitives);
+      } else if (typeof value === 'object' && value !== null) {
+        Object.values(value).forEach(collectPrimitives);
+      } else if (value !== undefined && value !== null) {
+        values.push(value);
+      }
+    };
+
+    const visit = (value) => {
+      if (Array.isArray(value)) {
+        value.forEach(visit);
+      } else if (typeof value === 'object' && value !== null) {
+        for (const [key, child] of Object.entries(value)) {
+          if (key.toLowerCase() === fieldName) {
+            collectPrimitives(child);
+          } else {
+            visit(child);
+          }
+        }
+      }
+    };
+
+    if (document.field && document.field.toLowerCase() === fieldName) {
+      collectPrimitives(document.data);
+    } else {
+      visit(document.data);
+    }
+
+    return values;
+  }
+
+  /**
+   * Compares a stored value against a parsed comparison operand
+   * Numbers are read with MetricNormalizer, so "$4,838", "12%" and
+   * "35.98 hours" compare by their amount (durations in hours). Date ranges
+   * such as "Apr 2019 - Oct 2022" are read with DateRange and compared with
+   * the year or month of the operand (see _compareRange). Empty and
+   * unparseable values never match.
+   * @private
+   * @param {*} value - Stored value
+   * @param {string} operator - One of >=, <=, >, <, =
+   * @param {{kind: string, value: number}} operand - Number or date timestamp
+   * @returns {boolean}
+   */
+  _compareValue(value, operator, operand) {
+    if (typeof value === 'boolean' || (typeof value === 'string' && !value.trim())) {
+      return false;
+    }
+
+    const range = typeof value === 'string' ? DateRange.parse(value, this.now) : null;
+    if (range) {
+      return this._compareRange(range, operator, operand);
+    }
+
+    let comparable;
+    if (operand.kind === 'date') {
+      // Bare years count as January 1st of that year
+      comparable = typeof value === 'number' || /^\d{4}$/.test(String(value))
+        ? Date.UTC(Number(value), 0, 1)
+        : Date.parse(String(value));
+    } else {
+      const metric = MetricNormalizer.normalize('value', value);
+      comparable = metric ? metric.value : NaN;
+    }
+
+    if (Number.isNaN(comparable)) {
+      return false;
+    }
+
+    switch (operator) {
+      case '>=':
+        return comparable >= operand.value;
+      case '<=':
+        return comparable <= operand.value;
+      case '>':
+        return comparable > operand.value;
+      case '<':
+        return comparable < operand.value;
+      case '=':
+        return comparable === operand.value;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Compares a date range with the year (number operand) or month (date operand) of a comparison
+   * `>=` and `>` ask whether the range reaches that period or goes past it,
+   * `<=` and `<` whether it started by then or before it, and `=` whether it
+   * overlaps it, so `duration>=2022` matches "Apr 2019 - Oct 2022".
+   * @private
+   * @param {DateRange} range - Stored range
+   * @param {string} operator - One of >=, <=, >, <, =
+   * @param {{kind: string, value: number}} operand - Number or date timestamp
+   * @returns {boolean}
+   */
+  _compareRange(range, operator, operand) {
+    let period = null;
+    if (operand.kind === 'date') {
+      period = DateRange.between(new Date(operand.value));
+    } else if (Number.isInteger(operand.value)) {
+      period = DateRange.fromYear(operand.value);
+    }
+    if (!period) {
+      return false;
+    }
+
+    switch (operator) {
+      case '>=':
+        return range.endIndex >= period.startIndex;
+      case '<=':
+        return range.startIndex <= period.endIndex;
+      case '>':
+        return range.endIndex > period.endIndex;
+      case '<':
+        return range.startIndex < period.startIndex;
+      case '=':
+        return range.overlaps(period);
+      default:
+        return false;
+    }
+  }
+}
+
+// ES Module export
+export { QueryEvaluator };
+
+// CommonJS export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { QueryEvaluator };
+}
+
+// Browser global
+if (typeof window !== 'undefined') {
+  window.QueryEvaluator = QueryEvaluator;
+}
@@ -0,0 +1,63 @@
+import { QueryEvaluator } from './QueryEvaluator.js';
+import { QueryParser } from './QueryParser.js';
+import { SearchIndex } from './SearchIndex.js';
+import { SynonymDictionary } from './SynonymDictionary.js';
+import { knowledgeBase as data } from './knowledge-base.js';
+
+describe('QueryEvaluator', () => {
+  const categories = Object.keys(data);
+  const evaluator = new QueryEvaluator(new SearchIndex(data), new SynonymDictionary());
+  const pathsFor = query => evaluator.evaluate(new QueryParser({ categories }).parse(query), categories)
+    .map(result => result.path);
+
+  test('applies field filters within a category', () => {
+    expect(pathsFor('technologies:python in:projects').sort()).toEqual(['projects[0]', 'projects[1]', 'projects[2]']);
+    expect(pathsFor('company:werp')).toEqual(['experience[2]']);
+  });
+
+  test('compares years and dates', () => {
+    expect(pathsFor('in:certifications year>=2024')).toEqual(['certifications[0]']);
+    expect(pathsFor('in:awards year<2020')).toEqual(['awards[1]']);
+    expect(pathsFor('year>=2023-01').sort()).toEqual(['awards[0]', 'certifications[0]']);
+  });
+
+  test('compares durations as date ranges', () => {
+    expect(pathsFor('in:experience duration>=2022')).toEqual(['experience[0]', 'experience[1]', 'experience[2]']);
+    expect(pathsFor('in:experience duration<2020')).toEqual(['experience[2]']);
+    expect(pathsFor('in:experience duration=2021')).toEqual(['experience[1]', 'experience[2]']);
+    expect(pathsFor('in:experience duration<=2019-03')).toEqual([]);
+  });
+
+  test('compares metric values by amount', () => {
+    expect(pathsFor('costSavings>=4000')).toEqual(['projects[0]']);
+    expect(pathsFor('costSavings>5000')).toEqual([]);
+  });
+
+  test('never matches empty values', () => {
+    const emptyData = { ...data, awards: [{ title: 'Award', organization: 'Amazon', year: 2023, description: '' }] };
+    const emptyEvaluator = new QueryEvaluator(new SearchIndex(emptyData), new SynonymDictionary());
+    const clauses = new QueryParser().parse('in:awards description<=2030');
+
+    expect(emptyEvaluator.evaluate(clauses, categories)).toEqual([]);
+  });
+
+  test('matches quoted phrases in order', () => {
+    expect(pathsFor('"kill switch"')).toEqual(['projects[2]']);
+    expect(pathsFor('"switch kill"')).toEqual([]);
+  });
+
+  test('leaves out excluded terms, filters and categories', () => {
+    expect(pathsFor('in:projects -technologies:automation python')).toEqual(['projects[2]', 'projects[1]']);
+    expect(pathsFor('playwright -in:skills').some(path => path.startsWith('skills'))).toBe(false);
+    expect(pathsFor('in:experience automation -amazon')).toEqual([]);
+  });
+
+  test('expands aliases in terms', () => {
+    expect(pathsFor('in:experience py')).toEqual(pathsFor('in:experience python'));
+  });
+
+  test('expands aliases in filters', () => {
+    expect(pathsFor('in:experience technologies:py')).toEqual(['experience[0]']);
+    expect(pathsFor('in:experience technologies:py')).toEqual(pathsFor('in:experience technologies:python'));
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * QueryParser Class
+ * 
+ * Parses the structured query syntax accepted by KnowledgeBase.structuredSearch:
+ * - bare terms:            playwright python
+ * - quoted phrases:        "kill switch"
+ * - field filters:         technologies:python   name:"test framework"
+ * - category scoping:      in:projects
+ * - comparisons:           year>=2023   year<2022   year=2019
+ * - exclusions:            -selenium   -"manual testing"   -in:skills
+ * 
+ * Syntax errors are thrown as QuerySyntaxError with the 0-based position of the
+ * offending character.
+ */
+
+/**
+ * Error thrown for malformed structured queries
+ */
+class QuerySyntaxError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {number} position - 0-based character position in the query
+   */
+  constructor(message, position) {
+    super(`${message} at position ${position}`);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+class QueryParser {
+  /**
+   * Comparison operators, longest first so ">=" wins over ">"
+   * @static
+   */
+  static COMPARISON_OPERATORS = ['>=', '<=', '>', '<', '='];
+
+  /**
+   * Characters that end a bare word
+   * @static
+   */
+  static WORD_TERMINATORS = /[\s":<>=]/;
+
+  /**
+   * Initializes the parser
+   * @param {Object} [options] - Parser options
+   * @param {string[]} [options.categories] - Valid category names for `in:` (any name when omitted)
+   */
+  constructor(options = {}) {
+    this.categories = options.categories || null;
+  }
+
+  /**
+   * Parses a structured query into clauses
+   * @param {string} query - The query string
+   * @returns {Array<Object>} - Clauses in query order. Each has `type` ('term', 'phrase',
+   *   'filter', 'comparison' or 'category'), `negated` and `position`, plus `value` and,
+   *   for filters and comparisons, `field` and `operator`.
+   * @throws {QuerySyntaxError} - If the query is malformed
+   */
+  parse(query) {
+    if (typeof query !== 'string') {
+      throw new QuerySyntaxError('Query must be a string', 0);
+    }
+
+    this._input = query;
+    this._position = 0;
+    const clauses = [];
+
+    this._skipWhitespace();
+    while (this._position < this._input.length) {
+      clauses.push(this._parseClause());
+      this._skipWhitespace();
+    }
+
+    return clauses;
+  }
+
+  /**
+   * Parses one clause, with an optional leading '-'
+   * @private
+   * @returns {Object} - The clause
+   */
+  _parseClause() {
+    const start = this._position;
+    let negated = false;
+
+    if (this._peek() === '-') {
+      negated = true;
+      this._position++;
+      if (this._position >= this._input.length || /\s/.test(this._peek())) {
+        throw new QuerySyntaxError("Expected a term, phrase or filter after '-'", start);
+      }
+    }
+
+    if (this._peek() === '"') {
+      return { type: 'phrase', value: this._parsePhrase(), negated, position: start };
+    }
+
+    const fieldStart = this._position;
+    const word = this._parseWord();
+    const operator = this._parseOperator();
+
+    if (!operator) {
+      return { type: 'term', value: word, negated, position: start };
+    }
+
+    if (!word) {
+      throw new QuerySyntaxError(`Expected a field name before '${operator}'`, fieldStart);
+    }
+
+    const valueStart = this._position;
+    const value = this._peek() === '"' ? this._parsePhrase() : this._parseWord();
+    if (!value) {
+      throw new QuerySyntaxError(`Expected a value after '${word}${operator}'`, valueStart);
+    }
+
+    const field = word.toLowerCase();
+
+    if (field === 'in' && operator === ':') {
+      return { type: 'category', value: this._resolveCategory(value, valueStart), negated, position: start };
+    }
+
+    if (operator === ':') {
+      return { type: 'filter', field: word, operator, value, negated, position: start };
+    }
+
+    return {
+      type: 'comparison',
+      field: word,
+      operator,
+      value: this._parseComparable(value, valueStart),
+      negated,
+      position: start
+    };
+  }
+
+  /**
+   * Parses a double-quoted phrase
+   * @private
+   * @returns {string} - Phrase text without quotes
+   */
+  _parsePhrase() {
+    const start = this._position;
+    const end = this._input.indexOf('"', start + 1);
+
+    if (end === -1) {
+      throw new QuerySyntaxError('Unterminated quoted phrase', start);
+    }
+
+    const phrase = this._input.slice(start + 1, end).trim();
+    if (!phrase) {
+      throw new QuerySyntaxError('Empty quoted phrase', start);
+    }
+
+    this._position = end + 1;
+    return phrase;
+  }
+
+  /**
+   * Reads a bare word up to whitespace, a quote or an operator
+   * @private
+   * @returns {string}
+   */
+  _parseWord() {
+    const start = this._position;
+    while (this._position < this._input.length && !QueryParser.WORD_TERMINATORS.test(this._peek())) {
+      this._position++;
+    }
+    return this._input.slice(start, this._position);
+  }
+
+  /**
+   * Reads ':' or a comparison operator at the current position
+   * @private
+   * @returns {string|null} - The operator, or null if there is none
+   */
+  _parseOperator() {
+    if (this._peek() === ':') {
+      this._position++;
+      return ':';
+    }
+
+    for (const operator of QueryParser.COMPARISON_OPERATORS) {
+      if (this._input.startsWith(operator, this._position)) {
+        this._position += operator.length;
+        return operator;
+      }
+    }
+
+    if (this._peek() === '"') {
+      throw new QuerySyntaxError("Unexpected '\"' inside a term; separate phrases with a space", this._position);
+    }
+
+    return null;
+  }
+
+  /**
+   * Converts a comparison operand to a number or a date timestamp
+   * @private
+   * @param {string} value - Operand text
+   * @param {number} position - Operand position for errors
+   * @returns {{kind: string, value: number, text: string}} - Comparable operand
+   */
+  _parseComparable(value, position) {
+    if (/^-?\d+(\.\d+)?$/.test(value)) {
+      return { kind: 'number', value: Number(value), text: value };
+    }
+
+    if (/^\d{4}-\d{2}(-\d{2})?$/.test(value)) {
+      const timestamp = Date.parse(value.length === 7 ? `${value}-01` : value);
+      if (!Number.isNaN(timestamp)) {
+        return { kind: 'date', value: timestamp, text: value };
+      }
+    }
+
+    throw new QuerySyntaxError(`Expected a number or a date (YYYY-MM or YYYY-MM-DD), got '${value}'`, position);
+  }
+
+  /**
+   * Resolves an `in:` category name case-insensitively
+   * @private
+   * @param {string} value - Category name as typed
+   * @param {number} position - Value position for errors
+   * @returns {string} - The category name
+   */
+  _resolveCategory(value, position) {
+    if (!this.categories) {
+      return value;
+    }
+
+    const match = this.categories.find(category => category.toLowerCase() === value.toLowerCase());
+    if (!match) {
+      throw new QuerySyntaxError(`Unknown category '${value}' (expected one of: ${this.categories.join(', ')})`, position);
+    }
+    return match;
+  }
+
+  /**
+   * Returns the character at the current position
+   * @private
+   * @returns {string}
+   */
+  _peek() {
+    return this._input[this._position];
+  }
+
+  /**
+   * Advances past whitespace
+   * @private
+   */
+  _skipWhitespace() {
+    while (this._position < this._input.length && /\s/.test(this._peek())) {
+      this._position++;
+    }
+  }
+}
+
+// ES Module export
+export { QueryParser, QuerySyntaxError };
+
+// CommonJS export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { QueryParser, QuerySyntaxError };
+}
+
+// Browser global
+if (typeof window !== 'undefined') {
+  window.QueryParser = QueryParser;
+  window.QuerySyntaxError = QuerySyntaxError;
+}
@@ -0,0 +1,66 @@
+import { QueryParser, QuerySyntaxError } from './QueryParser.js';
+import { knowledgeBase as data } from './knowledge-base.js';
+
+describe('QueryParser', () => {
+  const parser = new QueryParser({ categories: Object.keys(data) });
+
+  test('parses filters, scopes, comparisons, phrases and exclusions', () => {
+    expect(parser.parse('technologies:python in:projects year>=2023 "kill switch" -selenium')).toEqual([
+      { type: 'filter', field: 'technologies', operator: ':', value: 'python', negated: false, position: 0 },
+      { type: 'category', value: 'projects', negated: false, position: 20 },
+      {
+        type: 'comparison',
+        field: 'year',
+        operator: '>=',
+        value: { kind: 'number', value: 2023, text: '2023' },
+        negated: false,
+        position: 32
+      },
+      { type: 'phrase', value: 'kill switch', negated: false, position: 43 },
+      { type: 'term', value: 'selenium', negated: true, position: 57 }
+    ]);
+  });
+
+  test('accepts quoted filter values and negated scopes', () => {
+    expect(parser.parse('name:"test framework" -in:skills')).toEqual([
+      { type: 'filter', field: 'name', operator: ':', value: 'test framework', negated: false, position: 0 },
+      { type: 'category', value: 'skills', negated: true, position: 22 }
+    ]);
+  });
+
+  test('returns no clauses for an empty query', () => {
+    expect(parser.parse('   ')).toEqual([]);
+  });
+
+  describe('syntax errors', () => {
+    const errorFor = query => {
+      try {
+        parser.parse(query);
+      } catch (error) {
+        return error;
+      }
+      return null;
+    };
+
+    test.each([
+      ['technologies:', "Expected a value after 'technologies:'", 13],
+      ['python year>=abc', "Expected a number or a date (YYYY-MM or YYYY-MM-DD), got 'abc'", 13],
+      ['selenium "kill switch', 'Unterminated quoted phrase', 9],
+      ['in:nowhere', "Unknown category 'nowhere'", 3],
+      ['python -', "Expected a term, phrase or filter after '-'", 7]
+    ])('reports the position for %j', (query, message, position) => {
+      const error = errorFor(query);
+
+      expect(error).toBeInstanceOf(QuerySyntaxError);
+      expect(error.message).toContain(message);
+      expect(error.message).toContain(`at position ${position}`);
+      expect(error.position).toBe(position);
+    });
+  });
+
+  test('accepts any category when none are configured', () => {
+    expect(new QueryParser().parse('in:anything')).toEqual([
+      { type: 'category', value: 'anything', negated: false, position: 0 }
+    ]);
+  });
+});
@@ -3,16 +3,40 @@
  * 
  * Analyzes user input to detect intent, extract keywords, and generate
  * contextually appropriate responses using the knowledge base.
+ * Timeline, impact, skill and comparison questions are answered by their
+ * responders, and follow-ups are resolved by the DialogueTracker.
  * 
  * Requirements: 2.1, 2.2, 2.3, 2.4, 2.5, 2.6, 2.7, 6.2
  */
 
+import { SynonymDictionary } from './SynonymDictionary.js';
+import { PorterStemmer } from './PorterStemmer.js';
+import { EntityRecognizer } from './EntityRecognizer.js';
+import { IntentClassifier } from './IntentClassifier.js';
+import { defaultSkillFamilies } from './skill-families.js';
+import { TimelineResponder } from './TimelineResponder.js';
+import { ImpactResponder } from './ImpactResponder.js';
+import { SkillResponder } from './SkillResponder.js';
+import { ComparisonResponder } from './ComparisonResponder.js';
+import { DialogueTracker } from './DialogueTracker.js';
+
 class QueryProcessor {
   /**
    * Initializes the QueryProcessor with a KnowledgeBase instance
    * @param {KnowledgeBase} knowledgeBase - The knowledge base to query
    * @param {Object} [options] - Configuration options
    * @param {number} [options.responseTimeout=2000] - Response timeout in milliseconds
+   * @param {SynonymDictionary|Object|boolean} [options.synonyms] - Alias dictionary
+   *   (default: the one shared with the KnowledgeBase)
+   * @param {Object<string, string[]>} [options.skillFamilies] - Groups of related technologies used to
+   *   suggest the closest listed skill for one that is not listed (default: skill-families.js)
+   * @param {number} [options.multiIntentMinScore=4] - Pattern score a clause of a compound
+   *   question needs to get its own answer section (4 = one high-priority match)
+   * @param {IntentClassifier|Object|null} [options.intentClassifier] - Trained classifier, or a
+   *   model exported by build-intent-model.js, consulted before the intent patterns (default: none,
+   *   patterns only)
+   * @param {number} [options.classifierMinConfidence=0.9] - Probability the classifier needs before
+   *   its intent is used instead of the patterns
    */
   constructor(knowledgeBase, options = {}) {
     if (!knowledgeBase) {
@@ -22,6 +46,15 @@ class QueryProcessor {
     
     // Performance configuration
     this.responseTimeout = options.responseTimeout || 2000; // 2 second default timeout
+    this.multiIntentMinScore = options.multiIntentMinScore || 4;
+    this.skillFamilies = options.skillFamilies || defaultSkillFamilies;
+    this.intentClassifier = this._createIntentClassifier(options.intentClassifier);
+    this.classifierMinConfidence = options.classifierMinConfidence || 0.9;
+
+    // Alias expansion shared with the knowledge base so intent detection and search agree
+    this.synonyms = SynonymDictionary.from(
+      options.synonyms !== undefined ? options.synonyms : knowledgeBase.synonyms
+    );
     
     // Intent patterns for category detection
     // High-priority patterns are specific to each category and should be weighted more heavily
@@ -32,7 +65,7 @@ class QueryProcessor {
       },
       skills: {
         high: ['skill', 'skills', 'technology', 'technologies', 'programming', 'technical abilities', 'expertise'],
-        medium: ['tech', 'know', 'language', 'languages', 'framework', 'frameworks', 'tool', 'tools', 'proficient', 'capable', 'ability', 'abilities', 'competent', 'python', 'javascript', 'playwright', 'selenium', 'pytest', 'aws', 'cloud']
+        medium: ['tech', 'know', 'language', 'languages', 'framework', 'frameworks', 'tool', 'tools', 'proficient', 'capable', 'ability', 'abilities', 'competent', 'python', 'javascript', 'playwright', 'selenium', 'pytest', 'aws', 'cloud', 'testing', 'automation', 'bdd']
       },
       projects: {
         high: ['project', 'projects', 'portfolio work', 'what have you built', 'what did you build', 'framework development'],
@@ -53,6 +86,58 @@ class QueryProcessor {
       personal: {
         high: ['who are you', 'about yourself', 'introduce yourself', 'introduction', 'dinakaran'],
         medium: ['who', 'yourself', 'introduce', 'name', 'summary', 'overview', 'describe yourself']
+      },
+      quickFacts: {
+        high: ['quick facts', 'quick version', 'short version', 'quick summary', 'short summary', 'key facts', 'at a glance', 'in a nutshell', 'tldr', 'tl;dr', 'elevator pitch'],
+        medium: ['quick', 'quickly', 'brief', 'briefly', 'short', 'facts', 'nutshell', 'glance', 'summarize', 'highlights']
+      },
+      testimonials: {
+        high: ['testimonial', 'testimonials', 'recommendation', 'recommendations', 'reference', 'references', 'referee', 'referees', 'endorsement', 'endorsements', 'colleagues say', 'people say', 'others say', 'say about', 'vouch for'],
+        medium: ['colleague', 'colleagues', 'coworker', 'coworkers', 'peers', 'manager', 'managers', 'quote', 'quotes', 'said', 'say', 'says', 'feedback', 'reviews', 'reputation', 'vouch', 'recommend']
+      }
+    };
+
+    // Named technologies, companies, entries and years, read from the knowledge base
+    this.entityRecognizer = EntityRecognizer.fromKnowledgeBase(knowledgeBase);
+    if (typeof knowledgeBase.on === 'function') {
+      knowledgeBase.on('change', () => {
+        this.entityRecognizer = EntityRecognizer.fromKnowledgeBase(knowledgeBase);
+      });
+    }
+
+    // Naming a project, award or certification points at its category
+    this.entityIntents = {
+      project: 'projects',
+      award: 'awards',
+      certification: 'certifications'
+    };
+
+    // Intent that lists the entries of each category
+    this.categoryIntents = {
+      projects: 'projects',
+      experience: 'experience',
+      awards: 'awards',
+      certifications: 'certifications',
+      testimonials: 'testimonials'
+    };
+
+    // Order of answer sections when one question asks about several things
+    this.intentOrder = [
+      'personal', 'quickFacts', 'experience', 'timeline', 'skills', 'capability', 'comparison', 'topic', 'evidence',
+      'projects', 'impact', 'certifications', 'awards', 'testimonials', 'contact'
+    ];
+
+    // How entries of each array category are counted and named in responses
+    this.entryLabels = {
+      projects: { one: 'project', many: 'projects', icon: '📁', name: item => item.name },
+      experience: { one: 'role', many: 'roles', icon: '💼', name: item => `${item.title} at ${item.company}` },
+      certifications: { one: 'certification', many: 'certifications', icon: '📜', name: item => item.name },
+      awards: { one: 'award', many: 'awards', icon: '🏆', name: item => item.title },
+      testimonials: {
+        one: 'testimonial',
+        many: 'testimonials',
+        icon: '💬',
+        name: item => (item.organization ? `${item.author}, ${item.organization}` : item.author)
       }
     };
 
@@ -114,6 +199,46 @@ class QueryProcessor {
         "What technologies do you know?",
         "Tell me about your projects"
       ],
+      quickFacts: [
+        "Tell me about your experience",
+        "What do colleagues say about you?",
+        "How can I contact you?"
+      ],
+      testimonials: [
+        "Can you provide a reference?",
+        "What awards have you received?",
+        "How can I contact you?"
+      ],
+      timeline: [
+        "What is your most recent role?",
+        "How long were you at Amazon?",
+        "What were you doing in 2022?"
+      ],
+      comparison: [
+        "Which project had the biggest impact?",
+        "Compare Playwright and Selenium",
+        "Compare your Amazon roles"
+      ],
+      capability: [
+        "What technologies do you know?",
+        "What certifications do you have?",
+        "What projects have you worked on?"
+      ],
+      evidence: [
+        "What projects have you worked on?",
+        "What certifications do you have?",
+        "What are your skills?"
+      ],
+      topic: [
+        "What projects have you worked on?",
+        "What certifications do you have?",
+        "Tell me about your experience"
+      ],
+      impact: [
+        "Tell me about your projects",
+        "What technologies do you use at Amazon?",
+        "What awards have you received?"
+      ],
       general: [
         "What is your experience?",
         "What technologies do you know?",
@@ -121,13 +246,22 @@ class QueryProcessor {
         "How can I contact you?"
       ]
     };
+
+    // Recognizers and formatters for the question types beyond plain category lookups
+    this.timelineResponder = new TimelineResponder(knowledgeBase);
+    this.impactResponder = new ImpactResponder(knowledgeBase);
+    this.skillResponder = new SkillResponder(this);
+    this.comparisonResponder = new ComparisonResponder(this);
+    this.dialogueTracker = new DialogueTracker(this);
   }
 
   /**
    * Main entry point for processing user queries
    * @param {string} query - The user's query
-   * @param {Object} conversationContext - Previous conversation context
-   * @returns {Object} - { response: string, suggestions: string[] }
+   * @param {Object[]} conversationContext - Recent messages (see ConversationManager.getContext);
+   *   the dialogue state stored with the last bot message lets follow-ups refer back to it
+   * @returns {Object} - { response: string, suggestions: string[], dialogue: Object }; store
+   *   `dialogue` with the bot message (see getDialogueState)
    */
   processQuery(query, conversationContext = null) {
     // Validate input
@@ -138,26 +272,66 @@ class QueryProcessor {
       };
     }
 
-    const normalizedQuery = query.trim().toLowerCase();
-    
-    // Detect intent from the query
-    const intent = this.detectIntent(normalizedQuery);
-    
-    // Extract keywords for more specific matching
-    const keywords = this.extractKeywords(normalizedQuery);
+    // Expand aliases ("js", "amazon web services") to canonical terms first
+    const normalizedQuery = this.synonyms.expand(query.trim());
     
-    // Generate response based on intent and keywords
-    const response = this.generateResponse(intent, keywords, conversationContext);
+    // Follow-ups ("tell me more about that", "when did you get it?") build on the previous answer
+    const dialogue = this.getDialogueState(conversationContext);
+    const followUp = dialogue ? this.dialogueTracker.parseFollowUp(normalizedQuery, dialogue) : null;
+
+    if (followUp) {
+      return {
+        response: this.dialogueTracker.respond(followUp, conversationContext),
+        suggestions: this.getSuggestions(followUp.intent),
+        dialogue: followUp.dialogue
+      };
+    }
+
+    // Detect the intent of each part of the query ("skills and projects" has two)
+    const sections = this._planSections(normalizedQuery);
     
-    // Get follow-up suggestions
-    const suggestions = this.getSuggestions(intent);
+    if (sections.length === 1) {
+      const { intent } = sections[0];
+      return {
+        response: this._respondToIntent(intent, normalizedQuery, conversationContext),
+        suggestions: this.getSuggestions(intent),
+        dialogue: this.dialogueTracker.describe([{ intent, clause: normalizedQuery }])
+      };
+    }
 
+    // Compound question: one section per intent, answered from its own clause
+    const intents = sections.map(section => section.intent);
     return {
-      response,
-      suggestions
+      response: sections
+        .map(({ intent, clause }) => this._respondToIntent(intent, clause, conversationContext))
+        .join('\n\n'),
+      suggestions: this._mergeSuggestions(intents),
+      dialogue: this.dialogueTracker.describe(sections)
     };
   }
 
+  /**
+   * Returns the dialogue state recorded with the most recent bot message
+   * The state names the last topic and the entries the answer showed, so a
+   * follow-up like "which one saved the most?" knows what "one" ranges over.
+   * @param {Object[]} conversationContext - Recent messages, oldest first
+   * @returns {{intent: string, entries: Array<{category: string, name: string}>, skill: string|null}|null}
+   */
+  getDialogueState(conversationContext) {
+    if (!Array.isArray(conversationContext)) {
+      return null;
+    }
+
+    for (let i = conversationContext.length - 1; i >= 0; i--) {
+      const message = conversationContext[i];
+      if (message && message.sender === 'bot') {
+        const dialogue = message.metadata && message.metadata.dialogue;
+        return dialogue && typeof dialogue.intent === 'string' ? dialogue : null;
+      }
+    }
+    return null;
+  }
+
   /**
    * Processes a query with timeout handling
    * Returns a fallback message if processing exceeds the timeout limit
@@ -220,6 +394,14 @@ class QueryProcessor {
       contact: "You can reach Dinakaran at dinakaranprabalanathan@gmail.com or connect on LinkedIn. Need more contact options?",
       certifications: "Dinakaran holds certifications in Playwright and Python automation. Want to know more details?",
       personal: "Dinakaran Prabalanathan is a QA Technician at Amazon with expertise in automation testing. What would you like to know?",
+      quickFacts: "In short: Dinakaran is a QA Technician at Amazon with 5+ years in automation testing. Ask me for the quick facts again!",
+      testimonials: "Colleagues at Amazon and WERP-India praise Dinakaran's automation work and leadership. Ask me again to see their quotes!",
+      timeline: "Dinakaran's career runs from 2019 to the present, and he currently works at Amazon. Ask me about a specific year or role!",
+      impact: "Dinakaran's automation projects save both money and hours of manual work every year. Ask me again for the exact totals!",
+      evidence: "Dinakaran uses Python, Playwright, Selenium and Pytest across his roles and projects. Ask me about a specific one!",
+      comparison: "Dinakaran's projects save both money and hours of manual work each year, and he uses Playwright and Selenium side by side. Ask me again for the full comparison!",
+      capability: "Dinakaran works mainly with Python, Playwright, Selenium and Pytest. Ask me again and I'll check that specific skill!",
+      topic: "Ask me about a specific technology and I'll show where it appears across Dinakaran's projects, roles and certifications.",
       general: "I'm here to help! You can ask about Dinakaran's experience, skills, projects, awards, or contact information."
     };
 
@@ -236,7 +418,9 @@ class QueryProcessor {
   }
 
   /**
-   * Detects the intent/category of a query using keyword matching
+   * Detects the intent/category of a query
+   * Specialised parsers run first, then the trained classifier if one is
+   * configured, then keyword matching against the intent patterns.
    * @param {string} query - The normalized query string
    * @returns {string} - The detected intent category
    */
@@ -245,39 +429,54 @@ class QueryProcessor {
       return 'general';
     }
 
-    const normalizedQuery = query.toLowerCase().trim();
-    const scores = {};
+    const normalizedQuery = this.synonyms.expand(query).trim();
 
-    // Calculate score for each intent based on keyword matches
-    for (const [intent, patterns] of Object.entries(this.intentPatterns)) {
-      scores[intent] = 0;
-      
-      // Check high-priority patterns first (weight: 5 for phrase match, 4 for word match)
-      if (patterns.high) {
-        for (const pattern of patterns.high) {
-          // Check for phrase match first
-          if (normalizedQuery.includes(pattern)) {
-            scores[intent] += 5;
-          } else {
-            // Check for word boundary match
-            const regex = new RegExp(`\\b${this._escapeRegex(pattern)}\\b`, 'i');
-            if (regex.test(normalizedQuery)) {
-              scores[intent] += 4;
-            }
-          }
-        }
+    // Date and duration questions ("what were you doing in 2022?") take precedence
+    if (this.timelineResponder.parse(normalizedQuery)) {
+      return 'timeline';
+    }
+
+    // "Playwright vs Selenium", "which project had the biggest impact?"
+    if (this.comparisonResponder.parse(normalizedQuery)) {
+      return 'comparison';
+    }
+
+    // Questions about how much the projects saved are answered from computed totals
+    if (this.impactResponder.parse(normalizedQuery)) {
+      return 'impact';
+    }
+
+    // Yes/no screening questions ("do you know Java?", "are you AWS certified?")
+    if (this.skillResponder.parseCapability(normalizedQuery)) {
+      return 'capability';
+    }
+
+    // "Where have you used Pytest?" is answered from the entity graph
+    if (this.skillResponder.parseEvidence(normalizedQuery)) {
+      return 'evidence';
+    }
+
+    // A bare technology ("python", "tell me about pytest") gets a cross-category overview
+    if (this.skillResponder.parseTopic(normalizedQuery)) {
+      return 'topic';
+    }
+
+    // Entry names are not in the training examples, so they are left to the patterns below
+    const entities = this.extractEntities(normalizedQuery);
+    if (!entities.some(entity => this.entityIntents[entity.type])) {
+      const classified = this._classifyIntent(normalizedQuery);
+      if (classified) {
+        return classified;
       }
-      
-      // Check medium-priority patterns (weight: 2 for word match, 1 for partial)
-      if (patterns.medium) {
-        for (const pattern of patterns.medium) {
-          const regex = new RegExp(`\\b${this._escapeRegex(pattern)}\\b`, 'i');
-          if (regex.test(normalizedQuery)) {
-            scores[intent] += 2;
-          } else if (normalizedQuery.includes(pattern)) {
-            scores[intent] += 1;
-          }
-        }
+    }
+
+    const scores = this._scoreIntents(normalizedQuery);
+
+    // A named entry ("the Kill Switch Mechanism") counts like a high-priority phrase
+    for (const entity of entities) {
+      const intent = this.entityIntents[entity.type];
+      if (intent) {
+        scores[intent] += 5;
       }
     }
 
@@ -300,25 +499,55 @@ class QueryProcessor {
     return detectedIntent;
   }
 
+  /**
+   * Detects every intent of a compound query
+   * The query is split on conjunctions and punctuation, and each clause that
+   * clearly asks about something gets its own intent ("what are your skills and
+   * projects?" gives skills and projects). Intents come back in answer order.
+   * @param {string} query - The query string
+   * @returns {string[]} - Detected intents; a single-intent query yields one entry
+   */
+  detectIntents(query) {
+    if (!query || typeof query !== 'string') {
+      return ['general'];
+    }
+
+    return this._planSections(this.synonyms.expand(query).trim()).map(section => section.intent);
+  }
+
+  /**
+   * Finds the technologies, companies, projects, awards, certifications and years a query names
+   * @param {string} query - The query string
+   * @returns {Array<{type: string, value: string|number, text: string, start: number, end: number}>}
+   *   - Entities in order of appearance, with their spans in `query` (see EntityRecognizer.recognize)
+   */
+  extractEntities(query) {
+    return this.entityRecognizer.recognize(query);
+  }
+
   /**
    * Extracts relevant keywords from a query
+   * Keywords are reduced to their stems, so "tested" and "testing" both yield "test".
    * @param {string} query - The query string
+   * @param {Object} [options] - Extraction options
+   * @param {boolean} [options.stem=true] - Run keywords through the Porter stemmer
    * @returns {string[]} - Array of extracted keywords
    */
-  extractKeywords(query) {
+  extractKeywords(query, options = {}) {
     if (!query || typeof query !== 'string') {
       return [];
     }
 
-    // Tokenize the query
-    const tokens = query
-      .toLowerCase()
+    // Expand aliases, then tokenize the query
+    const tokens = this.synonyms.expand(query)
       .replace(/[^\w\s]/g, ' ') // Remove punctuation
       .split(/\s+/)
       .filter(token => token.length > 1); // Remove single characters
 
     // Filter out stop words and return unique keywords
-    const keywords = tokens.filter(token => !this.stopWords.has(token));
+    const keywords = tokens
+      .filter(token => !this.stopWords.has(token))
+      .map(token => (options.stem === false ? token : PorterStemmer.stem(token)));
     
     return [...new Set(keywords)];
   }
@@ -328,9 +557,17 @@ class QueryProcessor {
    * @param {string} intent - The detected intent
    * @param {string[]} keywords - Extracted keywords
    * @param {Object} context - Conversation context
+   * @param {Object} [details] - Intent-specific details parsed from the query
+   * @param {Object} [details.temporal] - Parsed temporal question for the 'timeline' intent
+   * @param {Object} [details.impact] - Parsed savings question for the 'impact' intent
+   * @param {Object} [details.topic] - Technology named by the query for the 'topic' intent
+   * @param {Object} [details.evidence] - Skill and entry types asked about for the 'evidence' intent
+   * @param {Object} [details.capability] - Skills asked about for the 'capability' intent
+   * @param {Object} [details.comparison] - Skills or entries to compare for the 'comparison' intent
+   * @param {Object[]} [details.entities] - Entities named by the query, used to narrow entry lists
    * @returns {string} - The generated response
    */
-  generateResponse(intent, keywords, context = null) {
+  generateResponse(intent, keywords, context = null, details = {}) {
     // Handle general/unknown intent
     if (intent === 'general') {
       return this._generateFallbackResponse();
@@ -344,7 +581,15 @@ class QueryProcessor {
       awards: 'awards',
       contact: 'contact',
       certifications: 'certifications',
-      personal: 'personal'
+      personal: 'personal',
+      quickFacts: 'quickFacts',
+      testimonials: 'testimonials',
+      timeline: 'experience',
+      impact: 'projects',
+      topic: 'skills',
+      evidence: 'skills',
+      capability: 'skills',
+      comparison: 'skills'
     };
 
     const category = categoryMap[intent];
@@ -360,22 +605,40 @@ class QueryProcessor {
       return this._generateFallbackResponse();
     }
 
+    const entities = details.entities || [];
+
     // Generate response based on category
     switch (intent) {
       case 'experience':
-        return this._formatExperienceResponse(data, keywords, context);
+        return this._formatExperienceResponse(data, keywords, context, entities);
       case 'skills':
         return this._formatSkillsResponse(data, keywords, context);
       case 'projects':
-        return this._formatProjectsResponse(data, keywords, context);
+        return this._formatProjectsResponse(data, keywords, context, entities);
       case 'awards':
-        return this._formatAwardsResponse(data, keywords, context);
+        return this._formatAwardsResponse(data, keywords, context, entities);
       case 'contact':
         return this._formatContactResponse(data, keywords, context);
       case 'certifications':
-        return this._formatCertificationsResponse(data, keywords, context);
+        return this._formatCertificationsResponse(data, keywords, context, entities);
       case 'personal':
         return this._formatPersonalResponse(data, keywords, context);
+      case 'quickFacts':
+        return this._formatQuickFactsResponse(data, keywords, context);
+      case 'testimonials':
+        return this._formatTestimonialsResponse(data, keywords, context, entities);
+      case 'timeline':
+        return this.timelineResponder.respond(details.temporal || { type: 'overview' });
+      case 'impact':
+        return this.impactResponder.respond(details.impact || { measure: 'all' });
+      case 'topic':
+        return details.topic ? this.skillResponder.respondToTopic(details.topic) : this._generateFallbackResponse();
+      case 'evidence':
+        return details.evidence ? this.skillResponder.respondToEvidence(details.evidence) : this._generateFallbackResponse();
+      case 'capability':
+        return details.capability ? this.skillResponder.respondToCapability(details.capability) : this._generateFallbackResponse();
+      case 'comparison':
+        return details.comparison ? this.comparisonResponder.respond(details.comparison) : this._generateFallbackResponse();
       default:
         return this._generateFallbackResponse();
     }
@@ -411,14 +674,16 @@ class QueryProcessor {
    * Formats experience data into a natural response
    * @private
    */
-  _formatExperienceResponse(data, keywords, context) {
+  _formatExperienceResponse(data, keywords, context, entities = []) {
     if (!Array.isArray(data) || data.length === 0) {
       return "Dinakaran has over 5 years of professional experience in quality assurance and automation testing.";
     }
 
-    let response = "Here's an overview of Dinakaran's career journey and professional experience:\n\n";
+    const selection = this.selectEntries('experience', data, entities);
+    let response = this._describeSelection('experience', selection,
+      "Here's an overview of Dinakaran's career journey and professional experience:\n\n");
     
-    for (const exp of data) {
+    for (const exp of selection.entries) {
       response += `**${exp.title}** at ${exp.company}\n`;
       response += `📅 ${exp.duration} | 📍 ${exp.location}\n`;
       
@@ -475,14 +740,15 @@ class QueryProcessor {
    * Formats projects data into a natural response
    * @private
    */
-  _formatProjectsResponse(data, keywords, context) {
+  _formatProjectsResponse(data, keywords, context, entities = []) {
     if (!Array.isArray(data) || data.length === 0) {
       return "Dinakaran has worked on several automation projects that have saved thousands of dollars annually.";
     }
 
-    let response = "Here are some of Dinakaran's notable projects:\n\n";
+    const selection = this.selectEntries('projects', data, entities);
+    let response = this._describeSelection('projects', selection, "Here are some of Dinakaran's notable projects:\n\n");
 
-    for (const project of data) {
+    for (const project of selection.entries) {
       response += `**${project.name}**\n`;
       response += `${project.description}\n`;
       
@@ -504,14 +770,15 @@ class QueryProcessor {
    * Formats awards data into a natural response
    * @private
    */
-  _formatAwardsResponse(data, keywords, context) {
+  _formatAwardsResponse(data, keywords, context, entities = []) {
     if (!Array.isArray(data) || data.length === 0) {
       return "Dinakaran has received recognition for his innovative work and leadership.";
     }
 
-    let response = "Here are Dinakaran's awards and recognitions:\n\n";
+    const selection = this.selectEntries('awards', data, entities);
+    let response = this._describeSelection('awards', selection, "Here are Dinakaran's awards and recognitions:\n\n");
 
-    for (const award of data) {
+    for (const award of selection.entries) {
       response += `🏆 **${award.title}**\n`;
       response += `Awarded by: ${award.organization} | Year: ${award.year}\n`;
       
@@ -561,14 +828,15 @@ class QueryProcessor {
    * Formats certifications data into a natural response
    * @private
    */
-  _formatCertificationsResponse(data, keywords, context) {
+  _formatCertificationsResponse(data, keywords, context, entities = []) {
     if (!Array.isArray(data) || data.length === 0) {
       return "Dinakaran holds certifications in Playwright automation and Python programming.";
     }
 
-    let response = "Dinakaran holds the following certifications:\n\n";
+    const selection = this.selectEntries('certifications', data, entities);
+    let response = this._describeSelection('certifications', selection, "Dinakaran holds the following certifications:\n\n");
 
-    for (const cert of data) {
+    for (const cert of selection.entries) {
       response += `📜 **${cert.name}**\n`;
       response += `Issued by: ${cert.issuer} | Year: ${cert.year}\n`;
       
@@ -615,6 +883,354 @@ class QueryProcessor {
     return response;
   }
 
+  /**
+   * Splits a query into the intents it asks about, each with the clause it came from
+   * Parsers for dates, savings, skill usage and bare technologies read the
+   * whole query ("between 2020 and 2022", "where have you used Python and
+   * Pytest?"), so when one of them claims the query, only clauses with a
+   * pattern-based intent of their own are answered separately.
+   * @private
+   * @param {string} query - The normalized query
+   * @returns {Array<{intent: string, clause: string}>} - Sections in answer order
+   */
+  _planSections(query) {
+    const primary = this.detectIntent(query);
+    const parsedWhole = !this.intentPatterns[primary] && primary !== 'general';
+
+    const found = new Map();
+    for (const clause of this._splitClauses(query)) {
+      const intent = this.detectIntent(clause);
+      if (intent === 'general' || found.has(intent)) {
+        continue;
+      }
+
+      if (this.intentPatterns[intent]) {
+        // A stray word ("work", "where") is not a question of its own
+        if (this._scoreIntents(clause)[intent] >= this.multiIntentMinScore || this._classifyIntent(clause) === intent) {
+          found.set(intent, clause);
+        }
+      } else if (!parsedWhole) {
+        found.set(intent, clause);
+      }
+    }
+
+    if (parsedWhole) {
+      found.delete(primary);
+      found.set(primary, query);
+    }
+
+    if (found.size < 2) {
+      return [{ intent: primary, clause: query }];
+    }
+
+    const order = intent => {
+      const position = this.intentOrder.indexOf(intent);
+      return position === -1 ? this.intentOrder.length : position;
+    };
+
+    return [...found]
+      .map(([intent, clause]) => ({ intent, clause }))
+      .sort((a, b) => order(a.intent) - order(b.intent));
+  }
+
+  /**
+   * Splits a query on conjunctions and sentence punctuation
+   * @private
+   * @param {string} query - The normalized query
+   * @returns {string[]} - Non-empty clauses
+   */
+  _splitClauses(query) {
+    return query
+      .split(/[,;?!&]|\.(?=\s|$)|\b(?:and|or|plus|also|as well as)\b/i)
+      .map(clause => clause.trim())
+      .filter(clause => clause.length > 0);
+  }
+
+  /**
+   * Generates the response for one intent from the text that asked for it
+   * @private
+   * @param {string} intent - The intent to answer
+   * @param {string} text - The normalized query or clause
+   * @param {Object} context - Conversation context
+   * @returns {string}
+   */
+  _respondToIntent(intent, text, context) {
+    return this.generateResponse(intent, this.extractKeywords(text), context, {
+      temporal: intent === 'timeline' ? this.timelineResponder.parse(text) : null,
+      impact: intent === 'impact' ? this.impactResponder.parse(text) : null,
+      topic: intent === 'topic' ? this.skillResponder.parseTopic(text) : null,
+      evidence: intent === 'evidence' ? this.skillResponder.parseEvidence(text) : null,
+      capability: intent === 'capability' ? this.skillResponder.parseCapability(text) : null,
+      comparison: intent === 'comparison' ? this.comparisonResponder.parse(text) : null,
+      entities: this.extractEntities(text)
+    });
+  }
+
+  /**
+   * Combines the follow-up suggestions of several intents
+   * Suggestions that would ask again about an intent that was just answered
+   * are dropped, and at most one suggestion is kept per intent.
+   * @private
+   * @param {string[]} intents - The answered intents
+   * @returns {string[]}
+   */
+  _mergeSuggestions(intents) {
+    const covered = new Set(intents);
+    const limit = this.suggestionsByIntent.general.length;
+    const candidates = [...intents, 'general'].flatMap(intent => this.getSuggestions(intent));
+
+    const merged = [];
+    for (const suggestion of candidates) {
+      if (merged.length >= limit) {
+        break;
+      }
+      const intent = this.detectIntent(suggestion.toLowerCase());
+      if (!covered.has(intent)) {
+        covered.add(intent);
+        merged.push(suggestion);
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Resolves the intentClassifier option
+   * @private
+   * @param {IntentClassifier|Object|boolean|null|undefined} option - Classifier, exported model,
+   *   or nothing for patterns only
+   * @returns {IntentClassifier|null}
+   */
+  _createIntentClassifier(option) {
+    if (option instanceof IntentClassifier) {
+      return option;
+    }
+    return option ? IntentClassifier.fromJSON(option) : null;
+  }
+
+  /**
+   * Asks the trained classifier for a pattern-based intent or 'general'
+   * @private
+   * @param {string} query - The normalized query
+   * @returns {string|null} - The intent, or null without a classifier, below
+   *   classifierMinConfidence, or for an intent this processor doesn't answer
+   */
+  _classifyIntent(query) {
+    if (!this.intentClassifier) {
+      return null;
+    }
+
+    const { intent, confidence } = this.intentClassifier.classify(query);
+    if (!intent || confidence < this.classifierMinConfidence) {
+      return null;
+    }
+    return this.intentPatterns[intent] || intent === 'general' ? intent : null;
+  }
+
+  /**
+   * Scores how strongly a query matches each pattern-based intent
+   * High-priority patterns score 5 for a phrase match and 4 for a word match;
+   * medium-priority patterns score 2 for a word match and 1 for a partial match.
+   * @private
+   * @param {string} query - The normalized query
+   * @returns {Object<string, number>} - Score per intent
+   */
+  _scoreIntents(query) {
+    const scores = {};
+
+    // Calculate score for each intent based on keyword matches
+    for (const [intent, patterns] of Object.entries(this.intentPatterns)) {
+      scores[intent] = 0;
+      
+      // Check high-priority patterns first (weight: 5 for phrase match, 4 for word match)
+      if (patterns.high) {
+        for (const pattern of patterns.high) {
+          // Check for phrase match first
+          if (query.includes(pattern)) {
+            scores[intent] += 5;
+          } else {
+            // Check for word boundary match
+            const regex = new RegExp(`\\b${this._escapeRegex(pattern)}\\b`, 'i');
+            if (regex.test(query)) {
+              scores[intent] += 4;
+            }
+          }
+        }
+      }
+      
+      // Check medium-priority patterns (weight: 2 for word match, 1 for partial)
+      if (patterns.medium) {
+        for (const pattern of patterns.medium) {
+          const regex = new RegExp(`\\b${this._escapeRegex(pattern)}\\b`, 'i');
+          if (regex.test(query)) {
+            scores[intent] += 2;
+          } else if (query.includes(pattern)) {
+            scores[intent] += 1;
+          }
+        }
+      }
+    }
+
+    return scores;
+  }
+
+  /**
+   * Formats quick facts into a short at-a-glance summary
+   * @private
+   */
+  _formatQuickFactsResponse(data, keywords, context) {
+    const facts = data && typeof data === 'object' ? Object.entries(data) : [];
+    if (facts.length === 0) {
+      return "In short: Dinakaran is a QA Technician at Amazon with over 5 years of experience in automation testing.";
+    }
+
+    const labels = {
+      currentRole: '💼 Current role',
+      totalExperience: '📅 Experience',
+      specialization: '🎯 Specialization',
+      location: '📍 Location',
+      keyAchievement: '🏆 Key achievement',
+      annualSavings: '💰 Savings'
+    };
+
+    // Savings are computed from the project metrics, so the figure matches the impact answers;
+    // the annualSavings fact only describes them and is left out when no project has metrics
+    const { totals } = this.knowledgeBase.aggregateMetrics();
+    const savings = totals.map(total => `${total.text} per year`).join(' and ');
+
+    let response = "Here's Dinakaran at a glance:\n\n";
+    for (const [key, value] of facts) {
+      if (key === 'annualSavings' && !savings) {
+        continue;
+      }
+      // Unlabelled keys read as words: "openToRelocation" -> "Open to relocation"
+      const words = key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+      const label = labels[key] || `• ${words[0].toUpperCase()}${words.slice(1)}`;
+      response += `${label}: ${key === 'annualSavings' ? `${savings} ${value}` : value}\n`;
+    }
+
+    return response.trim();
+  }
+
+  /**
+   * Formats testimonials as quotes with their author and organization
+   * Reference requests ("can you provide a reference?") also explain how to
+   * get in touch with the people quoted.
+   * @private
+   */
+  _formatTestimonialsResponse(data, keywords, context, entities = []) {
+    if (!Array.isArray(data) || data.length === 0) {
+      return "I don't have any testimonials for Dinakaran yet, but you can reach out to him directly for references.";
+    }
+
+    const selection = this.selectEntries('testimonials', data, entities);
+    let response = this._describeSelection('testimonials', selection, "Here's what colleagues say about Dinakaran:\n\n");
+
+    for (const testimonial of selection.entries) {
+      response += `💬 "${testimonial.quote}"\n`;
+      response += `— ${this.entryLabels.testimonials.name(testimonial)}\n\n`;
+    }
+
+    const asksForReference = keywords.some(keyword => /^(?:refer|vouch)/.test(keyword));
+    if (asksForReference) {
+      const contact = this.knowledgeBase.getByCategory('contact');
+      const email = contact && contact.email ? ` at ${contact.email}` : '';
+      response += `📨 For a formal reference, contact Dinakaran${email} and he'll put you in touch with his referees.`;
+    }
+
+    return response.trim();
+  }
+
+  /**
+   * Narrows a category's entries to the ones a query names
+   * An entry referred back to or named outright ("the Kill Switch Mechanism") wins; otherwise the
+   * entries are filtered by every company, technology and year mentioned.
+   * @param {string} category - 'projects', 'experience', 'awards', 'certifications' or 'testimonials'
+   * @param {Object[]} data - All entries of the category
+   * @param {Object[]} entities - Entities named by the query (see extractEntities)
+   * @returns {{entries: Object[], named: boolean, scope: string, unmatched: boolean}} - `scope`
+   *   describes the filters applied (e.g. " at Amazon using Python"); `unmatched` means
+   *   nothing passed them and all entries are returned
+   */
+  selectEntries(category, data, entities) {
+    const nameTypes = { projects: 'project', experience: 'company', awards: 'award', certifications: 'certification' };
+    const ofType = type => entities.filter(entity => entity.type === type).map(entity => entity.value);
+
+    // Entries referred back to by a follow-up ("tell me more about it")
+    const references = ofType('reference');
+    const referenced = data.filter(entry => references.includes(this.entryLabels[category].name(entry)));
+    if (referenced.length > 0) {
+      return { entries: referenced, named: true, scope: '', unmatched: false };
+    }
+
+    if (category !== 'experience') {
+      const names = ofType(nameTypes[category]);
+      const named = data.filter(entry => names.includes(this.entryLabels[category].name(entry)));
+      if (named.length > 0) {
+        return { entries: named, named: true, scope: '', unmatched: false };
+      }
+    }
+
+    let entries = data;
+    let scope = '';
+
+    const companyField = { experience: 'company', testimonials: 'organization' }[category];
+    const companies = companyField ? ofType('company') : [];
+    if (companies.length > 0) {
+      entries = entries.filter(entry => companies.includes(entry[companyField]));
+      scope += ` ${category === 'testimonials' ? 'from' : 'at'} ${companies.join(' or ')}`;
+    }
+
+    const technologies = ofType('technology');
+    if (technologies.length > 0) {
+      const using = new Set(technologies.flatMap(technology => {
+        const result = this.knowledgeBase.getSkillEvidence(technology);
+        return result ? (result.evidence[category] || []).map(item => item.data) : [];
+      }));
+      entries = entries.filter(entry => using.has(entry));
+      scope += ` using ${technologies.join(' or ')}`;
+    }
+
+    const years = category === 'experience' ? ofType('year') : [];
+    if (years.length > 0) {
+      const held = new Set(years.flatMap(year => this.knowledgeBase.getExperienceInRange(year).map(item => item.data)));
+      entries = entries.filter(entry => held.has(entry));
+      scope += ` in ${years.join(' or ')}`;
+    }
+
+    if (entries.length === 0) {
+      return { entries: data, named: false, scope, unmatched: true };
+    }
+    return { entries, named: false, scope, unmatched: false };
+  }
+
+  /**
+   * Writes the opening line for a list of entries chosen by selectEntries
+   * @private
+   * @param {string} category - The entries' category
+   * @param {Object} selection - Result of selectEntries
+   * @param {string} intro - Opening line used when nothing was filtered
+   * @returns {string}
+   */
+  _describeSelection(category, selection, intro) {
+    const label = this.entryLabels[category];
+    const count = selection.entries.length;
+
+    if (selection.unmatched) {
+      return `I couldn't find any ${label.many}${selection.scope}, so here are all of Dinakaran's ${label.many}:\n\n`;
+    }
+    if (selection.named) {
+      return count === 1
+        ? `Here's the ${label.one} you asked about:\n\n`
+        : `Here are the ${label.many} you asked about:\n\n`;
+    }
+    if (!selection.scope) {
+      return intro;
+    }
+    return count === 1
+      ? `Here's Dinakaran's ${label.one}${selection.scope}:\n\n`
+      : `Here are Dinakaran's ${count} ${label.many}${selection.scope}:\n\n`;
+  }
+
   /**
    * Escapes special regex characters in a string
    * @private
@@ -0,0 +1,231 @@
+import { readFileSync } from 'node:fs';
+import { QueryProcessor } from './QueryProcessor.js';
+import { KnowledgeBase } from './KnowledgeBase.js';
+import { ConversationManager } from './ConversationManager.js';
+import { IntentClassifier } from './IntentClassifier.js';
+import { knowledgeBase as data } from './knowledge-base.js';
+
+describe('QueryProcessor', () => {
+  const knowledgeBase = new KnowledgeBase(data, { now: new Date('2025-06-15') });
+  const intentModel = JSON.parse(readFileSync(new URL('./intent-model.json', import.meta.url), 'utf8'));
+  const processor = new QueryProcessor(knowledgeBase, { intentClassifier: intentModel });
+  const ask = query => processor.processQuery(query).response;
+
+  /**
+   * Asks each question in turn, keeping the conversation so follow-ups
+   * can refer to the previous answer
+   */
+  const converse = (...queries) => {
+    const conversation = new ConversationManager();
+    let result;
+    for (const query of queries) {
+      conversation.addMessage(query, 'user');
+      result = processor.processQuery(query, conversation.getContext(5));
+      conversation.addMessage(result.response, 'bot', null, { dialogue: result.dialogue });
+    }
+    return result;
+  };
+
+  test('asks for a question when the query is empty', () => {
+    expect(ask('   ')).toContain("I didn't catch that");
+  });
+
+  describe('intents', () => {
+    test('loads an exported intent model and uses the patterns only without one', () => {
+      expect(processor.intentClassifier).toBeInstanceOf(IntentClassifier);
+      expect(new QueryProcessor(knowledgeBase).intentClassifier).toBeNull();
+    });
+
+    test('consults a trained intent classifier before the patterns', () => {
+      const intentClassifier = new IntentClassifier().train({
+        certifications: ['which badges have you earned'],
+        contact: ['how can I reach you']
+      });
+      const classified = new QueryProcessor(knowledgeBase, { intentClassifier });
+
+      expect(classified.detectIntent('which badges have you earned')).toBe('certifications');
+    });
+
+    test('detects every intent of a compound question', () => {
+      expect(processor.detectIntents('what are your skills and projects?')).toEqual(['skills', 'projects']);
+    });
+
+    test('answers each part of a compound question', () => {
+      const result = processor.processQuery('what are your skills and projects?');
+
+      expect(result.response).toContain('Python');
+      expect(result.response).toContain('Kill Switch Mechanism');
+      expect(result.dialogue.intent).toBe('projects');
+    });
+  });
+
+  describe('keywords', () => {
+    test('stems inflections to one keyword', () => {
+      expect(processor.extractKeywords('automated automating automation automate')).toEqual(['autom']);
+    });
+
+    test('expands aliases before extracting keywords', () => {
+      expect(processor.extractKeywords('JS and py e2e')).toEqual(['javascript', 'python', 'web', 'applic', 'test']);
+    });
+  });
+
+  describe('entities', () => {
+    test('answers about the named project only', () => {
+      const response = ask('Tell me about the Kill Switch Mechanism');
+
+      expect(response).toContain("Here's the project you asked about:");
+      expect(response).toContain('Kill Switch Mechanism');
+      expect(response).not.toContain('Automatic Test Re-runner Script');
+    });
+
+    test('answers about the named company', () => {
+      expect(ask('what did you do at WERP')).toContain("Here's Dinakaran's role at WERP-India:");
+    });
+
+    test('recognizes entries added after construction', () => {
+      const kb = new KnowledgeBase(data);
+      const dynamic = new QueryProcessor(kb, { intentClassifier: false });
+      kb.addEntry('projects', { name: 'Visual Diff Checker', description: 'Compares screenshots between builds' });
+
+      expect(dynamic.extractEntities('tell me about the visual diff checker')).toEqual([
+        expect.objectContaining({ type: 'project', value: 'Visual Diff Checker' })
+      ]);
+    });
+  });
+
+  test('shares the knowledge base synonyms', () => {
+    expect(processor.synonyms).toBe(knowledgeBase.synonyms);
+    expect(processor.detectIntent('what do you know about amazon web services?')).toBe('topic');
+  });
+
+  describe('timeline', () => {
+    test('lists the roles held in a year and their overlap', () => {
+      const response = ask('what were you doing in 2022?');
+
+      expect(response).toContain('Amazon');
+      expect(response).toContain('WERP-India');
+      expect(response).toContain('overlapped from May 2021 to Oct 2022');
+    });
+
+    test('reports tenure at a company', () => {
+      expect(ask('how long were you at Amazon?')).toContain('4 years 2 months');
+    });
+
+    test('reports the most recent role', () => {
+      expect(ask("what's your most recent role?")).toContain('Quality Assurance Technician');
+    });
+  });
+
+  describe('impact', () => {
+    test('totals money saved from the computed metrics', () => {
+      expect(ask('how much money have your projects saved?')).toContain('$4,838 per year');
+    });
+
+    test('totals time saved from the computed metrics', () => {
+      expect(ask('how much time have your projects saved?')).toContain('160.98 hours per year');
+    });
+
+    test('ranks projects by impact', () => {
+      expect(ask('which project had the biggest impact?')).toContain('**Automatic Test Re-runner Script** saved the most money');
+    });
+  });
+
+  describe('skills', () => {
+    test('shows where a skill was used', () => {
+      const response = ask('where have you used Pytest?');
+
+      expect(response).toContain('Amazon');
+      expect(response).toContain('VLS Functionality Testing Framework');
+    });
+
+    test('offers the closest skills for one that is not listed', () => {
+      const java = ask('Do you know Java?');
+
+      expect(java).toContain("isn't listed");
+      expect(java).toContain('**Python**');
+      expect(java).toContain('**JavaScript**');
+      expect(ask('Have you used Cypress?')).toMatch(/Playwright[\s\S]*Selenium|Selenium[\s\S]*Playwright/);
+    });
+
+    test('separates a missing certification from a listed skill', () => {
+      expect(ask('Are you AWS certified?'))
+        .toContain("**No AWS certification is listed**, but AWS is one of Dinakaran's skills.");
+    });
+
+    test('summarizes the evidence for a bare skill name', () => {
+      expect(ask('python')).toContain('**Python** appears in 3 projects, 2 certifications, 1 testimonial and 1 role');
+    });
+  });
+
+  describe('comparisons', () => {
+    test('compares two skills', () => {
+      expect(ask('Playwright vs Selenium')).toContain('**Playwright** vs **Selenium**:');
+    });
+
+    test('compares roles at one company', () => {
+      expect(ask('compare your Amazon roles')).toContain("Comparing 2 of Dinakaran's roles:");
+    });
+  });
+
+  describe('other sections', () => {
+    test('quotes testimonials with their authors', () => {
+      expect(ask('What do colleagues say about you?')).toContain('— Team Lead, Amazon');
+    });
+
+    test('gives the quick facts', () => {
+      expect(ask('give me the quick version')).toContain("Here's Dinakaran at a glance:");
+    });
+
+    test('derives the savings in the quick facts from the project metrics', () => {
+      const kb = new KnowledgeBase(data);
+      const quick = new QueryProcessor(kb, { intentClassifier: false });
+
+      expect(quick.processQuery('give me the quick version').response)
+        .toContain('💰 Savings: $4,838 per year and 160.98 hours per year through automation improvements');
+
+      kb.updateEntry('projects', 0, { metrics: { costSavings: '$1,000', period: 'annually' } });
+      expect(quick.processQuery('give me the quick version').response).toContain('💰 Savings: $1,000 per year and');
+      expect(JSON.stringify([data.personal, data.experience, data.quickFacts])).not.toContain('$');
+    });
+  });
+
+  describe('follow-ups', () => {
+    test('answers when an award was received', () => {
+      const { response } = converse('tell me about your awards', 'when did you get it?');
+
+      expect(response).toContain("Here's when:");
+      expect(response).toContain('2023');
+    });
+
+    test('ranks the projects from the previous answer', () => {
+      expect(converse('what projects have you worked on?', 'which one saved the most?').response)
+        .toContain('saved the most money');
+    });
+
+    test('carries the question over to a new skill', () => {
+      const { response, dialogue } = converse('where have you used Pytest?', 'what about Selenium?');
+
+      expect(dialogue.skill).toBe('Selenium');
+      expect(response).toContain('Selenium');
+    });
+
+    test('repeats a capability check for a new skill', () => {
+      const { response, dialogue } = converse('Do you know Playwright?', 'and Selenium?');
+
+      expect(dialogue).toMatchObject({ intent: 'capability', skill: 'Selenium' });
+      expect(response).toContain('**Yes** — Dinakaran has worked with **Selenium**.');
+    });
+
+    test('carries the question over to a new company', () => {
+      expect(converse('what did you do at Amazon?', 'what about WERP?').response).toContain('WERP-India');
+    });
+
+    test('records the entries each answer showed', () => {
+      expect(processor.processQuery('Tell me about the Kill Switch Mechanism').dialogue).toEqual({
+        intent: 'projects',
+        entries: [{ category: 'projects', name: 'Kill Switch Mechanism' }],
+        skill: null
+      });
+    });
+  });
+});
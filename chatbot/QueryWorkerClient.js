@@ -0,0 +1,474 @@
+/**
+ * QueryWorkerClient Class
+ * 
+ * Runs the KnowledgeBase and QueryProcessor in a dedicated Web Worker
+ * (query-worker.js) and exchanges messages with it by request id. A request
+ * that misses its deadline resolves with a fallback response, and the worker is
+ * terminated so the slow work really stops; the next request starts a fresh
+ * worker. Where Workers are unavailable (older browsers, Node) or the worker
+ * fails to start, queries run in-thread instead; if even that cannot build the
+ * knowledge base, every query resolves with an error response.
+ *
+ * The KnowledgeBase mutation API (addEntry, updateEntry, removeEntry,
+ * replaceCategory, on/off) is available on the client in every mode; in worker
+ * mode the calls are forwarded to the worker and return promises.
+ */
+
+import { KnowledgeBase } from './KnowledgeBase.js';
+import { QueryProcessor } from './QueryProcessor.js';
+
+/**
+ * Raised when the worker does not answer a request in time
+ */
+class QueryTimeoutError extends Error {
+  /**
+   * @param {string} type - Request type that timed out
+   * @param {number} timeout - The deadline in milliseconds
+   */
+  constructor(type, timeout) {
+    super(`Query worker did not answer "${type}" within ${timeout}ms`);
+    this.name = 'QueryTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+class QueryWorkerClient {
+  /**
+   * Default deadline for a query, matching QueryProcessor's response timeout
+   * @static
+   */
+  static DEFAULT_TIMEOUT = 2000;
+
+  /**
+   * Deadline for the worker to build (or hydrate) the knowledge base
+   * @static
+   */
+  static INIT_TIMEOUT = 5000;
+
+  /**
+   * Response used when a query times out in the worker
+   * @static
+   */
+  static TIMEOUT_RESPONSE = "That's taking me longer than expected. Could you try asking again? You can ask about Dinakaran's experience, skills, projects, awards, or contact information.";
+
+  /**
+   * Response used when the worker reports an error
+   * @static
+   */
+  static ERROR_RESPONSE = "I'm having a bit of trouble processing that request. Could you try rephrasing your question? You can ask about experience, skills, projects, awards, or contact information.";
+
+  /**
+   * Suggestions sent with fallback responses
+   * @static
+   */
+  static FALLBACK_SUGGESTIONS = [
+    "What is your experience?",
+    "What technologies do you know?",
+    "Tell me about your projects",
+    "How can I contact you?"
+  ];
+
+  /**
+   * KnowledgeBase methods forwarded by the mutation API
+   * @static
+   */
+  static MUTATION_METHODS = ['addEntry', 'updateEntry', 'removeEntry', 'replaceCategory'];
+
+  /**
+   * Creates a client; nothing is started until start or processQuery is called
+   * @param {Object} options - Configuration options
+   * @param {Object} options.data - Knowledge base data
+   * @param {Object} [options.snapshot] - Prebuilt index snapshot (see KnowledgeBase.fromSnapshot)
+   * @param {Object} [options.knowledgeBaseOptions] - KnowledgeBase constructor options
+   * @param {Object} [options.intentModel] - Trained intent model (see build-intent-model.js)
+   * @param {number} [options.timeout=2000] - Default query deadline in milliseconds
+   * @param {boolean} [options.useWorker=true] - Set to false to always run in-thread
+   * @param {string|URL} [options.workerUrl] - Worker script (default: query-worker.js next to this module)
+   */
+  constructor(options = {}) {
+    if (!options.data || typeof options.data !== 'object') {
+      throw new Error('QueryWorkerClient requires knowledge base data');
+    }
+
+    this.data = options.data;
+    this.snapshot = options.snapshot || null;
+    this.knowledgeBaseOptions = options.knowledgeBaseOptions || {};
+    this.intentModel = options.intentModel || null;
+    this.timeout = options.timeout || QueryWorkerClient.DEFAULT_TIMEOUT;
+    this.useWorker = options.useWorker !== false;
+    this.workerUrl = options.workerUrl || null;
+
+    // 'worker', 'in-thread' or 'error' once started
+    this.mode = null;
+    this.startError = null;
+
+    // Only set in-thread; in worker mode they live in the worker
+    this.knowledgeBase = null;
+    this.queryProcessor = null;
+
+    this._worker = null;
+    this._listeners = new Map();
+    this._pending = new Map();
+    this._nextId = 1;
+    this._starting = null;
+  }
+
+  /**
+   * Whether this environment can run module workers at all
+   * @static
+   * @returns {boolean}
+   */
+  static isWorkerSupported() {
+    return typeof Worker !== 'undefined' && typeof URL !== 'undefined';
+  }
+
+  /**
+   * Starts the worker, or the in-thread fallback
+   * Safe to call repeatedly; concurrent calls share one start. Never rejects:
+   * if the knowledge base cannot be built at all, the mode is 'error' and the
+   * cause is kept in `startError`.
+   * @returns {Promise<string>} - The mode in use: 'worker', 'in-thread' or 'error'
+   */
+  start() {
+    if (!this._starting) {
+      this._starting = this._start();
+    }
+    return this._starting;
+  }
+
+  /**
+   * Processes a query in the worker (or in-thread)
+   * Never rejects: timeouts and errors resolve with a fallback response.
+   * @param {string} query - The user's query
+   * @param {Object} [context=null] - Conversation context
+   * @param {number} [timeout] - Deadline in milliseconds (default: the client's timeout)
+   * @returns {Promise<Object>} - `{ response, suggestions, timedOut, error? }`
+   */
+  async processQuery(query, context = null, timeout = this.timeout) {
+    const mode = await this.start();
+
+    if (mode === 'error') {
+      return {
+        response: QueryWorkerClient.ERROR_RESPONSE,
+        suggestions: QueryWorkerClient.FALLBACK_SUGGESTIONS,
+        timedOut: false,
+        error: true
+      };
+    }
+
+    if (mode === 'in-thread') {
+      return this.queryProcessor.processQueryWithTimeout(query, context, timeout);
+    }
+
+    try {
+      const message = await this._request({ type: 'query', query, context }, timeout);
+      return { ...message.result, timedOut: false };
+    } catch (error) {
+      if (error instanceof QueryTimeoutError) {
+        // Terminating is the only way to stop a synchronous loop in the worker
+        this._resetWorker(error);
+        return { response: QueryWorkerClient.TIMEOUT_RESPONSE, suggestions: QueryWorkerClient.FALLBACK_SUGGESTIONS, timedOut: true };
+      }
+
+      console.error('[Chatbot] Query worker failed:', error);
+      return {
+        response: QueryWorkerClient.ERROR_RESPONSE,
+        suggestions: QueryWorkerClient.FALLBACK_SUGGESTIONS,
+        timedOut: false,
+        error: true
+      };
+    }
+  }
+
+  /**
+   * Appends an entry to an array category (see KnowledgeBase.addEntry)
+   * @param {string} category - Array category name
+   * @param {*} entry - The entry to add
+   * @returns {Promise<number>} - Index of the new entry
+   */
+  addEntry(category, entry) {
+    return this._mutate('addEntry', [category, entry]);
+  }
+
+  /**
+   * Updates an entry or property of a category (see KnowledgeBase.updateEntry)
+   * @param {string} category - Category name
+   * @param {number|string} key - Array index or property name
+   * @param {*} changes - Fields to merge, or the new value
+   * @returns {Promise<*>} - The updated entry
+   */
+  updateEntry(category, key, changes) {
+    return this._mutate('updateEntry', [category, key, changes]);
+  }
+
+  /**
+   * Removes an entry or property from a category (see KnowledgeBase.removeEntry)
+   * @param {string} category - Category name
+   * @param {number|string} key - Array index or property name
+   * @returns {Promise<*>} - The removed entry
+   */
+  removeEntry(category, key) {
+    return this._mutate('removeEntry', [category, key]);
+  }
+
+  /**
+   * Replaces or adds a whole category (see KnowledgeBase.replaceCategory)
+   * @param {string} category - Category name
+   * @param {*} value - New category data
+   * @returns {Promise<void>}
+   */
+  replaceCategory(category, value) {
+    return this._mutate('replaceCategory', [category, value]);
+  }
+
+  /**
+   * Subscribes to knowledge base changes, wherever the knowledge base runs
+   * Events and payloads are those of KnowledgeBase.on.
+   * @param {string} event - One of KnowledgeBase.CHANGE_EVENTS
+   * @param {Function} listener - Called with the change
+   * @returns {Function} - Unsubscribes the listener
+   */
+  on(event, listener) {
+    if (!KnowledgeBase.CHANGE_EVENTS.includes(event)) {
+      throw new Error(`Unknown event "${event}"; expected one of: ${KnowledgeBase.CHANGE_EVENTS.join(', ')}`);
+    }
+    if (typeof listener !== 'function') {
+      throw new TypeError('QueryWorkerClient event listeners must be functions');
+    }
+
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, new Set());
+    }
+    this._listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Unsubscribes a listener
+   * @param {string} event - Event name passed to on
+   * @param {Function} listener - The listener to remove
+   * @returns {boolean} - Whether the listener was subscribed
+   */
+  off(event, listener) {
+    const listeners = this._listeners.get(event);
+    return Boolean(listeners && listeners.delete(listener));
+  }
+
+  /**
+   * Stops the worker and resolves nothing further; pending requests are rejected
+   */
+  terminate() {
+    this._resetWorker(new Error('Query worker was terminated'));
+    this.mode = null;
+  }
+
+  /**
+   * Starts the worker, falling back to in-thread execution
+   * @private
+   * @returns {Promise<string>}
+   */
+  async _start() {
+    if (this.useWorker && QueryWorkerClient.isWorkerSupported()) {
+      try {
+        await this._startWorker();
+        this.mode = 'worker';
+        return this.mode;
+      } catch (error) {
+        console.warn('[Chatbot] Query worker unavailable, processing queries in-thread:', error);
+        this._resetWorker(error);
+      }
+    }
+
+    try {
+      this._startInThread();
+      this.mode = 'in-thread';
+    } catch (error) {
+      // A corrupt snapshot without data, or data failing strict validation
+      console.error('[Chatbot] Failed to build the knowledge base:', error);
+      this.startError = error;
+      this.mode = 'error';
+    }
+    return this.mode;
+  }
+
+  /**
+   * Spawns the worker and waits for it to build the knowledge base
+   * @private
+   */
+  async _startWorker() {
+    const url = this.workerUrl || new URL('./query-worker.js', import.meta.url);
+    this._worker = new Worker(url, { type: 'module' });
+    this._worker.addEventListener('message', (event) => this._handleMessage(event));
+    this._worker.addEventListener('error', (event) => {
+      event.preventDefault();
+      this._resetWorker(new Error(event.message || 'Query worker crashed'));
+    });
+
+    await this._request({
+      type: 'init',
+      data: this.data,
+      snapshot: this.snapshot,
+      options: this.knowledgeBaseOptions,
+      intentModel: this.intentModel
+    }, QueryWorkerClient.INIT_TIMEOUT);
+  }
+
+  /**
+   * Builds the knowledge base and query processor on this thread
+   * @private
+   */
+  _startInThread() {
+    const knowledgeBase = this.snapshot
+      ? KnowledgeBase.fromSnapshot(this.snapshot, this.data, this.knowledgeBaseOptions)
+      : new KnowledgeBase(this.data, this.knowledgeBaseOptions);
+    this.queryProcessor = new QueryProcessor(knowledgeBase, {
+      responseTimeout: this.timeout,
+      intentClassifier: this.intentModel
+    });
+    this.knowledgeBase = knowledgeBase;
+    knowledgeBase.on('change', (change) => this._emit(change));
+  }
+
+  /**
+   * Runs a KnowledgeBase mutation in the worker (or in-thread)
+   * In worker mode the changed category is copied back into `data`, so a
+   * restarted worker starts from the mutated knowledge base.
+   * @private
+   * @param {string} method - One of MUTATION_METHODS
+   * @param {Array} args - Arguments for the method
+   * @returns {Promise<*>} - The method's return value
+   * @throws {Error} - Validation and lookup errors from the knowledge base, or
+   *   the start error when the knowledge base is unavailable
+   */
+  async _mutate(method, args) {
+    const mode = await this.start();
+
+    if (mode === 'error') {
+      throw new Error(`Knowledge base is unavailable: ${this.startError.message}`);
+    }
+    if (mode === 'in-thread') {
+      return this.knowledgeBase[method](...args);
+    }
+
+    let message;
+    try {
+      message = await this._request({ type: 'mutate', method, args }, QueryWorkerClient.INIT_TIMEOUT);
+    } catch (error) {
+      if (error instanceof QueryTimeoutError) {
+        // Whether the change was applied is unknown; restart from the last confirmed data
+        this._resetWorker(error);
+      }
+      throw error;
+    }
+
+    this.data = { ...this.data, [message.change.category]: message.value };
+    this.snapshot = null;
+    this._emit(message.change);
+    return message.result;
+  }
+
+  /**
+   * Calls the listeners of a change; a failing listener never blocks the others
+   * @private
+   * @param {Object} change - KnowledgeBase change payload
+   */
+  _emit(change) {
+    for (const event of [change.type, 'change']) {
+      for (const listener of [...(this._listeners.get(event) || [])]) {
+        try {
+          listener(change);
+        } catch (error) {
+          console.error(`[Chatbot] Error in "${event}" listener:`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Sends a request and waits for the response with the same id
+   * @private
+   * @param {Object} message - Request without id
+   * @param {number} timeout - Deadline in milliseconds
+   * @returns {Promise<Object>} - The response message
+   */
+  _request(message, timeout) {
+    if (!this._worker) {
+      return Promise.reject(new Error('Query worker is not running'));
+    }
+
+    const id = this._nextId++;
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        this._pending.delete(id);
+        reject(new QueryTimeoutError(message.type, timeout));
+      }, timeout);
+
+      this._pending.set(id, { resolve, reject, timeoutId });
+      this._worker.postMessage({ id, ...message });
+    });
+  }
+
+  /**
+   * Settles the request a worker response belongs to
+   * Responses to requests that already timed out are ignored.
+   * @private
+   */
+  _handleMessage(event) {
+    const message = event.data || {};
+    const pending = this._pending.get(message.id);
+    if (!pending) {
+      return;
+    }
+
+    this._pending.delete(message.id);
+    clearTimeout(pending.timeoutId);
+
+    if (message.type === 'error') {
+      // Errors lose their class crossing the worker boundary; keep what callers inspect
+      const error = new Error(message.message);
+      error.name = message.name || error.name;
+      if (message.issues) {
+        error.issues = message.issues;
+      }
+      pending.reject(error);
+    } else {
+      pending.resolve(message);
+    }
+  }
+
+  /**
+   * Terminates the worker and rejects its pending requests
+   * The next request starts a new worker.
+   * @private
+   * @param {Error} reason - Rejection reason for pending requests
+   */
+  _resetWorker(reason) {
+    if (this._worker) {
+      this._worker.terminate();
+      this._worker = null;
+    }
+
+    for (const { reject, timeoutId } of this._pending.values()) {
+      clearTimeout(timeoutId);
+      reject(reason);
+    }
+    this._pending.clear();
+
+    if (this.mode === 'worker') {
+      this._starting = null;
+    }
+  }
+}
+
+// ES Module export
+export { QueryWorkerClient, QueryTimeoutError };
+
+// CommonJS export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { QueryWorkerClient, QueryTimeoutError };
+}
+
+// Browser global
+if (typeof window !== 'undefined') {
+  window.QueryWorkerClient = QueryWorkerClient;
+}
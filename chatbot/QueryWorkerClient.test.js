@@ -0,0 +1,173 @@
+import { jest } from '@jest/globals';
+import { QueryWorkerClient } from './QueryWorkerClient.js';
+import { knowledgeBase as data } from './knowledge-base.js';
+
+/**
+ * Stands in for a module worker: answers the query-worker.js protocol
+ * asynchronously, except for queries it is told to stall on
+ */
+class FakeWorker {
+  static instances = [];
+  static failInit = false;
+
+  constructor(url, options) {
+    this.url = url;
+    this.options = options;
+    this.listeners = {};
+    this.terminated = false;
+    FakeWorker.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  postMessage(request) {
+    const respond = response => setTimeout(() => {
+      if (!this.terminated) {
+        this.listeners.message({ data: { id: request.id, ...response } });
+      }
+    }, 0);
+
+    if (request.type === 'init') {
+      respond(FakeWorker.failInit ? { type: 'error', message: 'boom' } : { type: 'ready', indexSource: 'built' });
+    } else if (request.type === 'query' && request.query !== 'stall') {
+      respond({ type: 'result', result: { response: `Answer to ${request.query}`, suggestions: [] } });
+    } else if (request.type === 'mutate' && request.method === 'addEntry') {
+      const [category, entry] = request.args;
+      const value = [...data[category], entry];
+      respond({
+        type: 'mutated',
+        result: value.length - 1,
+        change: { type: 'add', category, key: value.length - 1, entry, previous: undefined },
+        value
+      });
+    } else if (request.type === 'mutate') {
+      respond({ type: 'error', message: 'Knowledge base data failed validation', name: 'KnowledgeBaseValidationError', issues: [{ path: 'x', message: 'y' }] });
+    }
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+describe('QueryWorkerClient', () => {
+  let consoleSpies;
+
+  beforeEach(() => {
+    consoleSpies = ['warn', 'error'].map(method => jest.spyOn(console, method).mockImplementation(() => {}));
+  });
+
+  afterEach(() => {
+    consoleSpies.forEach(spy => spy.mockRestore());
+    delete globalThis.Worker;
+    FakeWorker.instances = [];
+    FakeWorker.failInit = false;
+  });
+
+  test('requires knowledge base data', () => {
+    expect(() => new QueryWorkerClient()).toThrow('QueryWorkerClient requires knowledge base data');
+  });
+
+  describe('in-thread fallback', () => {
+    test('runs queries in-thread where Workers are unavailable', async () => {
+      const client = new QueryWorkerClient({ data });
+
+      expect(QueryWorkerClient.isWorkerSupported()).toBe(false);
+      const result = await client.processQuery('What is your experience?');
+
+      expect(client.mode).toBe('in-thread');
+      expect(result.timedOut).toBe(false);
+      expect(result.response).toContain('Quality Assurance Technician');
+    });
+
+    test('applies mutations and forwards change events', async () => {
+      const client = new QueryWorkerClient({ data });
+      const listener = jest.fn();
+      client.on('add', listener);
+
+      const index = await client.addEntry('projects', {
+        name: 'Visual Diff Checker',
+        description: 'Compares screenshots'
+      });
+
+      expect(index).toBe(4);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ type: 'add', category: 'projects', key: 4 }));
+      expect(client.knowledgeBase.search('screenshots').map(result => result.path)).toEqual(['projects[4]']);
+    });
+
+    test('resolves with an error response when the knowledge base cannot be built', async () => {
+      const client = new QueryWorkerClient({ data: { ...data, awards: [{ title: 'Award' }] } });
+      const result = await client.processQuery('hi');
+
+      expect(client.mode).toBe('error');
+      expect(result).toEqual({
+        response: QueryWorkerClient.ERROR_RESPONSE,
+        suggestions: QueryWorkerClient.FALLBACK_SUGGESTIONS,
+        timedOut: false,
+        error: true
+      });
+      await expect(client.addEntry('projects', {})).rejects.toThrow('Knowledge base is unavailable');
+    });
+  });
+
+  describe('worker mode', () => {
+    beforeEach(() => {
+      globalThis.Worker = FakeWorker;
+    });
+
+    test('sends queries to the worker by request id', async () => {
+      const client = new QueryWorkerClient({ data, workerUrl: 'query-worker.js' });
+      const result = await client.processQuery('hello');
+
+      expect(client.mode).toBe('worker');
+      expect(FakeWorker.instances[0].options).toEqual({ type: 'module' });
+      expect(result).toEqual({ response: 'Answer to hello', suggestions: [], timedOut: false });
+    });
+
+    test('terminates the worker when a query times out', async () => {
+      const client = new QueryWorkerClient({ data, workerUrl: 'query-worker.js' });
+      const result = await client.processQuery('stall', null, 20);
+
+      expect(result).toEqual({
+        response: QueryWorkerClient.TIMEOUT_RESPONSE,
+        suggestions: QueryWorkerClient.FALLBACK_SUGGESTIONS,
+        timedOut: true
+      });
+      expect(FakeWorker.instances[0].terminated).toBe(true);
+
+      // The next query starts a fresh worker
+      expect((await client.processQuery('hello')).response).toBe('Answer to hello');
+      expect(FakeWorker.instances).toHaveLength(2);
+    });
+
+    test('forwards mutations and keeps the changed data for restarts', async () => {
+      const client = new QueryWorkerClient({ data, workerUrl: 'query-worker.js' });
+      const listener = jest.fn();
+      client.on('change', listener);
+
+      expect(await client.addEntry('projects', { name: 'New', description: 'Project' })).toBe(4);
+      expect(client.data.projects).toHaveLength(5);
+      expect(data.projects).toHaveLength(4);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ type: 'add', key: 4 }));
+    });
+
+    test('rejects failed mutations with the error name and issues', async () => {
+      const client = new QueryWorkerClient({ data, workerUrl: 'query-worker.js' });
+
+      await expect(client.removeEntry('projects', 99)).rejects.toMatchObject({
+        name: 'KnowledgeBaseValidationError',
+        issues: [{ path: 'x', message: 'y' }]
+      });
+    });
+
+    test('falls back to in-thread when the worker fails to start', async () => {
+      FakeWorker.failInit = true;
+      const client = new QueryWorkerClient({ data, workerUrl: 'query-worker.js' });
+
+      expect(await client.start()).toBe('in-thread');
+      expect(FakeWorker.instances[0].terminated).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,1076 @@
+/**
+ * SearchIndex Class
+ *
+ * The search side of the KnowledgeBase. Splits knowledge base data into
+ * documents, indexes them in an inverted index ranked with BM25 (with stem,
+ * partial and typo-tolerant fuzzy matching) and in a TF-IDF VectorIndex for the
+ * 'vector' and 'hybrid' retrieval modes, and turns the scored documents into
+ * results carrying paths, highlight offsets, corrections and facet counts.
+ * An index is built once from the data it is given; the KnowledgeBase builds a
+ * new one whenever its data changes.
+ */
+
+import { PorterStemmer } from './PorterStemmer.js';
+import { VectorIndex } from './VectorIndex.js';
+
+class SearchIndex {
+  /**
+   * Threshold for high-confidence matches that trigger early termination
+   * Normalized scores stay below about 0.78; a keyword matched exactly in a
+   * short entry, such as one listed skill, scores about 0.74.
+   * @static
+   */
+  static HIGH_CONFIDENCE_THRESHOLD = 0.7;
+
+  /**
+   * BM25 term frequency saturation parameter
+   * @static
+   */
+  static BM25_K1 = 1.2;
+
+  /**
+   * BM25 document length normalization parameter
+   * @static
+   */
+  static BM25_B = 0.75;
+
+  /**
+   * Weight applied to partial (substring) term matches relative to exact matches
+   * @static
+   */
+  static PARTIAL_MATCH_WEIGHT = 0.5;
+
+  /**
+   * Keywords shorter than this never match as substrings of longer terms,
+   * so "or" doesn't match every "for", "work" and "report"
+   * @static
+   */
+  static MIN_PARTIAL_KEYWORD_LENGTH = 3;
+
+  /**
+   * Weight applied to terms that only share the keyword's stem (e.g. "automated" for "automation")
+   * @static
+   */
+  static STEM_MATCH_WEIGHT = 0.8;
+
+  /**
+   * Keywords shorter than this are ignored to avoid noise
+   * @static
+   */
+  static MIN_KEYWORD_LENGTH = 2;
+
+  /**
+   * Weight applied to fuzzy (typo-corrected) term matches, before scaling by similarity
+   * @static
+   */
+  static FUZZY_MATCH_WEIGHT = 0.7;
+
+  /**
+   * Default fuzzy tolerance: maximum edits allowed per keyword character
+   * @static
+   */
+  static FUZZY_TOLERANCE = 0.25;
+
+  /**
+   * Keywords shorter than this are never fuzzy-matched
+   * @static
+   */
+  static MIN_FUZZY_KEYWORD_LENGTH = 4;
+
+  /**
+   * Everyday words that are never typo-corrected, even where the knowledge
+   * base doesn't contain them; VectorIndex.STOP_WORDS are never corrected either
+   * @static
+   */
+  static COMMON_WORDS = new Set([
+    'build', 'built', 'make', 'made', 'work', 'worked', 'use', 'used', 'using',
+    'save', 'saved', 'time', 'times', 'get', 'got', 'give', 'gave', 'tell', 'told',
+    'know', 'knew', 'show', 'want', 'need', 'done', 'like', 'good', 'best', 'most',
+    'more', 'much', 'many', 'also', 'just', 'very', 'ever', 'been', 'them', 'then',
+    'there', 'here', 'into', 'over', 'other', 'each', 'every', 'only', 'year', 'years'
+  ]);
+
+  /**
+   * Retrieval modes: BM25 keyword relevance, TF-IDF cosine similarity, or a blend of both
+   * @static
+   */
+  static RETRIEVAL_MODES = ['keyword', 'vector', 'hybrid'];
+
+  /**
+   * Share of the vector similarity in a hybrid score (the rest is keyword relevance)
+   * @static
+   */
+  static HYBRID_VECTOR_WEIGHT = 0.5;
+
+  /**
+   * Vector matches at or below this cosine similarity are treated as noise
+   * @static
+   */
+  static MIN_VECTOR_SIMILARITY = 0.05;
+
+  /**
+   * Weight of a field that has no entry in the field weights
+   * @static
+   */
+  static DEFAULT_FIELD_WEIGHT = 1;
+
+  /**
+   * Default per-category weights for top-level fields of an entry
+   * A term found in a heavier field counts as that many occurrences, so hits in
+   * names and titles outrank passing mentions in long descriptions.
+   * The '*' entry applies to every category and is overridden per category.
+   * @static
+   */
+  static DEFAULT_FIELD_WEIGHTS = {
+    '*': { name: 3, title: 3, technologies: 2, description: 1.5, responsibilities: 1 },
+    personal: { name: 3, role: 2.5, company: 2, summary: 1, highlights: 1 },
+    experience: { title: 3, company: 2.5, technologies: 2, duration: 1, location: 0.5, responsibilities: 1 },
+    projects: { name: 3, technologies: 2, description: 1.5, impact: 1, metrics: 0.5 },
+    awards: { title: 3, organization: 2, year: 1.5, description: 1 },
+    certifications: { name: 3, issuer: 2, year: 1.5, description: 1 },
+    testimonials: { author: 2, organization: 2, quote: 1 }
+  };
+
+  /**
+   * Splits text into lowercase alphanumeric tokens
+   * @static
+   * @param {string} text - Text to tokenize
+   * @returns {string[]} - Tokens in order of appearance
+   */
+  static tokenize(text) {
+    if (!text) {
+      return [];
+    }
+    return text.toLowerCase().match(/[a-z0-9]+/g) || [];
+  }
+
+  /**
+   * Converts an item to searchable text
+   * @static
+   * @param {*} item - The item to convert
+   * @returns {string} - Searchable text representation
+   */
+  static itemToSearchText(item) {
+    if (typeof item === 'string') {
+      return item;
+    }
+
+    if (typeof item === 'number' || typeof item === 'boolean') {
+      return String(item);
+    }
+
+    if (Array.isArray(item)) {
+      return item.map(i => SearchIndex.itemToSearchText(i)).join(' ');
+    }
+
+    if (typeof item === 'object' && item !== null) {
+      const textParts = [];
+      for (const value of Object.values(item)) {
+        textParts.push(SearchIndex.itemToSearchText(value));
+      }
+      return textParts.join(' ');
+    }
+
+    return '';
+  }
+
+  /**
+   * Appends a property access to a JSON path
+   * @static
+   * @param {string} path - Base path
+   * @param {string} key - Property name
+   * @returns {string} - `path.key`, or `path["key"]` when the key is not an identifier
+   */
+  static appendPath(path, key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key)
+      ? `${path}.${key}`
+      : `${path}[${JSON.stringify(key)}]`;
+  }
+
+  /**
+   * Returns the value at a path built by appendPath, e.g. `skills.automation[1]`
+   * @static
+   * @param {Object} data - Knowledge base data
+   * @param {string} path - JSON path into the data
+   * @returns {*} - The value, or undefined if the path does not exist
+   */
+  static valueAtPath(data, path) {
+    const segments = /^[A-Za-z_$][\w$]*|\.[A-Za-z_$][\w$]*|\[\d+\]|\["(?:[^"\\]|\\.)*"\]/g;
+    let value = data;
+
+    for (const [segment] of path.matchAll(segments)) {
+      if (value === undefined || value === null) {
+        return undefined;
+      }
+      if (segment.startsWith('[')) {
+        value = value[JSON.parse(segment.slice(1, -1))];
+      } else {
+        value = value[segment.replace(/^\./, '')];
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Checks a retrieval mode name
+   * @static
+   * @param {string} [retrieval='keyword'] - Retrieval mode
+   * @returns {string} - The retrieval mode
+   * @throws {Error} If the mode is not one of RETRIEVAL_MODES
+   */
+  static resolveRetrieval(retrieval = 'keyword') {
+    if (!SearchIndex.RETRIEVAL_MODES.includes(retrieval)) {
+      throw new Error(`Unknown retrieval mode "${retrieval}"; expected one of: ${SearchIndex.RETRIEVAL_MODES.join(', ')}`);
+    }
+    return retrieval;
+  }
+
+  /**
+   * Collects the distinct typo corrections behind a set of results
+   * The correction from the highest-ranked result wins for each keyword.
+   * @static
+   * @param {Array} results - Ranked search results
+   * @returns {Array<{original: string, corrected: string}>} - One correction per keyword
+   */
+  static collectCorrections(results) {
+    const corrections = new Map();
+
+    for (const result of results) {
+      for (const correction of result.corrections || []) {
+        if (!corrections.has(correction.original)) {
+          corrections.set(correction.original, correction);
+        }
+      }
+    }
+
+    return [...corrections.values()];
+  }
+
+  /**
+   * Indexes knowledge base data
+   * @param {Object} data - Knowledge base data, keyed by category
+   * @param {Object} [options] - Configuration options (see KnowledgeBase for defaults)
+   * @param {number} [options.highConfidenceThreshold] - Threshold for early termination
+   * @param {number} [options.k1] - BM25 term frequency saturation
+   * @param {number} [options.b] - BM25 document length normalization
+   * @param {boolean} [options.fuzzy=true] - Match misspelled keywords against similar indexed terms
+   * @param {boolean} [options.stemming=true] - Match keywords against indexed terms with the same stem
+   * @param {string} [options.retrieval='keyword'] - Default retrieval mode
+   * @param {number} [options.vectorWeight] - Share of the vector similarity in hybrid scores
+   * @param {number} [options.fuzzyTolerance] - Maximum edits allowed per keyword character
+   * @param {Object<string, Object<string, number>>} [options.fieldWeights] - Per-category field
+   *   weights merged over DEFAULT_FIELD_WEIGHTS
+   */
+  constructor(data, options = {}) {
+    this._applyOptions(options);
+    this.data = data;
+    this._build();
+  }
+
+  /**
+   * Restores an index saved with toJSON without re-tokenizing
+   * Documents get their data back by path from `data`.
+   * @static
+   * @param {{index: Object, vectors: Object}} json - Output of toJSON
+   * @param {Object} data - The data the index was built from
+   * @param {Object} [options] - Constructor options; must match those the index was built with
+   * @returns {SearchIndex}
+   */
+  static fromJSON(json, data, options = {}) {
+    const { index } = json;
+    const searchIndex = Object.create(SearchIndex.prototype);
+    searchIndex._applyOptions(options);
+    searchIndex.data = data;
+
+    searchIndex._documents = [];
+    searchIndex._documentsByCategory = new Map(Object.keys(data).map(category => [category, []]));
+    index.documents.forEach(({ category, field, path, length }, id) => {
+      const document = { id, category, field: field || undefined, path, data: SearchIndex.valueAtPath(data, path), length };
+      searchIndex._documents.push(document);
+      searchIndex._documentsByCategory.get(category).push(document);
+    });
+
+    searchIndex._postings = new Map(index.postings.map(([term, postings]) => [term, new Map(postings)]));
+    searchIndex._stems = new Map(index.stems.map(([stem, terms]) => [stem, new Set(terms)]));
+    searchIndex._termDisplayForms = new Map(index.displayForms);
+    searchIndex._averageDocumentLength = index.averageDocumentLength;
+    searchIndex._vectorIndex = VectorIndex.fromJSON(json.vectors);
+    return searchIndex;
+  }
+
+  /**
+   * Serializes the inverted index and the vector index into JSON-safe values
+   * Document data is left out; fromJSON looks it up by path.
+   * @returns {{index: Object, vectors: Object}}
+   */
+  toJSON() {
+    return {
+      index: {
+        documents: this._documents.map(({ category, field, path, length }) => ({ category, field, path, length })),
+        postings: [...this._postings].map(([term, postings]) => [term, [...postings]]),
+        stems: [...this._stems].map(([stem, terms]) => [stem, [...terms]]),
+        displayForms: [...this._termDisplayForms],
+        averageDocumentLength: this._averageDocumentLength
+      },
+      vectors: this._vectorIndex.toJSON()
+    };
+  }
+
+  /**
+   * Returns the indexed documents of a category
+   * @param {string} category - Category name
+   * @returns {Array<Object>} - Documents `{ id, category, field?, path, data, length }`
+   */
+  getDocuments(category) {
+    return this._documentsByCategory.get(category) || [];
+  }
+
+  /**
+   * Checks whether a document contains a token, or with stemming on a term sharing its stem
+   * @param {Object} document - An indexed document
+   * @param {string} token - Lowercase token
+   * @returns {boolean}
+   */
+  containsTerm(document, token) {
+    const terms = this.stemming ? [token, ...this._findStemMatches(token)] : [token];
+    return terms.some(term => {
+      const postings = this._postings.get(term);
+      return Boolean(postings && postings.has(document.id));
+    });
+  }
+
+  /**
+   * Ranks the indexed documents of the given categories against keywords
+   * @param {string[]} keywords - Normalized keywords
+   * @param {string[]} categories - Categories to include, in search order
+   * @param {boolean} [enableEarlyTermination=false] - Stop after the first category with a high-confidence match
+   * @param {Object} [options] - Search options passed to score
+   * @returns {Array} - Matching results with relevance scores, sorted by relevance
+   */
+  rank(keywords, categories, enableEarlyTermination = false, options = {}) {
+    const matchesByDocument = this.score(keywords, options);
+    const results = [];
+
+    for (const category of categories) {
+      let hasHighConfidenceMatch = false;
+
+      for (const document of this.getDocuments(category)) {
+        const documentMatch = matchesByDocument.get(document.id);
+        if (!documentMatch || documentMatch.relevance <= 0) {
+          continue;
+        }
+
+        results.push(this.buildResult(document, documentMatch));
+
+        if (documentMatch.relevance >= this.highConfidenceThreshold) {
+          hasHighConfidenceMatch = true;
+        }
+      }
+
+      // Early termination: a high-confidence match makes later categories unnecessary
+      if (enableEarlyTermination && hasHighConfidenceMatch) {
+        break;
+      }
+    }
+
+    // Sort by relevance score (descending)
+    results.sort((a, b) => b.relevance - a.relevance);
+
+    return results;
+  }
+
+  /**
+   * Scores documents with the requested retrieval mode
+   * Hybrid relevance is `(1 - vectorWeight) * keyword + vectorWeight * vector`;
+   * matched terms (and so highlights) come from the keyword side only.
+   * @param {string[]} keywords - Normalized keywords
+   * @param {Object} [options] - Search options
+   * @param {string} [options.retrieval] - Override the default retrieval mode
+   * @param {number} [options.vectorWeight] - Override the default hybrid vector weight
+   * @param {boolean} [options.fuzzy] - Override the fuzzy matching setting
+   * @param {boolean} [options.stemming] - Override the stemming setting
+   * @returns {Map<number, {relevance: number, matchedTerms: Array}>} - Matches keyed by document id
+   */
+  score(keywords, options = {}) {
+    const retrieval = SearchIndex.resolveRetrieval(options.retrieval || this.retrieval);
+    if (retrieval === 'keyword') {
+      return this.calculateRelevance(keywords, options);
+    }
+
+    const vectorMatches = this._calculateSimilarity(keywords);
+    if (retrieval === 'vector') {
+      return vectorMatches;
+    }
+
+    const vectorWeight = options.vectorWeight ?? this.vectorWeight;
+    const keywordMatches = this.calculateRelevance(keywords, options);
+    const blended = new Map();
+
+    for (const documentId of new Set([...keywordMatches.keys(), ...vectorMatches.keys()])) {
+      const keywordMatch = keywordMatches.get(documentId);
+      const vectorMatch = vectorMatches.get(documentId);
+      blended.set(documentId, {
+        relevance: (1 - vectorWeight) * (keywordMatch ? keywordMatch.relevance : 0) +
+          vectorWeight * (vectorMatch ? vectorMatch.relevance : 0),
+        matchedTerms: keywordMatch ? keywordMatch.matchedTerms : []
+      });
+    }
+
+    return blended;
+  }
+
+  /**
+   * Calculates the BM25 relevance of every document matching the keywords
+   * Scores are normalized by the best attainable score for the query, so a
+   * document that matches every keyword prominently approaches 1.
+   * @param {string[]} keywords - Normalized keywords
+   * @param {Object} [options] - Search options passed to _resolveQueryTerms
+   * @returns {Map<number, {relevance: number, matchedTerms: Array}>} - Matches keyed by document id.
+   *   `matchedTerms` records, per keyword, the indexed term that scored it.
+   */
+  calculateRelevance(keywords, options = {}) {
+    const matchesByDocument = new Map();
+    const queryTerms = this._resolveQueryTerms(keywords, options);
+
+    if (queryTerms.length === 0) {
+      return matchesByDocument;
+    }
+
+    const { k1, b } = this;
+    const averageLength = this._averageDocumentLength || 1;
+    let maxScore = 0;
+
+    for (const queryTerm of queryTerms) {
+      maxScore += queryTerm.idf * (k1 + 1);
+
+      // A keyword contributes once per document, through its best-matching term
+      const contributions = new Map();
+
+      for (const match of queryTerm.matches) {
+        const postings = this._postings.get(match.term);
+        // Stem matches never take a higher idf than the keyword, so a rare inflection can't outscore the exact word
+        const idf = match.type === 'stem'
+          ? Math.min(queryTerm.idf, this._idf(postings.size))
+          : this._idf(postings.size);
+
+        for (const [documentId, frequency] of postings) {
+          const length = this._documents[documentId].length;
+          const saturation = (frequency * (k1 + 1)) /
+            (frequency + k1 * (1 - b + b * (length / averageLength)));
+          const contribution = match.weight * idf * saturation;
+
+          const current = contributions.get(documentId);
+          if (!current || contribution > current.contribution) {
+            contributions.set(documentId, { contribution, match });
+          }
+        }
+      }
+
+      for (const [documentId, { contribution, match }] of contributions) {
+        if (!matchesByDocument.has(documentId)) {
+          matchesByDocument.set(documentId, { relevance: 0, matchedTerms: [] });
+        }
+        const documentMatch = matchesByDocument.get(documentId);
+        documentMatch.relevance += contribution;
+        documentMatch.matchedTerms.push({ keyword: queryTerm.token, term: match.term, type: match.type });
+      }
+    }
+
+    for (const documentMatch of matchesByDocument.values()) {
+      documentMatch.relevance = Math.min(1, documentMatch.relevance / maxScore);
+    }
+
+    return matchesByDocument;
+  }
+
+  /**
+   * Builds the public result object for a matched document
+   * @param {Object} document - The indexed document
+   * @param {{relevance: number, matchedTerms: Array}} documentMatch - Relevance and matched terms
+   * @returns {Object} - `{ data, relevance, category, field?, path, matches, corrections? }`
+   */
+  buildResult(document, documentMatch) {
+    const { relevance, matchedTerms } = documentMatch;
+    const result = {
+      data: document.data,
+      relevance,
+      category: document.category
+    };
+    if (document.field) {
+      result.field = document.field;
+    }
+    result.path = document.path;
+    result.matches = this._locateMatches(document, matchedTerms);
+
+    const corrections = matchedTerms
+      .filter(matched => matched.type === 'fuzzy')
+      .map(matched => ({
+        original: matched.keyword,
+        corrected: this._termDisplayForms.get(matched.term) || matched.term
+      }));
+    if (corrections.length > 0) {
+      result.corrections = corrections;
+    }
+
+    return result;
+  }
+
+  /**
+   * Counts the entries behind a result list by category, technology and year
+   * Results are first grouped into the top-level entries they belong to, so a
+   * project matching in its name and its technologies counts once, and every
+   * item of the skills object counts towards a single "skills" entry.
+   * Technologies come from entries' `technologies` arrays and years from their
+   * `year` field (awards and certifications).
+   * @param {Array} results - Ranked results
+   * @returns {{category: Array<{value: string, count: number}>, technology: Array<{value: string, count: number}>,
+   *   year: Array<{value: number, count: number}>}} - Counts, largest first, ties in result order
+   */
+  buildFacets(results) {
+    const entries = new Map();
+    for (const result of results) {
+      const entryPath = /^[^.[]+(?:\[\d+\])?/.exec(result.path)[0];
+      if (!entries.has(entryPath)) {
+        const index = /\[(\d+)\]$/.exec(entryPath);
+        const categoryData = this.data[result.category];
+        entries.set(entryPath, {
+          category: result.category,
+          data: index ? categoryData[Number(index[1])] : categoryData
+        });
+      }
+    }
+
+    const counters = { category: new Map(), technology: new Map(), year: new Map() };
+    const count = (counter, key, value) => {
+      const current = counter.get(key) || { value, count: 0 };
+      current.count += 1;
+      counter.set(key, current);
+    };
+
+    for (const { category, data } of entries.values()) {
+      count(counters.category, category, category);
+
+      if (data && Array.isArray(data.technologies)) {
+        const seen = new Set();
+        for (const technology of data.technologies) {
+          const key = String(technology).toLowerCase();
+          if (!seen.has(key)) {
+            seen.add(key);
+            count(counters.technology, key, technology);
+          }
+        }
+      }
+
+      if (data && Number.isInteger(data.year)) {
+        count(counters.year, data.year, data.year);
+      }
+    }
+
+    const facets = {};
+    for (const [name, counter] of Object.entries(counters)) {
+      facets[name] = [...counter.values()].sort((a, b) => b.count - a.count);
+    }
+    return facets;
+  }
+
+  /**
+   * Applies the constructor options
+   * @private
+   * @param {Object} options - Options accepted by the constructor
+   */
+  _applyOptions(options) {
+    this.highConfidenceThreshold = options.highConfidenceThreshold || SearchIndex.HIGH_CONFIDENCE_THRESHOLD;
+    this.k1 = options.k1 ?? SearchIndex.BM25_K1;
+    this.b = options.b ?? SearchIndex.BM25_B;
+    this.fuzzy = options.fuzzy !== false;
+    this.fuzzyTolerance = options.fuzzyTolerance ?? SearchIndex.FUZZY_TOLERANCE;
+    this.stemming = options.stemming !== false;
+    this.retrieval = SearchIndex.resolveRetrieval(options.retrieval);
+    this.vectorWeight = options.vectorWeight ?? SearchIndex.HYBRID_VECTOR_WEIGHT;
+    this.fieldWeights = this._mergeFieldWeights(options.fieldWeights);
+  }
+
+  // ============ Indexing ============
+
+  /**
+   * Builds the inverted index over every searchable document
+   * A document is an array item, an object category, or an item of an array
+   * nested inside an object category (tagged with its field name).
+   * @private
+   */
+  _build() {
+    this._documents = [];
+    this._documentsByCategory = new Map();
+    this._postings = new Map();
+    this._stems = new Map();
+    this._termDisplayForms = new Map();
+    this._vectorIndex = new VectorIndex();
+
+    let totalLength = 0;
+
+    for (const category of Object.keys(this.data)) {
+      const documents = [];
+
+      for (const unit of this._collectDocumentUnits(this.data[category], category)) {
+        const document = this._indexDocument(unit.data, category, unit.field, unit.path);
+        documents.push(document);
+        totalLength += document.length;
+      }
+
+      this._documentsByCategory.set(category, documents);
+    }
+
+    this._averageDocumentLength = this._documents.length > 0
+      ? totalLength / this._documents.length
+      : 0;
+    this._vectorIndex.build();
+  }
+
+  /**
+   * Splits category data into the units that are indexed as documents
+   * @private
+   * @param {*} data - The category data
+   * @param {string} category - The category name, used as the root of each unit's path
+   * @returns {Array<{data: *, path: string, field: (string|undefined)}>} - Document units
+   */
+  _collectDocumentUnits(data, category) {
+    const units = [];
+
+    if (Array.isArray(data)) {
+      data.forEach((item, index) => {
+        units.push({ data: item, path: `${category}[${index}]` });
+      });
+    } else if (typeof data === 'object' && data !== null) {
+      // The whole object is a document, and so is every item of its nested arrays
+      units.push({ data, path: category });
+
+      for (const key of Object.keys(data)) {
+        if (Array.isArray(data[key])) {
+          data[key].forEach((item, index) => {
+            units.push({ data: item, field: key, path: `${SearchIndex.appendPath(category, key)}[${index}]` });
+          });
+        }
+      }
+    }
+
+    return units;
+  }
+
+  /**
+   * Tokenizes a data item and adds it to the postings lists
+   * Term frequencies and document length are weighted by the field each
+   * token came from (see DEFAULT_FIELD_WEIGHTS).
+   * @private
+   * @param {*} data - The item to index
+   * @param {string} category - Category the item belongs to
+   * @param {string} [field] - Field name for items nested in an object category
+   * @param {string} [path] - JSON path of the item within the knowledge base data
+   * @returns {Object} - The indexed document
+   */
+  _indexDocument(data, category, field, path = category) {
+    const termFrequencies = new Map();
+    const fields = this._collectWeightedFields(data, category);
+    let length = 0;
+
+    for (const { text, weight } of fields) {
+      const tokens = SearchIndex.tokenize(text);
+
+      for (const token of tokens) {
+        termFrequencies.set(token, (termFrequencies.get(token) || 0) + weight);
+      }
+      length += tokens.length * weight;
+
+      // Remember how each term is written in the data, for reporting corrections
+      for (const form of text.match(/[A-Za-z0-9]+/g) || []) {
+        const term = form.toLowerCase();
+        if (!this._termDisplayForms.has(term)) {
+          this._termDisplayForms.set(term, form);
+        }
+      }
+    }
+
+    const document = {
+      id: this._documents.length,
+      category,
+      field,
+      path,
+      data,
+      length
+    };
+    this._documents.push(document);
+    this._vectorIndex.add(document.id, fields);
+
+    for (const [term, frequency] of termFrequencies) {
+      if (!this._postings.has(term)) {
+        this._postings.set(term, new Map());
+      }
+      this._postings.get(term).set(document.id, frequency);
+
+      // Group indexed terms by stem so inflected keywords find them
+      const stem = PorterStemmer.stem(term);
+      if (!this._stems.has(stem)) {
+        this._stems.set(stem, new Set());
+      }
+      this._stems.get(stem).add(term);
+    }
+
+    return document;
+  }
+
+  /**
+   * Splits an item into the searchable text of each top-level field with its weight
+   * @private
+   * @param {*} data - The item to split
+   * @param {string} category - Category whose field weights apply
+   * @returns {Array<{text: string, weight: number}>} - Weighted field texts
+   */
+  _collectWeightedFields(data, category) {
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+      return [{ text: SearchIndex.itemToSearchText(data), weight: SearchIndex.DEFAULT_FIELD_WEIGHT }];
+    }
+
+    return Object.entries(data).map(([key, value]) => ({
+      text: SearchIndex.itemToSearchText(value),
+      weight: this._getFieldWeight(category, key)
+    }));
+  }
+
+  /**
+   * Returns the weight of a top-level field within a category
+   * @private
+   * @param {string} category - Category name
+   * @param {string} field - Field name
+   * @returns {number} - Field weight
+   */
+  _getFieldWeight(category, field) {
+    const categoryWeights = this.fieldWeights[category];
+    if (categoryWeights && categoryWeights[field] !== undefined) {
+      return categoryWeights[field];
+    }
+
+    const sharedWeights = this.fieldWeights['*'];
+    if (sharedWeights && sharedWeights[field] !== undefined) {
+      return sharedWeights[field];
+    }
+
+    return SearchIndex.DEFAULT_FIELD_WEIGHT;
+  }
+
+  /**
+   * Merges custom field weights over the defaults, category by category
+   * @private
+   * @param {Object<string, Object<string, number>>} [customWeights] - Custom weights
+   * @returns {Object<string, Object<string, number>>} - Merged weights
+   */
+  _mergeFieldWeights(customWeights = {}) {
+    const merged = {};
+
+    for (const [category, weights] of Object.entries(SearchIndex.DEFAULT_FIELD_WEIGHTS)) {
+      merged[category] = { ...weights };
+    }
+
+    for (const [category, weights] of Object.entries(customWeights || {})) {
+      if (!weights || typeof weights !== 'object') {
+        continue;
+      }
+      merged[category] = { ...(merged[category] || {}), ...weights };
+    }
+
+    return merged;
+  }
+
+  // ============ Query Term Resolution ============
+
+  /**
+   * Maps keywords to the indexed terms they match
+   * Exact matches carry full weight; terms sharing the keyword's stem
+   * ("automated" for "automation") carry STEM_MATCH_WEIGHT, and indexed terms
+   * that merely contain a keyword of at least MIN_PARTIAL_KEYWORD_LENGTH
+   * characters carry PARTIAL_MATCH_WEIGHT. Keywords with no exact, stem or
+   * partial match also try fuzzy matching (see _isCorrectable).
+   * @private
+   * @param {string[]} keywords - Normalized keywords
+   * @param {Object} [options] - Search options
+   * @param {boolean} [options.fuzzy] - Override the fuzzy matching setting
+   * @param {boolean} [options.stemming] - Override the stemming setting
+   * @returns {Array<{token: string, idf: number, matches: Array<{term: string, weight: number, type: string}>}>}
+   */
+  _resolveQueryTerms(keywords, options = {}) {
+    const fuzzy = options.fuzzy !== undefined ? options.fuzzy !== false : this.fuzzy;
+    const stemming = options.stemming !== undefined ? options.stemming !== false : this.stemming;
+    const tokens = new Set();
+    for (const keyword of keywords) {
+      for (const token of SearchIndex.tokenize(keyword)) {
+        if (token.length >= SearchIndex.MIN_KEYWORD_LENGTH) {
+          tokens.add(token);
+        }
+      }
+    }
+
+    const queryTerms = [];
+    for (const token of tokens) {
+      const matches = [];
+      const exactPostings = this._postings.get(token);
+      let documentFrequency = exactPostings ? exactPostings.size : 0;
+
+      if (exactPostings) {
+        matches.push({ term: token, weight: 1, type: 'exact' });
+      }
+
+      const stemTerms = stemming ? this._findStemMatches(token) : [];
+      for (const term of stemTerms) {
+        matches.push({ term, weight: SearchIndex.STEM_MATCH_WEIGHT, type: 'stem' });
+      }
+
+      if (token.length >= SearchIndex.MIN_PARTIAL_KEYWORD_LENGTH) {
+        for (const term of this._postings.keys()) {
+          if (term !== token && !stemTerms.includes(term) && term.includes(token)) {
+            matches.push({ term, weight: SearchIndex.PARTIAL_MATCH_WEIGHT, type: 'partial' });
+          }
+        }
+      }
+
+      // A keyword that only differs by inflection is scored against its stem family
+      if (!exactPostings && stemTerms.length > 0) {
+        const documents = new Set();
+        for (const term of stemTerms) {
+          for (const documentId of this._postings.get(term).keys()) {
+            documents.add(documentId);
+          }
+        }
+        documentFrequency = documents.size;
+      }
+
+      if (!exactPostings && stemTerms.length === 0 && matches.length === 0 && fuzzy && this._isCorrectable(token)) {
+        const fuzzyMatches = this._findFuzzyMatches(token);
+        matches.push(...fuzzyMatches);
+
+        // Score a corrected keyword against the term it was corrected to
+        if (fuzzyMatches.length > 0) {
+          documentFrequency = this._postings.get(fuzzyMatches[0].term).size;
+        }
+      }
+
+      queryTerms.push({
+        token,
+        idf: this._idf(documentFrequency),
+        matches
+      });
+    }
+
+    return queryTerms;
+  }
+
+  /**
+   * Finds indexed terms, other than the keyword itself, that share its stem
+   * @private
+   * @param {string} token - Keyword token
+   * @returns {string[]} - Indexed terms with the same stem
+   */
+  _findStemMatches(token) {
+    const terms = this._stems.get(PorterStemmer.stem(token));
+    return terms ? [...terms].filter(term => term !== token) : [];
+  }
+
+  /**
+   * Checks whether a keyword with no exact, stem or partial match may be typo-corrected
+   * Stop words and everyday words are left alone, so a question's "what" doesn't
+   * become "that" and "built" doesn't become "build".
+   * @private
+   * @param {string} token - Keyword token
+   * @returns {boolean}
+   */
+  _isCorrectable(token) {
+    return !VectorIndex.STOP_WORDS.has(token) && !SearchIndex.COMMON_WORDS.has(token);
+  }
+
+  /**
+   * Finds indexed terms within the fuzzy tolerance of a keyword
+   * @private
+   * @param {string} token - Keyword token with no exact match
+   * @returns {Array<{term: string, weight: number, type: string, distance: number}>} - Closest first
+   */
+  _findFuzzyMatches(token) {
+    if (token.length < SearchIndex.MIN_FUZZY_KEYWORD_LENGTH) {
+      return [];
+    }
+
+    const maxDistance = Math.floor(token.length * this.fuzzyTolerance);
+    if (maxDistance < 1) {
+      return [];
+    }
+
+    const matches = [];
+    for (const term of this._postings.keys()) {
+      if (Math.abs(term.length - token.length) > maxDistance || term.includes(token)) {
+        continue;
+      }
+
+      const distance = this._editDistance(token, term, maxDistance);
+      if (distance <= maxDistance) {
+        const similarity = 1 - distance / Math.max(token.length, term.length);
+        matches.push({
+          term,
+          weight: SearchIndex.FUZZY_MATCH_WEIGHT * similarity,
+          type: 'fuzzy',
+          distance
+        });
+      }
+    }
+
+    return matches.sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Damerau-Levenshtein distance (optimal string alignment) between two strings
+   * Counts insertions, deletions, substitutions and adjacent transpositions,
+   * so "pytset" is one edit from "pytest".
+   * @private
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @param {number} [maxDistance=Infinity] - Stop early once every path exceeds this
+   * @returns {number} - Edit distance, or maxDistance + 1 if it was exceeded
+   */
+  _editDistance(a, b, maxDistance = Infinity) {
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const nextRow = [i];
+      let rowMinimum = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let distance = Math.min(
+          row[j] + 1,
+          nextRow[j - 1] + 1,
+          row[j - 1] + cost
+        );
+
+        if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          distance = Math.min(distance, previousRow[j - 2] + 1);
+        }
+
+        nextRow.push(distance);
+        rowMinimum = Math.min(rowMinimum, distance);
+      }
+
+      if (rowMinimum > maxDistance) {
+        return maxDistance + 1;
+      }
+
+      previousRow = row;
+      row = nextRow;
+    }
+
+    return row[b.length];
+  }
+
+  // ============ Scoring ============
+
+  /**
+   * Inverse document frequency (non-negative BM25 variant)
+   * @private
+   * @param {number} documentFrequency - Number of documents containing the term
+   * @returns {number}
+   */
+  _idf(documentFrequency) {
+    const total = this._documents.length;
+    return Math.log(1 + (total - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  /**
+   * Scores documents by cosine similarity between TF-IDF vectors
+   * @private
+   * @param {string[]} keywords - Normalized keywords
+   * @returns {Map<number, {relevance: number, matchedTerms: Array}>} - Matches keyed by document id
+   */
+  _calculateSimilarity(keywords) {
+    const matchesByDocument = new Map();
+    const similarities = this._vectorIndex.query(keywords.join(' '), {
+      minSimilarity: SearchIndex.MIN_VECTOR_SIMILARITY
+    });
+
+    for (const { id, similarity } of similarities) {
+      matchesByDocument.set(id, { relevance: similarity, matchedTerms: [] });
+    }
+    return matchesByDocument;
+  }
+
+  // ============ Result Building ============
+
+  /**
+   * Finds the values of a document that contain matched terms, with the
+   * character offsets of every hit
+   * @private
+   * @param {Object} document - The indexed document
+   * @param {Array<{keyword: string, term: string}>} matchedTerms - Terms that scored the document
+   * @returns {Array<{path: string, text: string, highlights: Array<{start: number, end: number, term: string, keyword: string}>}>}
+   */
+  _locateMatches(document, matchedTerms) {
+    const keywordByTerm = new Map(matchedTerms.map(matched => [matched.term, matched.keyword]));
+    const matches = [];
+
+    this._walkValues(document.data, document.path, (path, text) => {
+      const highlights = [];
+      const tokenPattern = /[A-Za-z0-9]+/g;
+      let token;
+
+      while ((token = tokenPattern.exec(text)) !== null) {
+        const term = token[0].toLowerCase();
+        if (keywordByTerm.has(term)) {
+          highlights.push({
+            start: token.index,
+            end: token.index + token[0].length,
+            term,
+            keyword: keywordByTerm.get(term)
+          });
+        }
+      }
+
+      if (highlights.length > 0) {
+        matches.push({ path, text, highlights });
+      }
+    });
+
+    return matches;
+  }
+
+  /**
+   * Visits every primitive value of an item with its JSON path
+   * @private
+   * @param {*} value - Value to walk
+   * @param {string} path - JSON path of the value
+   * @param {Function} visit - Called with (path, text) for each primitive value
+   */
+  _walkValues(value, path, visit) {
+    if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
+      visit(path, String(value));
+      return;
+    }
+
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => this._walkValues(item, `${path}[${index}]`, visit));
+      return;
+    }
+
+    if (typeof value === 'object' && value !== null) {
+      for (const [key, child] of Object.entries(value)) {
+        this._walkValues(child, SearchIndex.appendPath(path, key), visit);
+      }
+    }
+  }
+}
+
+// ES Module export
+export { SearchIndex };
+
+// CommonJS export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SearchIndex };
+}
+
+// Browser global
+if (typeof window !== 'undefined') {
+  window.SearchIndex = SearchIndex;
+}
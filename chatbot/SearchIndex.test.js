@@ -0,0 +1,135 @@
+import { SearchIndex } from './SearchIndex.js';
+
+describe('SearchIndex', () => {
+  const data = {
+    projects: [
+      { name: 'Alpha', description: 'A tool for testing. Testing testing everywhere.' },
+      { name: 'Beta', description: 'A tool mentioning testing once among many other words about deployment pipelines and monitoring dashboards and alerts' },
+      { name: 'Testing Harness', description: 'Runs suites' },
+      { name: 'Gamma', description: 'Automated checks' },
+      { name: 'Delta', description: 'Automation of builds' },
+      { name: 'Epsilon', description: 'Selenium grid' }
+    ]
+  };
+  const index = new SearchIndex(data);
+  const rank = (keywords, options = {}) => index.rank(keywords, ['projects'], false, options);
+  const namesFor = (keywords, options) => rank(keywords, options).map(result => result.data.name);
+
+  test('tokenizes text into lowercase alphanumeric tokens', () => {
+    expect(SearchIndex.tokenize('Hello, World-2024! $4,838')).toEqual(['hello', 'world', '2024', '4', '838']);
+  });
+
+  describe('BM25 ranking', () => {
+    test('ranks an entry about the term above a passing mention', () => {
+      const results = rank(['testing']);
+
+      expect(results.map(result => result.data.name)).toEqual(['Alpha', 'Testing Harness', 'Beta']);
+      expect(results[0].relevance).toBeGreaterThan(results[2].relevance * 2);
+    });
+
+    test('keeps relevance between 0 and 1', () => {
+      for (const result of rank(['testing', 'tool'])) {
+        expect(result.relevance).toBeGreaterThan(0);
+        expect(result.relevance).toBeLessThanOrEqual(1);
+      }
+    });
+
+    test('matches terms that contain the keyword at a lower weight', () => {
+      expect(namesFor(['automat'])).toEqual(expect.arrayContaining(['Gamma', 'Delta']));
+      expect(rank(['selenium'])[0].relevance).toBeGreaterThan(rank(['selen'])[0].relevance);
+    });
+
+    test('does not match short keywords inside longer terms', () => {
+      expect(rank(['ta'])).toEqual([]);
+      expect(namesFor(['sel'])).toEqual(['Epsilon']);
+    });
+
+    test('returns nothing for unknown terms', () => {
+      expect(rank(['xyzzy'])).toEqual([]);
+    });
+  });
+
+  describe('stemming', () => {
+    test('matches other forms of a word', () => {
+      expect(namesFor(['automated']).sort()).toEqual(['Delta', 'Gamma']);
+    });
+
+    test('ranks exact matches above stem-only matches', () => {
+      expect(namesFor(['automated'])).toEqual(['Gamma', 'Delta']);
+      expect(namesFor(['automation'])).toEqual(['Delta', 'Gamma']);
+    });
+
+    test('can be turned off per search', () => {
+      expect(namesFor(['automated'], { stemming: false })).toEqual(['Gamma']);
+    });
+  });
+
+  describe('field weights', () => {
+    test('weighs names above descriptions by default', () => {
+      const named = rank(['testing']).find(result => result.data.name === 'Testing Harness');
+      const mentioned = rank(['testing']).find(result => result.data.name === 'Beta');
+
+      expect(named.relevance).toBeGreaterThan(mentioned.relevance);
+    });
+
+    test('accepts custom weights per category', () => {
+      const weighted = new SearchIndex(data, { fieldWeights: { projects: { description: 10 } } });
+      const results = weighted.rank(['testing'], ['projects']);
+
+      expect(results.find(result => result.data.name === 'Beta').relevance)
+        .toBeGreaterThan(rank(['testing']).find(result => result.data.name === 'Beta').relevance);
+    });
+  });
+
+  describe('fuzzy matching', () => {
+    test('matches a misspelled keyword and reports the correction', () => {
+      const [result] = rank(['selinium']);
+
+      expect(result.data.name).toBe('Epsilon');
+      expect(result.corrections).toEqual([{ original: 'selinium', corrected: 'Selenium' }]);
+      expect(SearchIndex.collectCorrections([result])).toEqual([{ original: 'selinium', corrected: 'Selenium' }]);
+    });
+
+    test('scores fuzzy hits below exact hits', () => {
+      expect(rank(['selinium'])[0].relevance).toBeLessThan(rank(['selenium'])[0].relevance);
+    });
+
+    test('leaves partial matches and everyday words uncorrected', () => {
+      expect(rank(['selen'])[0].corrections).toBeUndefined();
+      expect(rank(['what', 'built'])).toEqual([]);
+    });
+
+    test('can be turned off per search', () => {
+      expect(rank(['selinium'], { fuzzy: false })).toEqual([]);
+    });
+  });
+
+  test('reports where each keyword matched', () => {
+    const [result] = rank(['testing']);
+
+    expect(result.path).toBe('projects[0]');
+    expect(result.matches).toEqual([{
+      path: 'projects[0].description',
+      text: 'A tool for testing. Testing testing everywhere.',
+      highlights: [
+        { start: 11, end: 18, term: 'testing', keyword: 'testing' },
+        { start: 20, end: 27, term: 'testing', keyword: 'testing' },
+        { start: 28, end: 35, term: 'testing', keyword: 'testing' }
+      ]
+    }]);
+  });
+
+  test('rejects unknown retrieval modes', () => {
+    expect(SearchIndex.resolveRetrieval('hybrid')).toBe('hybrid');
+    expect(() => SearchIndex.resolveRetrieval('semantic')).toThrow('Unknown retrieval mode "semantic"');
+  });
+
+  test('restores from JSON with identical results', () => {
+    const json = JSON.parse(JSON.stringify(index.toJSON()));
+    const restored = SearchIndex.fromJSON(json, data);
+
+    expect(Object.keys(json)).toEqual(['index', 'vectors']);
+    expect(restored.rank(['testing'], ['projects'])).toEqual(rank(['testing']));
+    expect(restored.rank(['selinium'], ['projects'])).toEqual(rank(['selinium']));
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * SkillGraph Class
+ *
+ * Links every skill in the knowledge base to the projects, roles and
+ * certifications that use or mention it, on top of an EntityGraph. Skill names
+ * are looked up by normalized keys, so aliases and parenthesized short forms
+ * ("BDD (Behavior Driven Development)") resolve to the same node.
+ */
+
+import { EntityGraph } from './EntityGraph.js';
+import { SearchIndex } from './SearchIndex.js';
+
+class SkillGraph {
+  /**
+   * Builds the graph from knowledge base data
+   * Every item of the skills lists and every `technologies` value becomes a
+   * skill node. Every entry of an array category becomes a node linked with
+   * "uses" to the technologies it lists and with "mentions" to any other skill
+   * named in its text.
+   * @param {Object} data - Knowledge base data, keyed by category
+   * @param {SynonymDictionary} synonyms - Dictionary used to expand skill names
+   */
+  constructor(data, synonyms) {
+    this.graph = new EntityGraph();
+    this.synonyms = synonyms;
+    this._skillKeys = new Map();
+
+    const skills = data.skills;
+    if (skills && typeof skills === 'object' && !Array.isArray(skills)) {
+      for (const [group, list] of Object.entries(skills)) {
+        if (Array.isArray(list)) {
+          for (const name of list) {
+            this._addSkillNode(name, group);
+          }
+        }
+      }
+    }
+
+    const entries = [];
+    for (const category of Object.keys(data)) {
+      if (!Array.isArray(data[category])) {
+        continue;
+      }
+
+      data[category].forEach((item, index) => {
+        if (typeof item !== 'object' || item === null) {
+          return;
+        }
+        const id = `${category}[${index}]`;
+        this.graph.addNode(id, category, { data: item });
+        entries.push({ id, item });
+
+        for (const technology of Array.isArray(item.technologies) ? item.technologies : []) {
+          const skillNode = this._addSkillNode(technology);
+          if (skillNode) {
+            this.graph.addEdge(id, skillNode.id, 'uses');
+          }
+        }
+      });
+    }
+
+    // Mentions are linked once every skill is known
+    for (const { id, item } of entries) {
+      const text = ` ${SearchIndex.tokenize(SearchIndex.itemToSearchText(item)).join(' ')} `;
+      for (const [key, skillId] of this._skillKeys) {
+        if (text.includes(` ${key} `)) {
+          this.graph.addEdge(id, skillId, 'mentions');
+        }
+      }
+    }
+  }
+
+  /**
+   * Restores a graph saved with toJSON
+   * Entry nodes get their data back by path from `data`.
+   * @static
+   * @param {{graph: Object, skillKeys: Array}} json - Output of toJSON
+   * @param {Object} data - The data the graph was built from
+   * @param {SynonymDictionary} synonyms - Dictionary used to expand skill names
+   * @returns {SkillGraph}
+   */
+  static fromJSON(json, data, synonyms) {
+    const skillGraph = Object.create(SkillGraph.prototype);
+    skillGraph.graph = EntityGraph.fromJSON(json.graph, node => (
+      node.type === 'skill' ? {} : { data: SearchIndex.valueAtPath(data, node.id) }
+    ));
+    skillGraph.synonyms = synonyms;
+    skillGraph._skillKeys = new Map(json.skillKeys);
+    return skillGraph;
+  }
+
+  /**
+   * Serializes the graph without entry data, which fromJSON looks up by path
+   * @returns {{graph: Object, skillKeys: Array}}
+   */
+  toJSON() {
+    return {
+      graph: this.graph.toJSON(({ data, ...properties }) => properties),
+      skillKeys: [...this._skillKeys]
+    };
+  }
+
+  /**
+   * Resolves a skill or technology name to the name used in the graph
+   * @param {string} name - Skill name, matched case-insensitively
+   * @returns {string|null} - The skill's display name, or null if unknown
+   */
+  resolve(name) {
+    const node = this._findSkillNode(name);
+    return node ? node.name : null;
+  }
+
+  /**
+   * Finds every known skill mentioned in a piece of text
+   * Longer names win over the shorter names they contain.
+   * @param {string} text - Text to scan, e.g. a user query
+   * @returns {string[]} - Skill display names, in order of length (longest first)
+   */
+  findInText(text) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+
+    let remaining = ` ${SearchIndex.tokenize(this.synonyms.expand(text)).join(' ')} `;
+    const found = [];
+    const keys = [...this._skillKeys.keys()].sort((a, b) => b.length - a.length);
+
+    for (const key of keys) {
+      if (remaining.includes(` ${key} `)) {
+        const name = this.graph.getNode(this._skillKeys.get(key)).name;
+        if (!found.includes(name)) {
+          found.push(name);
+        }
+        remaining = remaining.split(` ${key} `).join(' | ');
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Collects everything linked to a skill, grouped by category
+   * @param {string} skill - Skill name
+   * @returns {{skill: string, groups: string[], evidence: Object<string, Array<{data: Object, path: string, relation: string}>>}|null}
+   *   - Evidence of the skill (see KnowledgeBase.getSkillEvidence), or null if the skill is unknown
+   */
+  getEvidence(skill) {
+    const node = this._findSkillNode(skill);
+    if (!node) {
+      return null;
+    }
+
+    const evidence = {};
+    for (const { node: entry, relation } of this.graph.getNeighbors(node.id)) {
+      if (!evidence[entry.type]) {
+        evidence[entry.type] = [];
+      }
+      evidence[entry.type].push({ data: entry.data, path: entry.id, relation });
+    }
+
+    return { skill: node.name, groups: [...node.groups], evidence };
+  }
+
+  /**
+   * Returns the entries of one category linked to a skill, "uses" links first
+   * @param {string} skill - Skill name
+   * @param {string} category - Category of the entries, e.g. "projects"
+   * @returns {Array<{data: Object, path: string, relation: string}>}
+   */
+  getLinkedEntries(skill, category) {
+    const result = this.getEvidence(skill);
+    if (!result || !result.evidence[category]) {
+      return [];
+    }
+    const rank = relation => (relation === 'uses' ? 0 : 1);
+    return [...result.evidence[category]].sort((a, b) => rank(a.relation) - rank(b.relation));
+  }
+
+  /**
+   * Adds a skill node, or returns the existing node for the same skill
+   * @private
+   * @param {string} name - Skill name as written in the data
+   * @param {string} [group] - Skills list the name came from
+   * @returns {Object|null} - The skill node, or null for an empty name
+   */
+  _addSkillNode(name, group) {
+    const keys = this._getSkillKeys(name);
+    if (keys.length === 0) {
+      return null;
+    }
+
+    const existingId = keys.map(key => this._skillKeys.get(key)).find(Boolean);
+    const node = existingId
+      ? this.graph.getNode(existingId)
+      : this.graph.addNode(`skill:${keys[0]}`, 'skill', { name, groups: [] });
+
+    if (group && !node.groups.includes(group)) {
+      node.groups.push(group);
+    }
+    for (const key of keys) {
+      if (!this._skillKeys.has(key)) {
+        this._skillKeys.set(key, node.id);
+      }
+    }
+    return node;
+  }
+
+  /**
+   * Returns the normalized lookup keys of a skill name
+   * "BDD (Behavior Driven Development)" yields "bdd" and "behavior driven development".
+   * @private
+   * @param {string} name - Skill name
+   * @returns {string[]} - Keys, main form first
+   */
+  _getSkillKeys(name) {
+    if (typeof name !== 'string') {
+      return [];
+    }
+
+    const parenthesized = /^(.*?)\s*\(([^)]*)\)\s*$/.exec(name);
+    const forms = parenthesized ? [parenthesized[1], parenthesized[2]] : [name];
+    return [...new Set(forms.map(form => SearchIndex.tokenize(form).join(' ')).filter(Boolean))];
+  }
+
+  /**
+   * Finds the skill node for a name or alias
+   * @private
+   * @param {string} name - Skill name
+   * @returns {Object|null}
+   */
+  _findSkillNode(name) {
+    if (!name || typeof name !== 'string') {
+      return null;
+    }
+
+    for (const key of [...this._getSkillKeys(name), ...this._getSkillKeys(this.synonyms.expand(name))]) {
+      if (this._skillKeys.has(key)) {
+        return this.graph.getNode(this._skillKeys.get(key));
+      }
+    }
+    return null;
+  }
+}
+
+// ES Module export
+export { SkillGraph };
+
+// CommonJS export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SkillGraph };
+}
+
+// Browser global
+if (typeof window !== 'undefined') {
+  window.SkillGraph = SkillGraph;
+}
@@ -0,0 +1,355 @@
+/**
+ * SkillResponder Class
+ *
+ * Recognizes and answers the QueryProcessor's questions about single skills:
+ * yes/no screening questions ("do you know Java?"), where a skill was used
+ * ("where have you used Pytest?") and bare technology names ("python"). The
+ * answers come from the knowledge base's skill graph and faceted search.
+ */
+
+class SkillResponder {
+  /**
+   * @param {QueryProcessor} processor - The processor whose entities, keywords and labels are used
+   */
+  constructor(processor) {
+    this.processor = processor;
+    this.knowledgeBase = processor.knowledgeBase;
+  }
+
+  /**
+   * Recognizes yes/no questions about a skill or certification
+   * ("do you know Java?", "have you used Cypress?", "are you AWS certified?")
+   * @param {string} query - The normalized query
+   * @returns {{items: Array<{subject: string, skill: string|null}>, certification: boolean}|null} - One item
+   *   per skill asked about, with the listed skill it resolves to (null if not listed); null for other queries
+   */
+  parseCapability(query) {
+    if (!query) {
+      return null;
+    }
+
+    const question = /^(?:do|does|did|have|has|are|is|can|could|were|was)\s+(?:you|he|dinakaran)\s+(.+)$/
+      .exec(query.replace(/[?!.\s]+$/, ''));
+    if (!question) {
+      return null;
+    }
+
+    const rest = question[1];
+    const certification = /\bcertif\w*|\bcredentials?\b/.test(rest);
+    const asksSkill = /^(?:ever\s+)?(?:know|knows|use|used|uses|using|work(?:ed)?\s+(?:with|in)|program\s+in|code\s+in|write|familiar|proficient|skilled|experienced|certified)\b/.test(rest) ||
+      /^(?:ever\s+)?(?:have|has|had|hold|holds|held)\s+(?:any\s+|an?\s+|some\s+)?(?:experience|knowledge|skills?|exposure|certifications?|certificates?|credentials?)\s+(?:with|in|on|for)\b/.test(rest) ||
+      (certification && /\bcertified$/.test(rest));
+    if (!asksSkill) {
+      return null;
+    }
+
+    // Drop the verb phrase and filler, keeping what is asked about
+    const subject = rest
+      .replace(/\b(?:ever|any|an?|the|some|much|real|hands-on|professional|prior)\b/g, ' ')
+      .replace(/\b(?:know|knows|use|used|uses|using|worked|work|working|have|has|had|hold|holds|held|program|code|write)\b/g, ' ')
+      .replace(/\b(?:experience|experienced|exposure|knowledge|familiar|proficient|skilled|skills?|certified|certifications?|certificates?|credentials?)\b/g, ' ')
+      .replace(/\b(?:with|in|on|for)\b/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (!subject) {
+      return null;
+    }
+
+    const subjects = subject.split(/\s*(?:,|\band\b|\bor\b|&)\s*/).filter(Boolean);
+
+    // "Have you worked at Amazon?" names a company, not a skill
+    const tokens = subjects.flatMap(part => part.split(' '));
+    if (subjects.length === 0 || subjects.some(part => part.split(' ').length > 4) ||
+        tokens.some(token => this.processor.stopWords.has(token)) ||
+        this.processor.extractEntities(subject).some(entity => entity.type !== 'technology')) {
+      return null;
+    }
+
+    const items = subjects.map(part => {
+      const [skill] = this.knowledgeBase.findSkillsInText(part);
+      return { subject: part, skill: skill || null };
+    });
+    return { items, certification };
+  }
+
+  /**
+   * Answers yes/no skill questions with evidence, or an honest "not listed"
+   * that points to the closest related skill Dinakaran does have
+   * @param {Object} request - Parsed question (see parseCapability)
+   * @returns {string}
+   */
+  respondToCapability(request) {
+    return request.items
+      .map(item => (item.skill
+        ? this.describeListedSkill(item.skill, request.certification)
+        : this.describeUnlistedSkill(item.subject, request.certification)))
+      .join('\n\n');
+  }
+
+  /**
+   * Recognizes questions about where a skill was used
+   * @param {string} query - The normalized query
+   * @returns {{skill: string, categories: string[]}|null} - The skill and the entry categories asked
+   *   about (empty for all), or null if no known skill is asked about
+   */
+  parseEvidence(query) {
+    if (!query) {
+      return null;
+    }
+
+    const asksUsage = /\b(?:use|used|uses|using|apply|applied|applies)\b|\b(?:work|worked|working|experience)\s+(?:with|in)\b/.test(query) &&
+      /\b(?:where|which|what|how|have|did|do|has)\b|\bexperience\b/.test(query);
+    if (!asksUsage) {
+      return null;
+    }
+
+    const [skill] = this.knowledgeBase.findSkillsInText(query);
+    if (!skill) {
+      return null;
+    }
+
+    const categories = [];
+    if (/\bprojects?\b/.test(query)) {
+      categories.push('projects');
+    }
+    if (/\b(?:roles?|jobs?|positions?|companies|company)\b/.test(query)) {
+      categories.push('experience');
+    }
+    if (/\bcertif\w*|\bcredentials?\b/.test(query)) {
+      categories.push('certifications');
+    }
+    return { skill, categories };
+  }
+
+  /**
+   * Formats the entries linked to a skill in the knowledge base's entity graph
+   * @param {{skill: string, categories: string[]}} request - Parsed question (see parseEvidence)
+   * @returns {string}
+   */
+  respondToEvidence(request) {
+    const result = this.knowledgeBase.getSkillEvidence(request.skill);
+    if (!result) {
+      return `I don't have ${request.skill} listed in Dinakaran's background.`;
+    }
+
+    const sections = [
+      { category: 'experience', heading: '💼 Roles' },
+      { category: 'projects', heading: '📁 Projects' },
+      { category: 'certifications', heading: '📜 Certifications backing it' },
+      { category: 'awards', heading: '🏆 Awards' },
+      { category: 'testimonials', heading: '💬 Mentioned by' }
+    ].filter(section => request.categories.length === 0 || request.categories.includes(section.category));
+
+    // Entries listing the skill as a technology come before those that only mention it
+    const rank = relation => (relation === 'uses' ? 0 : 1);
+
+    let body = '';
+    for (const { category, heading } of sections) {
+      const entries = [...(result.evidence[category] || [])].sort((a, b) => rank(a.relation) - rank(b.relation));
+      if (entries.length === 0) {
+        continue;
+      }
+
+      body += `${heading}:\n`;
+      for (const { data, relation } of entries) {
+        let line = `• ${this.processor.entryLabels[category].name(data)}`;
+        if (category === 'experience' && data.duration) {
+          line += ` (${data.duration})`;
+        } else if (relation === 'mentions' && category === 'projects') {
+          line += ' (mentioned in the description)';
+        }
+        body += `${line}\n`;
+      }
+      body += '\n';
+    }
+
+    const groups = result.groups.length > 0 ? ` (${result.groups.join(', ')})` : '';
+    if (!body) {
+      const scope = request.categories.length > 0
+        ? request.categories.map(category => this.processor.entryLabels[category].many).join(' or ')
+        : 'projects, roles or certifications';
+      return result.groups.length > 0
+        ? `**${result.skill}** is listed in Dinakaran's skills${groups}, but none of his listed ${scope} mention it.`
+        : `None of Dinakaran's listed ${scope} mention **${result.skill}**.`;
+    }
+
+    let response = `Here's where Dinakaran has used **${result.skill}**:\n\n${body}`;
+    if (result.groups.length > 0) {
+      response += `🧰 Also listed in his skills${groups}.`;
+    }
+    return response.trim();
+  }
+
+  /**
+   * Recognizes queries that consist of just a technology name
+   * @param {string} query - The normalized query
+   * @returns {{technology: string}|null} - The technology as written in the data, or null
+   */
+  parseTopic(query) {
+    if (!query) {
+      return null;
+    }
+
+    const fillerWords = new Set(['about', 'regarding']);
+    const topic = this.processor.extractKeywords(query, { stem: false })
+      .filter(keyword => !fillerWords.has(keyword))
+      .join(' ');
+    if (!topic) {
+      return null;
+    }
+
+    const technology = this._getKnownTechnologies().find(name => name.toLowerCase() === topic);
+    return technology ? { technology } : null;
+  }
+
+  /**
+   * Formats where a technology appears, using faceted search counts
+   * @param {{technology: string}} topic - Parsed topic (see parseTopic)
+   * @returns {string}
+   */
+  respondToTopic(topic) {
+    const { results, facets } = this.knowledgeBase.search(topic.technology, { facets: true });
+    if (results.length === 0) {
+      return `I don't have anything about ${topic.technology} in Dinakaran's background.`;
+    }
+
+    const entryLabels = this.processor.entryLabels;
+
+    const counts = facets.category
+      .filter(facet => entryLabels[facet.value])
+      .map(facet => {
+        const label = entryLabels[facet.value];
+        return `${facet.count} ${facet.count === 1 ? label.one : label.many}`;
+      });
+    const inSkills = facets.category.some(facet => facet.value === 'skills');
+
+    let response;
+    if (counts.length > 0) {
+      const list = counts.length > 1
+        ? `${counts.slice(0, -1).join(', ')} and ${counts[counts.length - 1]}`
+        : counts[0];
+      response = `**${topic.technology}** appears in ${list}${inSkills ? ', and is listed among his skills' : ''}:\n\n`;
+    } else {
+      response = `**${topic.technology}** is listed among Dinakaran's skills.\n\n`;
+    }
+
+    // One line per category, naming each matched entry once
+    for (const facet of facets.category) {
+      const label = entryLabels[facet.value];
+      if (!label) {
+        continue;
+      }
+      const names = results
+        .filter(result => result.category === facet.value && /^[^.[]+\[\d+\]$/.test(result.path))
+        .map(result => label.name(result.data));
+      response += `${label.icon} ${label.many[0].toUpperCase()}${label.many.slice(1)}: ${[...new Set(names)].join('; ')}\n`;
+    }
+
+    return response.trim();
+  }
+
+  /**
+   * Says yes to a listed skill, with where it was used
+   */
+  describeListedSkill(skill, certification) {
+    const result = this.knowledgeBase.getSkillEvidence(skill);
+    const evidence = result ? result.evidence : {};
+    const names = category => (evidence[category] || []).map(item => this.processor.entryLabels[category].name(item.data));
+    const certifications = this.knowledgeBase.getCertificationsFor(skill).map(item => item.data);
+
+    let response;
+    if (certification) {
+      if (certifications.length > 0) {
+        const list = certifications.map(cert => `**${cert.name}** (${cert.issuer}, ${cert.year})`).join(' and ');
+        return `**Yes** — Dinakaran holds ${list}, covering ${skill}.`;
+      }
+      response = `**No ${skill} certification is listed**, but ${skill} is one of Dinakaran's skills.\n`;
+    } else {
+      response = `**Yes** — Dinakaran has worked with **${skill}**.\n`;
+    }
+
+    const roles = names('experience');
+    const projects = names('projects');
+    if (roles.length > 0) {
+      response += `💼 Used in: ${roles.join('; ')}\n`;
+    }
+    if (projects.length > 0) {
+      response += `📁 Projects: ${projects.join('; ')}\n`;
+    }
+    if (!certification && certifications.length > 0) {
+      response += `📜 Certified: ${certifications.map(cert => cert.name).join('; ')}\n`;
+    }
+    if (result && result.groups.length > 0) {
+      response += `🧰 Listed in his skills (${result.groups.join(', ')}).`;
+    }
+
+    return response.trim();
+  }
+
+  /**
+   * Says a skill is not listed and suggests the closest listed ones
+   */
+  describeUnlistedSkill(subject, certification) {
+    const name = subject.replace(/\b\w/g, letter => letter.toUpperCase());
+    const related = this._findRelatedSkills(subject);
+
+    let response = certification
+      ? `I don't see a **${name}** certification in Dinakaran's background.`
+      : `**${name}** isn't listed in Dinakaran's skills or experience.`;
+
+    if (related.length > 0) {
+      const list = related.length > 1
+        ? `${related.slice(0, -1).map(skill => `**${skill}**`).join(', ')} and **${related[related.length - 1]}**`
+        : `**${related[0]}**`;
+      response += ` The closest ${related.length > 1 ? 'skills he does have are' : 'skill he does have is'} ${list} — ask me where he's used ${related.length > 1 ? 'them' : 'it'}!`;
+    } else {
+      response += " Ask me what technologies he does know!";
+    }
+
+    return response;
+  }
+
+  /**
+   * Finds listed skills in the same family as an unlisted one (see skill-families.js)
+   * @private
+   * @param {string} subject - The unlisted skill, lowercase
+   * @returns {string[]} - Listed skill names, at most three
+   */
+  _findRelatedSkills(subject) {
+    const related = [];
+    for (const members of Object.values(this.processor.skillFamilies)) {
+      if (!members.includes(subject)) {
+        continue;
+      }
+      for (const member of members) {
+        const skill = member === subject ? null : this.knowledgeBase.resolveSkill(member);
+        if (skill && !related.includes(skill)) {
+          related.push(skill);
+        }
+      }
+    }
+    return related.slice(0, 3);
+  }
+
+  /**
+   * Lists technology names from `technologies` arrays and the skills lists
+   * @private
+   * @returns {string[]}
+   */
+  _getKnownTechnologies() {
+    return this.processor.entityRecognizer.getValues('technology');
+  }
+}
+
+// ES Module export
+export { SkillResponder };
+
+// CommonJS export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SkillResponder };
+}
+
+// Browser global
+if (typeof window !== 'undefined') {
+  window.SkillResponder = SkillResponder;
+}
@@ -0,0 +1,175 @@
+/**
+ * SynonymDictionary Class
+ * 
+ * Resolves aliases, abbreviations and multi-word phrasings to the canonical
+ * terms used in the knowledge base. Shared by KnowledgeBase and QueryProcessor
+ * so that intent detection and search see the same expanded query.
+ */
+
+import { defaultSynonyms } from './synonyms.js';
+
+class SynonymDictionary {
+  /**
+   * Creates a dictionary from an instance, an entries object, or false (empty)
+   * @static
+   * @param {SynonymDictionary|Object|boolean} [value] - Dictionary, entries, or false to disable
+   * @returns {SynonymDictionary} - A dictionary instance
+   */
+  static from(value) {
+    if (value instanceof SynonymDictionary) {
+      return value;
+    }
+    if (value === false || value === null) {
+      return new SynonymDictionary({});
+    }
+    if (value && typeof value === 'object') {
+      return new SynonymDictionary(value);
+    }
+    return new SynonymDictionary();
+  }
+
+  /**
+   * Initializes the dictionary with canonical terms and their aliases
+   * @param {Object<string, string[]>} [entries] - Canonical term to aliases map (default: QA/automation dictionary)
+   */
+  constructor(entries = defaultSynonyms) {
+    this.aliases = new Map();
+    this._pattern = null;
+
+    for (const [canonical, aliases] of Object.entries(entries)) {
+      this.addEntry(canonical, aliases);
+    }
+  }
+
+  /**
+   * Registers aliases for a canonical term
+   * @param {string} canonical - The canonical term as it appears in the knowledge base
+   * @param {string|string[]} aliases - One or more aliases (multi-word phrases allowed)
+   */
+  addEntry(canonical, aliases) {
+    if (!canonical || typeof canonical !== 'string') {
+      throw new Error('SynonymDictionary entries require a canonical term');
+    }
+
+    const normalizedCanonical = this._normalizePhrase(canonical);
+    const aliasList = Array.isArray(aliases) ? aliases : [aliases];
+
+    for (const alias of aliasList) {
+      if (typeof alias !== 'string') {
+        continue;
+      }
+
+      const normalizedAlias = this._normalizePhrase(alias);
+      if (!normalizedAlias || normalizedAlias === normalizedCanonical) {
+        continue;
+      }
+
+      if (!this.aliases.has(normalizedAlias)) {
+        this.aliases.set(normalizedAlias, []);
+      }
+      const canonicals = this.aliases.get(normalizedAlias);
+      if (!canonicals.includes(normalizedCanonical)) {
+        canonicals.push(normalizedCanonical);
+      }
+    }
+
+    // Rebuild lazily on next use
+    this._pattern = null;
+  }
+
+  /**
+   * Returns the canonical terms an alias resolves to
+   * @param {string} term - Term or phrase to resolve
+   * @returns {string[]} - Canonical terms, or an empty array if the term is not an alias
+   */
+  resolve(term) {
+    if (!term || typeof term !== 'string') {
+      return [];
+    }
+    return [...(this.aliases.get(this._normalizePhrase(term)) || [])];
+  }
+
+  /**
+   * Rewrites every alias in the text to its canonical term(s)
+   * Longer phrases win over their sub-phrases, and matching respects word
+   * boundaries, so "py" does not touch "pytest". The result is lowercase.
+   * @param {string} text - Text to expand
+   * @returns {string} - Expanded lowercase text
+   */
+  expand(text) {
+    if (!text || typeof text !== 'string') {
+      return '';
+    }
+
+    const lowered = text.toLowerCase();
+    const pattern = this._getPattern();
+
+    if (!pattern) {
+      return lowered;
+    }
+
+    return lowered.replace(pattern, (match, prefix, alias) => {
+      const canonicals = this.aliases.get(alias.replace(/\s+/g, ' '));
+      return canonicals ? prefix + canonicals.join(' ') : match;
+    });
+  }
+
+  /**
+   * Returns the number of registered aliases
+   * @returns {number}
+   */
+  size() {
+    return this.aliases.size;
+  }
+
+  /**
+   * Builds the alternation pattern over all aliases, longest first
+   * @private
+   * @returns {RegExp|null} - Pattern, or null if the dictionary is empty
+   */
+  _getPattern() {
+    if (this._pattern || this.aliases.size === 0) {
+      return this._pattern;
+    }
+
+    const alternatives = [...this.aliases.keys()]
+      .sort((a, b) => b.length - a.length)
+      .map(alias => this._escapeRegex(alias).replace(/ /g, '\\s+'));
+
+    this._pattern = new RegExp(`(^|[^a-z0-9])(${alternatives.join('|')})(?=$|[^a-z0-9])`, 'g');
+    return this._pattern;
+  }
+
+  /**
+   * Lowercases a phrase and collapses whitespace
+   * @private
+   * @param {string} phrase - Phrase to normalize
+   * @returns {string}
+   */
+  _normalizePhrase(phrase) {
+    return phrase.toLowerCase().trim().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Escapes special regex characters in a string
+   * @private
+   * @param {string} str - String to escape
+   * @returns {string} - Escaped string safe for regex
+   */
+  _escapeRegex(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+// ES Module export
+export { SynonymDictionary };
+
+// CommonJS export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SynonymDictionary };
+}
+
+// Browser global
+if (typeof window !== 'undefined') {
+  window.SynonymDictionary = SynonymDictionary;
+}
@@ -0,0 +1,71 @@
+import { SynonymDictionary } from './SynonymDictionary.js';
+import { defaultSynonyms } from './synonyms.js';
+
+describe('SynonymDictionary', () => {
+  const synonyms = new SynonymDictionary();
+
+  test.each([
+    ['JS', 'javascript'],
+    ['py', 'python'],
+    ['Amazon Web Services', 'aws'],
+    ['e2e', 'web application testing'],
+    ['UI automation', 'web application testing'],
+    ['test automation', 'automation testing']
+  ])('resolves "%s" to "%s"', (alias, canonical) => {
+    expect(synonyms.resolve(alias)).toEqual([canonical]);
+  });
+
+  test('expands multi-word aliases inside a query', () => {
+    expect(synonyms.expand('Do you know Amazon Web Services and JS?'))
+      .toBe('do you know aws and javascript?');
+  });
+
+  test('respects word boundaries', () => {
+    expect(synonyms.expand('pytest and py')).toBe('pytest and python');
+  });
+
+  test('prefers the longest matching phrase', () => {
+    expect(synonyms.expand('selenium webdriver')).toBe('selenium');
+  });
+
+  test('does not map narrower terms onto broader ones', () => {
+    for (const term of ['node', 'nodejs', 'lambda', 's3', 'ec2']) {
+      expect(synonyms.resolve(term)).toEqual([]);
+    }
+    expect(synonyms.expand('lambda functions on node')).toBe('lambda functions on node');
+  });
+
+  test('lists every alias under one canonical term only', () => {
+    const seen = new Map();
+    for (const [canonical, aliases] of Object.entries(defaultSynonyms)) {
+      for (const alias of aliases) {
+        expect(seen.get(alias)).toBeUndefined();
+        seen.set(alias, canonical);
+      }
+    }
+  });
+
+  test('accepts custom entries', () => {
+    const custom = new SynonymDictionary({ 'rest api': ['restful', 'rest endpoints'] });
+
+    expect(custom.expand('RESTful services')).toBe('rest api services');
+    expect(custom.resolve('js')).toEqual([]);
+  });
+
+  describe('from', () => {
+    test('returns an existing dictionary unchanged', () => {
+      expect(SynonymDictionary.from(synonyms)).toBe(synonyms);
+    });
+
+    test('creates an empty dictionary for false', () => {
+      const empty = SynonymDictionary.from(false);
+
+      expect(empty.size()).toBe(0);
+      expect(empty.expand('JS')).toBe('js');
+    });
+
+    test('creates the default dictionary when nothing is given', () => {
+      expect(SynonymDictionary.from().size()).toBe(synonyms.size());
+    });
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * TimelineResponder Class
+ *
+ * Recognizes and answers the QueryProcessor's questions about dates and
+ * durations of roles ("what were you doing in 2022?", "how long were you at
+ * Amazon?", "what is your current role?") from the knowledge base's
+ * experience timeline.
+ */
+
+import { DateRange } from './DateRange.js';
+
+class TimelineResponder {
+  /**
+   * @param {KnowledgeBase} knowledgeBase - The knowledge base to answer from
+   */
+  constructor(knowledgeBase) {
+    this.knowledgeBase = knowledgeBase;
+  }
+
+  /**
+   * Recognizes questions about dates and durations of roles
+   * @param {string} query - The normalized query
+   * @returns {Object|null} - `{ type: 'period', start, end }`, `{ type: 'tenure', company }`,
+   *   `{ type: 'total' }`, `{ type: 'recent' }`, or null for non-temporal queries
+   */
+  parse(query) {
+    if (!query) {
+      return null;
+    }
+
+    const workWords = /\b(doing|do|did|work|working|worked|role|roles|job|jobs|position|positions|employed|employment|experience)\b/;
+
+    const range = /\b(?:between|from)\s+((?:19|20)\d{2})\s+(?:and|to|-)\s+((?:19|20)\d{2})\b/.exec(query);
+    if (range && workWords.test(query)) {
+      const [start, end] = [Number(range[1]), Number(range[2])].sort((a, b) => a - b);
+      return { type: 'period', start, end };
+    }
+
+    const year = /\b(?:in|during|around|throughout)\s+((?:19|20)\d{2})\b/.exec(query);
+    if (year && workWords.test(query)) {
+      return { type: 'period', start: Number(year[1]), end: Number(year[1]) };
+    }
+
+    if (/\bhow long\b|\btenure\b|\bhow many (?:years|months)\b/.test(query)) {
+      const company = this._findMentionedCompany(query);
+      return company ? { type: 'tenure', company } : { type: 'total' };
+    }
+
+    if (/\b(most recent|latest|current|currently|present|now|these days)\b/.test(query) &&
+        /\b(role|job|position|title|doing|do|working|work|employer|company)\b/.test(query)) {
+      return { type: 'recent' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Formats answers to date and duration questions from the experience timeline
+   * @param {Object} temporal - Parsed temporal question (see parse)
+   * @returns {string}
+   */
+  respond(temporal) {
+    const timeline = this.knowledgeBase.getExperienceTimeline();
+    if (timeline.length === 0) {
+      return "Dinakaran has over 5 years of professional experience in quality assurance and automation testing.";
+    }
+
+    switch (temporal.type) {
+      case 'period':
+        return this._formatPeriodResponse(temporal.start, temporal.end);
+      case 'tenure':
+        return this._formatTenureResponse(temporal.company);
+      case 'recent':
+        return this._formatRecentRoleResponse(timeline);
+      case 'total':
+        return this._formatTotalExperienceResponse(timeline);
+      default: {
+        let response = "Here's Dinakaran's career timeline, most recent first:\n\n";
+        for (const item of timeline) {
+          response += `**${item.data.title}** at ${item.data.company}\n`;
+          response += `📅 ${item.range.format()} (${DateRange.formatMonths(item.months)})\n\n`;
+        }
+        return response.trim();
+      }
+    }
+  }
+
+  /**
+   * Finds a company from the experience data mentioned in the query
+   * Matches the full name or its first word, so "werp" finds "WERP-India".
+   * @private
+   * @param {string} query - The normalized query
+   * @returns {string|null} - The company name as stored, or null
+   */
+  _findMentionedCompany(query) {
+    const experience = this.knowledgeBase.getByCategory('experience');
+    if (!Array.isArray(experience)) {
+      return null;
+    }
+
+    for (const entry of experience) {
+      const company = String(entry.company || '');
+      const firstWord = company.toLowerCase().split(/[^a-z0-9]+/).find(Boolean);
+      const mentionsName = company && query.includes(company.toLowerCase());
+      const mentionsFirstWord = firstWord && firstWord.length >= 3 &&
+        new RegExp(`\\b${firstWord}\\b`).test(query);
+
+      if (mentionsName || mentionsFirstWord) {
+        return company;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Formats the roles held during a period, noting roles that overlapped
+   * @private
+   */
+  _formatPeriodResponse(start, end) {
+    const label = start === end ? `${start}` : `${start}–${end}`;
+    const roles = this.knowledgeBase.getExperienceInRange(start, end);
+
+    if (roles.length === 0) {
+      const { ranges } = this.knowledgeBase.getTotalExperience();
+      const firstMonth = DateRange.formatMonth(ranges[0].startIndex);
+      return `I don't have any roles listed for ${label}. Dinakaran's professional timeline starts in ${firstMonth}.`;
+    }
+
+    let response = roles.length === 1
+      ? `In ${label}, Dinakaran was working as:\n\n`
+      : `In ${label}, Dinakaran held ${roles.length} roles:\n\n`;
+
+    for (const item of roles) {
+      response += `**${item.data.title}** at ${item.data.company}\n`;
+      response += `📅 ${item.range.format()}\n\n`;
+    }
+
+    const period = DateRange.between(start, end);
+    const heldRoles = new Set(roles.map(item => item.data));
+    for (const { roles: pair, overlap } of this.knowledgeBase.getOverlappingExperience()) {
+      if (heldRoles.has(pair[0].data) && heldRoles.has(pair[1].data) && overlap.overlaps(period)) {
+        const until = overlap.isCurrent ? 'the present' : DateRange.formatMonth(overlap.endIndex);
+        response += `⏱️ The ${pair[1].data.company} and ${pair[0].data.company} roles overlapped from ` +
+          `${DateRange.formatMonth(overlap.startIndex)} to ${until}.\n`;
+      }
+    }
+
+    return response.trim();
+  }
+
+  /**
+   * Formats the time spent at one company across its roles
+   * @private
+   */
+  _formatTenureResponse(company) {
+    const tenure = this.knowledgeBase.getTenure(company);
+    if (!tenure) {
+      return `I don't have ${company} listed in Dinakaran's experience.`;
+    }
+
+    const isCurrent = tenure.ranges.some(range => range.isCurrent);
+    let response = `Dinakaran ${isCurrent ? 'has been' : 'was'} at **${tenure.company}** for ` +
+      `${DateRange.formatMonths(tenure.months)} (${tenure.ranges.map(range => range.format()).join(', ')})`;
+
+    if (tenure.roles.length === 1) {
+      return `${response}, as ${tenure.roles[0].data.title}.`;
+    }
+
+    response += `, across ${tenure.roles.length} roles:\n`;
+    for (const item of [...tenure.roles].reverse()) {
+      response += `• ${item.data.title}: ${item.range.format()} (${DateRange.formatMonths(item.months)})\n`;
+    }
+    return response.trim();
+  }
+
+  /**
+   * Formats the most recent role and the one before it
+   * @private
+   */
+  _formatRecentRoleResponse(timeline) {
+    const [recent, previous] = timeline;
+    const tenure = DateRange.formatMonths(recent.months);
+
+    let response = `Dinakaran's most recent role is **${recent.data.title}** at ${recent.data.company}`;
+    response += recent.range.isCurrent
+      ? `, since ${DateRange.formatMonth(recent.range.startIndex)} (${tenure} so far).`
+      : `, ${recent.range.format()} (${tenure}).`;
+
+    if (previous) {
+      response += `\n\nBefore that: **${previous.data.title}** at ${previous.data.company} (${previous.range.format()}).`;
+    }
+    return response;
+  }
+
+  /**
+   * Formats total experience computed from the timeline
+   * @private
+   */
+  _formatTotalExperienceResponse(timeline) {
+    const total = this.knowledgeBase.getTotalExperience();
+    const firstMonth = DateRange.formatMonth(total.ranges[0].startIndex);
+
+    let response = `Dinakaran has ${DateRange.formatMonths(total.months)} of professional experience, starting in ${firstMonth}`;
+    response += timeline.length > 1 ? ' (overlapping roles counted once):\n\n' : '.\n\n';
+
+    for (const item of timeline) {
+      response += `• ${item.data.title} at ${item.data.company}: ${DateRange.formatMonths(item.months)}\n`;
+    }
+    return response.trim();
+  }
+}
+
+// ES Module export
+export { TimelineResponder };
+
+// CommonJS export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TimelineResponder };
+}
+
+// Browser global
+if (typeof window !== 'undefined') {
+  window.TimelineResponder = TimelineResponder;
+}
@@ -0,0 +1,242 @@
+/**
+ * VectorIndex Class
+ * 
+ * Offline TF-IDF vector space index ranked by cosine similarity. Each document
+ * becomes a sparse vector over word stems and character n-grams of those stems,
+ * so related wordings ("saved time", "time saving") and near-misses land close
+ * together without any downloaded model. Runs unchanged in the browser and Node.
+ */
+
+import { PorterStemmer } from './PorterStemmer.js';
+
+class VectorIndex {
+  /**
+   * Length of the character n-grams taken from each stem
+   * @static
+   */
+  static NGRAM_SIZE = 3;
+
+  /**
+   * Weight of an n-gram feature relative to a whole-stem feature
+   * @static
+   */
+  static NGRAM_WEIGHT = 0.3;
+
+  /**
+   * Common English words that carry no meaning for retrieval
+   * @static
+   */
+  static STOP_WORDS = new Set([
+    'a', 'an', 'the', 'is', 'are', 'was', 'were', 'be', 'been', 'have', 'has', 'had',
+    'do', 'does', 'did', 'to', 'of', 'in', 'for', 'on', 'with', 'at', 'by', 'from',
+    'as', 'and', 'or', 'but', 'if', 'so', 'than', 'that', 'this', 'these', 'those',
+    'it', 'its', 'i', 'me', 'my', 'you', 'your', 'he', 'him', 'his', 'she', 'her',
+    'we', 'our', 'they', 'their', 'what', 'which', 'who', 'how', 'when', 'where',
+    'why', 'can', 'could', 'would', 'should', 'will', 'any', 'some', 'all', 'about'
+  ]);
+
+  /**
+   * Creates an empty index
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.ngramSize=3] - Character n-gram length (0 disables n-grams)
+   * @param {number} [options.ngramWeight=0.3] - Weight of n-gram features
+   */
+  constructor(options = {}) {
+    this.ngramSize = options.ngramSize ?? VectorIndex.NGRAM_SIZE;
+    this.ngramWeight = options.ngramWeight ?? VectorIndex.NGRAM_WEIGHT;
+
+    this._termFrequencies = new Map();
+    this._vectors = new Map();
+    this._idf = new Map();
+    this._isBuilt = false;
+  }
+
+  /**
+   * Adds a document to the index
+   * @param {number|string} id - Document identifier returned by query
+   * @param {string|Array<{text: string, weight: number}>} fields - Document text, or weighted field texts
+   */
+  add(id, fields) {
+    const weightedFields = typeof fields === 'string' ? [{ text: fields, weight: 1 }] : fields;
+    const frequencies = new Map();
+
+    for (const { text, weight } of weightedFields) {
+      this._addFeatures(text, weight ?? 1, frequencies);
+    }
+
+    this._termFrequencies.set(id, frequencies);
+    this._isBuilt = false;
+  }
+
+  /**
+   * Computes inverse document frequencies and normalized document vectors
+   * Called automatically by query when documents were added since the last build.
+   */
+  build() {
+    const documentFrequencies = new Map();
+    for (const frequencies of this._termFrequencies.values()) {
+      for (const feature of frequencies.keys()) {
+        documentFrequencies.set(feature, (documentFrequencies.get(feature) || 0) + 1);
+      }
+    }
+
+    const total = this._termFrequencies.size;
+    this._idf = new Map();
+    for (const [feature, documentFrequency] of documentFrequencies) {
+      this._idf.set(feature, Math.log((1 + total) / (1 + documentFrequency)) + 1);
+    }
+
+    this._vectors = new Map();
+    for (const [id, frequencies] of this._termFrequencies) {
+      this._vectors.set(id, this._toVector(frequencies));
+    }
+
+    this._isBuilt = true;
+  }
+
+  /**
+   * Ranks documents by cosine similarity to a query
+   * Query features that never occur in the index are ignored.
+   * @param {string} text - Query text
+   * @param {Object} [options] - Query options
+   * @param {number} [options.minSimilarity=0] - Leave out documents at or below this similarity
+   * @returns {Array<{id: (number|string), similarity: number}>} - Most similar first
+   */
+  query(text, options = {}) {
+    if (!this._isBuilt) {
+      this.build();
+    }
+
+    const frequencies = new Map();
+    this._addFeatures(text, 1, frequencies);
+    for (const feature of [...frequencies.keys()]) {
+      if (!this._idf.has(feature)) {
+        frequencies.delete(feature);
+      }
+    }
+
+    const queryVector = this._toVector(frequencies);
+    if (queryVector.size === 0) {
+      return [];
+    }
+
+    const minSimilarity = options.minSimilarity ?? 0;
+    const results = [];
+    for (const [id, vector] of this._vectors) {
+      let similarity = 0;
+      for (const [feature, weight] of queryVector) {
+        const documentWeight = vector.get(feature);
+        if (documentWeight) {
+          similarity += weight * documentWeight;
+        }
+      }
+      if (similarity > minSimilarity) {
+        results.push({ id, similarity: Math.min(1, similarity) });
+      }
+    }
+
+    return results.sort((a, b) => b.similarity - a.similarity);
+  }
+
+  /**
+   * Number of indexed documents
+   * @returns {number}
+   */
+  size() {
+    return this._termFrequencies.size;
+  }
+
+  /**
+   * Serializes the index's feature frequencies
+   * Vectors are not stored; fromJSON recomputes them without re-tokenizing.
+   * @returns {{ngramSize: number, ngramWeight: number, documents: Array}} - JSON-safe index
+   */
+  toJSON() {
+    return {
+      ngramSize: this.ngramSize,
+      ngramWeight: this.ngramWeight,
+      documents: [...this._termFrequencies].map(([id, frequencies]) => [id, [...frequencies]])
+    };
+  }
+
+  /**
+   * Restores an index serialized with toJSON
+   * @static
+   * @param {Object} json - Output of toJSON
+   * @returns {VectorIndex}
+   */
+  static fromJSON(json) {
+    const index = new VectorIndex({ ngramSize: json.ngramSize, ngramWeight: json.ngramWeight });
+    for (const [id, frequencies] of json.documents) {
+      index._termFrequencies.set(id, new Map(frequencies));
+    }
+    index.build();
+    return index;
+  }
+
+  /**
+   * Adds the stem and n-gram features of a text to a frequency map
+   * @private
+   * @param {string} text - Text to featurize
+   * @param {number} weight - Weight of each occurrence
+   * @param {Map<string, number>} frequencies - Map to accumulate into
+   */
+  _addFeatures(text, weight, frequencies) {
+    const words = String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+
+    for (const word of words) {
+      if (VectorIndex.STOP_WORDS.has(word)) {
+        continue;
+      }
+
+      const stem = PorterStemmer.stem(word);
+      frequencies.set(`w:${stem}`, (frequencies.get(`w:${stem}`) || 0) + weight);
+
+      if (this.ngramSize > 0 && stem.length > this.ngramSize) {
+        const padded = `^${stem}$`;
+        for (let i = 0; i <= padded.length - this.ngramSize; i++) {
+          const ngram = `n:${padded.slice(i, i + this.ngramSize)}`;
+          frequencies.set(ngram, (frequencies.get(ngram) || 0) + weight * this.ngramWeight);
+        }
+      }
+    }
+  }
+
+  /**
+   * Converts feature frequencies to an L2-normalized TF-IDF vector
+   * @private
+   * @param {Map<string, number>} frequencies - Feature frequencies
+   * @returns {Map<string, number>} - Sparse unit vector
+   */
+  _toVector(frequencies) {
+    const vector = new Map();
+    let norm = 0;
+
+    for (const [feature, frequency] of frequencies) {
+      const weight = Math.log(1 + frequency) * (this._idf.get(feature) || 0);
+      if (weight > 0) {
+        vector.set(feature, weight);
+        norm += weight * weight;
+      }
+    }
+
+    norm = Math.sqrt(norm);
+    for (const [feature, weight] of vector) {
+      vector.set(feature, weight / norm);
+    }
+    return vector;
+  }
+}
+
+// ES Module export
+export { VectorIndex };
+
+// CommonJS export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { VectorIndex };
+}
+
+// Browser global
+if (typeof window !== 'undefined') {
+  window.VectorIndex = VectorIndex;
+}
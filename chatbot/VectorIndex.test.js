@@ -0,0 +1,44 @@
+import { VectorIndex } from './VectorIndex.js';
+
+describe('VectorIndex', () => {
+  const buildIndex = (options) => {
+    const index = new VectorIndex(options);
+    index.add('tools', 'Automation tools that saved hours of manual work');
+    index.add('award', 'Leadership award for coordinating national teams');
+    index.add('grid', [{ text: 'Selenium grid', weight: 3 }, { text: 'Runs browser tests in parallel', weight: 1 }]);
+    index.build();
+    return index;
+  };
+  const index = buildIndex();
+
+  test('ranks a paraphrase by cosine similarity', () => {
+    const results = index.query('what tools have you built to save time');
+
+    expect(results[0].id).toBe('tools');
+    expect(results[0].similarity).toBeGreaterThan(0);
+    expect(results[0].similarity).toBeLessThanOrEqual(1);
+  });
+
+  test('matches near-misses through character n-grams', () => {
+    expect(index.query('selenum')[0].id).toBe('grid');
+    expect(buildIndex({ ngramSize: 0 }).query('selenum')).toEqual([]);
+  });
+
+  test('ignores stop words and unseen words', () => {
+    expect(index.query('what is the')).toEqual([]);
+    expect(index.query('xyzzy')).toEqual([]);
+  });
+
+  test('leaves out documents at or below the minimum similarity', () => {
+    const results = index.query('automation award', { minSimilarity: 0.2 });
+
+    expect(results.every(result => result.similarity > 0.2)).toBe(true);
+  });
+
+  test('restores from JSON with identical similarities', () => {
+    const restored = VectorIndex.fromJSON(JSON.parse(JSON.stringify(index.toJSON())));
+
+    expect(restored.size()).toBe(3);
+    expect(restored.query('browser tests')).toEqual(index.query('browser tests'));
+  });
+});
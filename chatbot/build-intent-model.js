@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Intent Model Builder
+ * 
+ * Node entry point that trains an IntentClassifier on intent-examples.json and
+ * writes the trained model as JSON, with a hash of the examples it was trained
+ * on. The page loads the model instead of training on the examples at startup,
+ * and only retrains when the model is missing or stale.
+ * 
+ * Usage: node chatbot/build-intent-model.js [output]
+ *   output defaults to chatbot/intent-model.json
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { IntentClassifier } from './IntentClassifier.js';
+
+/**
+ * Directory of this script, where the examples and the default output live
+ * @constant
+ */
+const CHATBOT_DIR = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Labelled example utterances
+ * @constant
+ */
+const EXAMPLES_PATH = join(CHATBOT_DIR, 'intent-examples.json');
+
+/**
+ * Default output path
+ * @constant
+ */
+const DEFAULT_MODEL_PATH = join(CHATBOT_DIR, 'intent-model.json');
+
+/**
+ * Trains the model and writes it to disk
+ * @param {string} [outputPath] - Where to write the model
+ * @returns {Object} - The model that was written
+ */
+function buildIntentModel(outputPath = DEFAULT_MODEL_PATH) {
+  const { intents } = JSON.parse(readFileSync(EXAMPLES_PATH, 'utf8'));
+  const classifier = new IntentClassifier().train(intents);
+  const model = { ...classifier.toJSON(), examplesHash: IntentClassifier.computeExamplesHash(intents) };
+
+  // Training-set accuracy catches contradictory or duplicated examples
+  const examples = Object.entries(intents).flatMap(([intent, utterances]) => utterances.map(text => ({ intent, text })));
+  const misclassified = examples.filter(({ intent, text }) => classifier.classify(text).intent !== intent);
+
+  writeFileSync(outputPath, `${JSON.stringify(model)}\n`);
+  console.log(
+    `[Intent model] Wrote ${relative(process.cwd(), outputPath)} ` +
+    `(${classifier.getIntents().length} intents, ${examples.length} examples, ` +
+    `${examples.length - misclassified.length}/${examples.length} classified correctly)`
+  );
+  for (const { intent, text } of misclassified) {
+    console.warn(`[Intent model] "${text}" (${intent}) was classified as ${classifier.classify(text).intent}`);
+  }
+  return model;
+}
+
+// Run only when executed directly, not when imported
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  try {
+    buildIntentModel(process.argv[2]);
+  } catch (error) {
+    console.error('[Intent model] Failed to build intent model:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+export { buildIntentModel };
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * Knowledge Base Snapshot Builder
+ * 
+ * Node entry point that validates knowledge-base.js, builds its search index,
+ * entity graph and vector index, and writes them as a versioned JSON snapshot.
+ * The chatbot hydrates the snapshot with KnowledgeBase.fromSnapshot instead of
+ * tokenizing every entry at startup; a snapshot whose content hash no longer
+ * matches the data is detected and rebuilt in the browser.
+ * 
+ * Usage: node chatbot/build-snapshot.js [output]
+ *   output defaults to chatbot/knowledge-base.snapshot.json
+ */
+
+import { writeFileSync } from 'node:fs';
+import { dirname, join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { knowledgeBase } from './knowledge-base.js';
+import { KnowledgeBase } from './KnowledgeBase.js';
+
+/**
+ * Default output path, next to knowledge-base.js
+ * @constant
+ */
+const DEFAULT_SNAPSHOT_PATH = join(dirname(fileURLToPath(import.meta.url)), 'knowledge-base.snapshot.json');
+
+/**
+ * Builds the snapshot and writes it to disk
+ * @param {string} [outputPath] - Where to write the snapshot
+ * @returns {Object} - The snapshot that was written
+ */
+function buildSnapshot(outputPath = DEFAULT_SNAPSHOT_PATH) {
+  // Strict validation: a snapshot must never carry entries the browser would drop
+  const kb = new KnowledgeBase(knowledgeBase, { validation: 'strict' });
+  const snapshot = kb.toSnapshot();
+
+  writeFileSync(outputPath, `${JSON.stringify(snapshot)}\n`);
+  console.log(
+    `[Snapshot] Wrote ${relative(process.cwd(), outputPath)} ` +
+    `(${snapshot.contentHash}, ${snapshot.index.documents.length} documents, ` +
+    `${snapshot.index.postings.length} terms, ${snapshot.graph.nodes.length} graph nodes)`
+  );
+  return snapshot;
+}
+
+// Run only when executed directly, not when imported
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  try {
+    buildSnapshot(process.argv[2]);
+  } catch (error) {
+    console.error('[Snapshot] Failed to build knowledge base snapshot:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+export { buildSnapshot };
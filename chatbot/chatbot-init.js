@@ -11,14 +11,24 @@
  * - Asynchronous loading after page load (doesn't block initial render)
  * - sessionStorage persistence for conversation history across page navigation
  * - Lazy loading via ChatbotLoader
+ * - Optional knowledge base loaded from a same-origin JSON document, falling back
+ *   to the embedded data when it cannot be fetched or fails validation
+ * - Optional prebuilt index snapshot (see build-snapshot.js), hydrated instead of
+ *   re-indexing the data and rebuilt when it is stale
+ * - Query processing in a Web Worker (query-worker.js), so slow queries cannot
+ *   freeze the page; runs in-thread where Workers are unavailable
+ * - Intent classifier loaded from a prebuilt model (see build-intent-model.js),
+ *   and trained on intent-examples.json only when the model is missing or stale
  * 
  * Requirements: 1.5, 4.1, 4.2, 4.3, 4.4, 6.1
  */
 
 // Import dependencies
 import { knowledgeBase } from './knowledge-base.js';
-import { KnowledgeBase } from './KnowledgeBase.js';
-import { QueryProcessor } from './QueryProcessor.js';
+import { KnowledgeSchema } from './KnowledgeSchema.js';
+import { JsonResumeAdapter } from './JsonResumeAdapter.js';
+import { QueryWorkerClient } from './QueryWorkerClient.js';
+import { IntentClassifier } from './IntentClassifier.js';
 import { ConversationManager } from './ConversationManager.js';
 import { ChatWidget } from './ChatWidget.js';
 import { ChatbotLoader } from './chatbot-loader.js';
@@ -35,6 +45,40 @@ const CONVERSATION_STORAGE_KEY = 'portfolio_chatbot_conversation';
  */
 const WIDGET_STATE_STORAGE_KEY = 'portfolio_chatbot_widget_state';
 
+/**
+ * Name of the meta tag that points the chatbot at an external knowledge base document
+ * e.g. <meta name="chatbot-knowledge-base" content="chatbot/knowledge-base.json">
+ * @constant
+ */
+const KNOWLEDGE_BASE_META_NAME = 'chatbot-knowledge-base';
+
+/**
+ * Name of the meta tag that points the chatbot at a prebuilt index snapshot
+ * e.g. <meta name="chatbot-knowledge-base-snapshot" content="chatbot/knowledge-base.snapshot.json">
+ * @constant
+ */
+const KNOWLEDGE_BASE_SNAPSHOT_META_NAME = 'chatbot-knowledge-base-snapshot';
+
+/**
+ * Name of the meta tag that points the chatbot at a trained intent model
+ * e.g. <meta name="chatbot-intent-model" content="chatbot/intent-model.json">
+ * @constant
+ */
+const INTENT_MODEL_META_NAME = 'chatbot-intent-model';
+
+/**
+ * Name of the meta tag that points the chatbot at the examples the intent model is trained on
+ * e.g. <meta name="chatbot-intent-examples" content="chatbot/intent-examples.json">
+ * @constant
+ */
+const INTENT_EXAMPLES_META_NAME = 'chatbot-intent-examples';
+
+/**
+ * Maximum time to wait for an external knowledge base document, in milliseconds
+ * @constant
+ */
+const KNOWLEDGE_BASE_FETCH_TIMEOUT = 3000;
+
 /**
  * Chatbot configuration matching portfolio theme
  * @constant
@@ -108,19 +152,203 @@ function restoreWidgetStateFromStorage() {
   }
 }
 
+/**
+ * Reads a URL from one of the page's meta tags
+ * @param {string} [name] - Meta tag name (default: the knowledge base document tag)
+ * @returns {string|null} - The configured URL, or null if none is set
+ */
+function getKnowledgeBaseUrlFromPage(name = KNOWLEDGE_BASE_META_NAME) {
+  if (typeof document === 'undefined') {
+    return null;
+  }
+  const meta = document.querySelector(`meta[name="${name}"]`);
+  return meta && meta.content ? meta.content : null;
+}
+
+/**
+ * Fetches and validates a knowledge base JSON document
+ * Only same-origin documents are accepted, and the document must pass strict
+ * schema validation. JSON Resume documents are converted with JsonResumeAdapter first.
+ * @param {string} url - URL or path of the JSON document
+ * @param {number} [timeout] - Fetch timeout in milliseconds
+ * @returns {Promise<Object>} - The validated knowledge base data
+ */
+async function loadKnowledgeBaseData(url, timeout = KNOWLEDGE_BASE_FETCH_TIMEOUT) {
+  const json = await fetchSameOriginJson(url, timeout);
+  const data = JsonResumeAdapter.isJsonResume(json)
+    ? JsonResumeAdapter.fromJsonResume(json).data
+    : json;
+  return new KnowledgeSchema().validate(data, { mode: 'strict' }).data;
+}
+
+/**
+ * Fetches a same-origin JSON document with a timeout
+ * @param {string} url - URL or path of the JSON document
+ * @param {number} [timeout] - Fetch timeout in milliseconds
+ * @returns {Promise<*>} - The parsed document
+ */
+async function fetchSameOriginJson(url, timeout = KNOWLEDGE_BASE_FETCH_TIMEOUT) {
+  const resolvedUrl = new URL(url, window.location.href);
+  if (resolvedUrl.origin !== window.location.origin) {
+    throw new Error(`Knowledge base must be served from ${window.location.origin}, got ${resolvedUrl.origin}`);
+  }
+
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  const timeoutId = controller ? setTimeout(() => controller.abort(), timeout) : null;
+
+  try {
+    const response = await fetch(resolvedUrl.href, {
+      credentials: 'same-origin',
+      headers: { Accept: 'application/json' },
+      signal: controller ? controller.signal : undefined
+    });
+
+    if (!response.ok) {
+      throw new Error(`Knowledge base request failed with status ${response.status}`);
+    }
+
+    return await response.json();
+  } finally {
+    if (timeoutId) {
+      clearTimeout(timeoutId);
+    }
+  }
+}
+
+/**
+ * Resolves the knowledge base data to use, preferring an external document
+ * @param {string|null} url - URL of an external knowledge base document
+ * @returns {Promise<Object>} - External data, or the embedded data as a fallback
+ */
+async function resolveKnowledgeBaseData(url) {
+  if (!url) {
+    return knowledgeBase;
+  }
+
+  try {
+    return await loadKnowledgeBaseData(url);
+  } catch (error) {
+    console.warn('[Chatbot] Failed to load external knowledge base, using embedded data:', error);
+    return knowledgeBase;
+  }
+}
+
+/**
+ * Fetches the prebuilt index snapshot, if one is configured
+ * Stale snapshots are rebuilt by KnowledgeBase.fromSnapshot; a snapshot that
+ * cannot be fetched falls back to indexing the data directly.
+ * @param {string|null} snapshotUrl - URL of an index snapshot
+ * @returns {Promise<Object|null>} - The snapshot, or null
+ */
+async function loadKnowledgeBaseSnapshot(snapshotUrl) {
+  if (!snapshotUrl) {
+    return null;
+  }
+
+  try {
+    return await fetchSameOriginJson(snapshotUrl);
+  } catch (error) {
+    console.warn('[Chatbot] Failed to load knowledge base snapshot, indexing the data instead:', error);
+    return null;
+  }
+}
+
+/**
+ * Fetches the trained intent model, if one is configured
+ * The model is used as is unless it cannot be fetched, has an unsupported format
+ * or was trained on other examples than the configured ones; the classifier is
+ * then trained on those examples instead. With neither, the chatbot uses its
+ * intent patterns only.
+ * @param {string|null} modelUrl - URL of an intent model
+ * @param {string|null} [examplesUrl] - URL of the intent examples (intent-examples.json)
+ * @returns {Promise<Object|null>} - The serialized model, or null
+ */
+async function loadIntentModel(modelUrl, examplesUrl = null) {
+  const [model, examples] = await Promise.all([
+    fetchOptionalJson(modelUrl, 'intent model'),
+    fetchOptionalJson(examplesUrl, 'intent examples')
+  ]);
+  const intents = examples && examples.intents ? examples.intents : null;
+
+  if (model) {
+    const problem = IntentClassifier.findModelProblem(model, intents);
+    if (!problem) {
+      return model;
+    }
+    console.warn(`[Chatbot] Not using the intent model (${problem})`);
+  }
+  if (!intents) {
+    return null;
+  }
+
+  try {
+    return new IntentClassifier().train(intents).toJSON();
+  } catch (error) {
+    console.warn('[Chatbot] Failed to train the intent classifier, using intent patterns only:', error);
+    return null;
+  }
+}
+
+/**
+ * Fetches an optional same-origin JSON document
+ * @param {string|null} url - URL of the document, if one is configured
+ * @param {string} description - What the document is, for the warning
+ * @returns {Promise<*>} - The parsed document, or null if none is configured or it cannot be fetched
+ */
+async function fetchOptionalJson(url, description) {
+  if (!url) {
+    return null;
+  }
+
+  try {
+    return await fetchSameOriginJson(url);
+  } catch (error) {
+    console.warn(`[Chatbot] Failed to load ${description}:`, error);
+    return null;
+  }
+}
+
 /**
  * Initializes and wires together all chatbot components
- * @returns {Object} - Object containing all chatbot component instances
+ * @param {Object} [options] - Initialization options
+ * @param {string} [options.knowledgeBaseUrl] - Same-origin URL or path of a JSON knowledge base
+ *   document (default: the page's chatbot-knowledge-base meta tag, else the embedded data)
+ * @param {string} [options.snapshotUrl] - Same-origin URL or path of a prebuilt index snapshot
+ *   (default: the page's chatbot-knowledge-base-snapshot meta tag, else none)
+ * @param {string} [options.intentModelUrl] - Same-origin URL or path of a trained intent model
+ *   (default: the page's chatbot-intent-model meta tag, else none)
+ * @param {string} [options.intentExamplesUrl] - Same-origin URL or path of the intent examples, used
+ *   to spot a stale model and to train without one (default: the page's chatbot-intent-examples
+ *   meta tag, else none)
+ * @returns {Promise<Object>} - The chatbot components: `{ queryClient, conversationManager, chatWidget }`
  * Requirements: 4.1, 4.2, 4.3
  */
-function initializeChatbot() {
-  // Initialize KnowledgeBase with portfolio data
-  // Requirements: 4.2 - Knowledge base embedded in client-side code
-  const kb = new KnowledgeBase(knowledgeBase);
+async function initializeChatbot(options = {}) {
+  const knowledgeBaseUrl = options.knowledgeBaseUrl !== undefined
+    ? options.knowledgeBaseUrl
+    : getKnowledgeBaseUrlFromPage();
+  const snapshotUrl = options.snapshotUrl !== undefined
+    ? options.snapshotUrl
+    : getKnowledgeBaseUrlFromPage(KNOWLEDGE_BASE_SNAPSHOT_META_NAME);
+  const intentModelUrl = options.intentModelUrl !== undefined
+    ? options.intentModelUrl
+    : getKnowledgeBaseUrlFromPage(INTENT_MODEL_META_NAME);
+  const intentExamplesUrl = options.intentExamplesUrl !== undefined
+    ? options.intentExamplesUrl
+    : getKnowledgeBaseUrlFromPage(INTENT_EXAMPLES_META_NAME);
+  const knowledgeBaseData = await resolveKnowledgeBaseData(knowledgeBaseUrl);
 
-  // Initialize QueryProcessor with KnowledgeBase
+  // Initialize KnowledgeBase and QueryProcessor in a worker (in-thread where unsupported)
+  // Requirements: 4.2 - Knowledge base embedded in client-side code
   // Requirements: 4.3 - Client-side logic for query matching
-  const queryProcessor = new QueryProcessor(kb);
+  const queryClient = new QueryWorkerClient({
+    data: knowledgeBaseData,
+    snapshot: await loadKnowledgeBaseSnapshot(snapshotUrl),
+    // Lenient validation drops malformed entries instead of taking the chatbot down
+    knowledgeBaseOptions: { validation: 'lenient' },
+    intentModel: await loadIntentModel(intentModelUrl, intentExamplesUrl)
+  });
+  await queryClient.start();
 
   // Initialize ConversationManager
   const conversationManager = new ConversationManager();
@@ -146,15 +374,15 @@ function initializeChatbot() {
     // Get conversation context for context-aware responses
     const context = conversationManager.getContext(5);
     
-    // Process query with timeout handling
+    // Process query with timeout handling; a timed-out worker is terminated
     // Requirements: 4.4 - No external server calls, all client-side
-    const result = await queryProcessor.processQueryWithTimeout(message, context);
+    const result = await queryClient.processQuery(message, context);
     
     // Hide typing indicator
     chatWidget.hideTypingIndicator();
     
-    // Add bot response to conversation history
-    conversationManager.addMessage(result.response, 'bot');
+    // Add bot response to conversation history, with the dialogue state follow-ups refer back to
+    conversationManager.addMessage(result.response, 'bot', null, result.dialogue ? { dialogue: result.dialogue } : null);
     
     // Display bot response with suggestions
     chatWidget.addMessage(result.response, 'bot', {
@@ -205,9 +433,10 @@ function initializeChatbot() {
   }
 
   // Return component instances for potential external access
+  // Knowledge base changes go through queryClient (addEntry, updateEntry, removeEntry,
+  // replaceCategory, on), which forwards them to the worker when one is running
   return {
-    knowledgeBase: kb,
-    queryProcessor,
+    queryClient,
     conversationManager,
     chatWidget
   };
@@ -217,7 +446,7 @@ function initializeChatbot() {
  * Main initialization using ChatbotLoader for lazy loading
  * Requirements: 6.1 - Load asynchronously without blocking initial page render
  */
-ChatbotLoader.lazyLoad(initializeChatbot)
+ChatbotLoader.lazyLoad(() => initializeChatbot())
   .then((chatbot) => {
     // Make chatbot instance available globally for debugging/testing
     if (typeof window !== 'undefined') {
@@ -230,4 +459,15 @@ ChatbotLoader.lazyLoad(initializeChatbot)
   });
 
 // Export for testing purposes
-export { initializeChatbot, CHATBOT_CONFIG, CONVERSATION_STORAGE_KEY, WIDGET_STATE_STORAGE_KEY };
+export {
+  initializeChatbot,
+  loadKnowledgeBaseData,
+  loadIntentModel,
+  CHATBOT_CONFIG,
+  CONVERSATION_STORAGE_KEY,
+  WIDGET_STATE_STORAGE_KEY,
+  KNOWLEDGE_BASE_META_NAME,
+  KNOWLEDGE_BASE_SNAPSHOT_META_NAME,
+  INTENT_MODEL_META_NAME,
+  INTENT_EXAMPLES_META_NAME
+};
@@ -0,0 +1,169 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest } from '@jest/globals';
+import { KnowledgeBaseValidationError } from './KnowledgeSchema.js';
+import { IntentClassifier } from './IntentClassifier.js';
+import { knowledgeBase as data } from './knowledge-base.js';
+
+describe('chatbot-init', () => {
+  const external = { ...data, personal: { ...data.personal, name: 'External Name' } };
+  let initializeChatbot;
+  let loadKnowledgeBaseData;
+  let loadIntentModel;
+  let consoleSpies;
+
+  const respondWith = (body, { ok = true, status = 200 } = {}) => {
+    globalThis.fetch.mockResolvedValue({ ok, status, json: async () => body });
+  };
+
+  // Serves each document at its path and answers 404 for anything else
+  const serve = documents => {
+    globalThis.fetch.mockImplementation(async url => {
+      const body = documents[new URL(url).pathname];
+      return body !== undefined
+        ? { ok: true, status: 200, json: async () => body }
+        : { ok: false, status: 404, json: async () => null };
+    });
+  };
+
+  const intents = { contact: ['how can I reach you'], projects: ['what have you built'] };
+  const trained = new IntentClassifier().train(intents).toJSON();
+  const model = { ...trained, examplesHash: IntentClassifier.computeExamplesHash(intents) };
+
+  beforeAll(async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    ({ initializeChatbot, loadKnowledgeBaseData, loadIntentModel } = await import('./chatbot-init.js'));
+    // Let the automatic lazy initialization finish before the tests run
+    await new Promise(resolve => setTimeout(resolve, 20));
+    log.mockRestore();
+  });
+
+  beforeEach(() => {
+    globalThis.fetch = jest.fn();
+    consoleSpies = ['log', 'warn'].map(method => jest.spyOn(console, method).mockImplementation(() => {}));
+  });
+
+  afterEach(() => {
+    consoleSpies.forEach(spy => spy.mockRestore());
+    delete globalThis.fetch;
+    document.head.innerHTML = '';
+    document.body.innerHTML = '';
+  });
+
+  describe('loadKnowledgeBaseData', () => {
+    test('fetches and validates a same-origin document', async () => {
+      respondWith(external);
+
+      await expect(loadKnowledgeBaseData('chatbot/knowledge-base.json')).resolves.toEqual(external);
+      expect(globalThis.fetch).toHaveBeenCalledWith(
+        'http://localhost/chatbot/knowledge-base.json',
+        expect.objectContaining({ credentials: 'same-origin' })
+      );
+    });
+
+    test('refuses documents from another origin without fetching them', async () => {
+      await expect(loadKnowledgeBaseData('https://example.com/knowledge-base.json'))
+        .rejects.toThrow('Knowledge base must be served from http://localhost, got https://example.com');
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+
+    test('rejects failed responses', async () => {
+      respondWith(null, { ok: false, status: 404 });
+
+      await expect(loadKnowledgeBaseData('/knowledge-base.json'))
+        .rejects.toThrow('Knowledge base request failed with status 404');
+    });
+
+    test('rejects documents that fail validation', async () => {
+      respondWith({ ...data, awards: [{ title: 'Award' }] });
+
+      await expect(loadKnowledgeBaseData('/knowledge-base.json')).rejects.toThrow(KnowledgeBaseValidationError);
+    });
+  });
+
+  describe('loadIntentModel', () => {
+    test('uses a model trained on the current examples without retraining', async () => {
+      const train = jest.spyOn(IntentClassifier.prototype, 'train');
+      serve({ '/intent-model.json': model, '/intent-examples.json': { intents } });
+
+      try {
+        await expect(loadIntentModel('/intent-model.json', '/intent-examples.json')).resolves.toEqual(model);
+        expect(train).not.toHaveBeenCalled();
+      } finally {
+        train.mockRestore();
+      }
+    });
+
+    test.each([
+      ['stale', { '/intent-model.json': { ...model, examplesHash: 'fnv1a-00000000' } }],
+      ['missing', {}],
+      ['unsupported', { '/intent-model.json': { ...model, version: 99 } }]
+    ])('trains on the examples when the model is %s', async (_, documents) => {
+      serve({ ...documents, '/intent-examples.json': { intents } });
+
+      await expect(loadIntentModel('/intent-model.json', '/intent-examples.json')).resolves.toEqual(trained);
+      expect(console.warn).toHaveBeenCalled();
+    });
+
+    test('uses the intent patterns only without a model or examples', async () => {
+      await expect(loadIntentModel(null, null)).resolves.toBeNull();
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+
+      serve({});
+      await expect(loadIntentModel('/intent-model.json', '/intent-examples.json')).resolves.toBeNull();
+    });
+
+    test('uses a model as is when no examples are configured', async () => {
+      serve({ '/intent-model.json': trained });
+
+      await expect(loadIntentModel('/intent-model.json')).resolves.toEqual(trained);
+    });
+  });
+
+  describe('initializeChatbot', () => {
+    test('loads the document named by the meta tag', async () => {
+      document.head.innerHTML = '<meta name="chatbot-knowledge-base" content="data/knowledge-base.json">';
+      respondWith(external);
+
+      const chatbot = await initializeChatbot();
+
+      expect(globalThis.fetch).toHaveBeenCalledWith('http://localhost/data/knowledge-base.json', expect.any(Object));
+      expect(chatbot.queryClient.knowledgeBase.getByCategory('personal').name).toBe('External Name');
+    });
+
+    test('loads the intent model named by the meta tags', async () => {
+      document.head.innerHTML = '<meta name="chatbot-intent-model" content="chatbot/intent-model.json">' +
+        '<meta name="chatbot-intent-examples" content="chatbot/intent-examples.json">';
+      serve({ '/chatbot/intent-model.json': model, '/chatbot/intent-examples.json': { intents } });
+
+      const chatbot = await initializeChatbot();
+
+      expect(chatbot.queryClient.intentModel).toEqual(model);
+      expect(chatbot.queryClient.queryProcessor.detectIntent('what have you built')).toBe('projects');
+    });
+
+    test('uses the bundled data without a meta tag', async () => {
+      const chatbot = await initializeChatbot();
+
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+      expect(chatbot.queryClient.knowledgeBase.getByCategory('personal')).toEqual(data.personal);
+    });
+
+    test.each([
+      ['the request fails', () => globalThis.fetch.mockRejectedValue(new TypeError('Failed to fetch'))],
+      ['the response is an error', () => respondWith(null, { ok: false, status: 500 })],
+      ['the document is invalid', () => respondWith({ ...data, projects: 'none' })]
+    ])('falls back to the bundled data when %s', async (_, arrange) => {
+      arrange();
+
+      const chatbot = await initializeChatbot({ knowledgeBaseUrl: '/knowledge-base.json' });
+
+      expect(chatbot.queryClient.knowledgeBase.getByCategory('personal')).toEqual(data.personal);
+      expect(console.warn).toHaveBeenCalledWith(
+        '[Chatbot] Failed to load external knowledge base, using embedded data:',
+        expect.any(Error)
+      );
+    });
+  });
+});
@@ -29,7 +29,7 @@ const ChatbotLoader = {
   /**
    * Initializes the chatbot after DOM is ready
    * This ensures chatbot doesn't block initial page render
-   * @param {Function} initCallback - Function that initializes and returns the chatbot
+   * @param {Function} initCallback - Function that initializes and returns the chatbot (or a promise for it)
    * @returns {Promise} - Resolves when chatbot is initialized
    * Requirements: 6.1, 6.5
    */
@@ -46,9 +46,10 @@ const ChatbotLoader = {
           // Falls back to setTimeout for browsers that don't support it
           const scheduleInit = window.requestIdleCallback || ((cb) => setTimeout(cb, 1));
           
-          scheduleInit(() => {
+          scheduleInit(async () => {
             try {
-              this._chatbotInstance = initCallback();
+              // initCallback may return the instance or a promise for it
+              this._chatbotInstance = await initCallback();
               this._initialized = true;
               
               if (this._onReadyCallback) {
@@ -19,7 +19,7 @@ const knowledgeBase = {
     highlights: [
       "Innovation Award recipient at Amazon for developing innovative testing solutions",
       "Excellence in Leadership Award from WERP-India",
-      "Saved $5K+ annually through automation improvements"
+      "Cut testing costs and manual effort through automation improvements"
     ]
   },
 
@@ -33,7 +33,7 @@ const knowledgeBase = {
       responsibilities: [
         "Leading automation testing initiatives using Playwright, Selenium, and Pytest",
         "Developed innovative testing solutions recognized with the Innovation Award",
-        "Saved $5K+ annually through automation improvements",
+        "Cut testing costs and manual effort through automation improvements",
         "Building robust test frameworks to ensure consistent quality at scale"
       ],
       technologies: ["Playwright", "Python", "Selenium", "Pytest"]
@@ -199,7 +199,8 @@ const knowledgeBase = {
     specialization: "Automation Testing with Playwright, Selenium, and Python",
     location: "Coimbatore, Tamil Nadu, India (Currently in Chennai)",
     keyAchievement: "Innovation Award at Amazon for developing innovative testing solutions",
-    annualSavings: "$5K+ through automation improvements"
+    // Shown after the yearly totals computed from the project metrics
+    annualSavings: "through automation improvements"
   }
 };
 
@@ -0,0 +1,93 @@
+/**
+ * Chatbot Query Worker
+ * 
+ * Dedicated module worker that owns the KnowledgeBase and QueryProcessor, so
+ * indexing and query processing never block the page. Driven by
+ * QueryWorkerClient through a request/response protocol; every request carries
+ * an `id` that its response echoes.
+ * 
+ * Requests:
+ * - `{ id, type: 'init', data, snapshot, options, intentModel }` builds the knowledge
+ *   base (hydrating `snapshot` when given) and the query processor (with the
+ *   trained `intentModel` when given) and answers `{ id, type: 'ready', indexSource }`
+ * - `{ id, type: 'query', query, context }` answers `{ id, type: 'result', result }`
+ *   with the output of QueryProcessor.processQuery
+ * - `{ id, type: 'mutate', method, args }` calls a KnowledgeBase mutation method
+ *   (addEntry, updateEntry, removeEntry, replaceCategory) and answers
+ *   `{ id, type: 'mutated', result, change, value }`, where `change` is the
+ *   KnowledgeBase change event and `value` the changed category's new data
+ * 
+ * Failures answer `{ id, type: 'error', message, name, issues? }`.
+ */
+
+import { KnowledgeBase } from './KnowledgeBase.js';
+import { QueryProcessor } from './QueryProcessor.js';
+
+/**
+ * KnowledgeBase methods a 'mutate' request may call
+ * @constant
+ */
+const MUTATION_METHODS = ['addEntry', 'updateEntry', 'removeEntry', 'replaceCategory'];
+
+let knowledgeBase = null;
+let queryProcessor = null;
+
+/**
+ * Handles one request from the client
+ * @param {Object} request - The request message
+ * @returns {Object} - The response message, without its id
+ */
+function handleRequest(request) {
+  switch (request.type) {
+    case 'init': {
+      const options = request.options || {};
+      knowledgeBase = request.snapshot
+        ? KnowledgeBase.fromSnapshot(request.snapshot, request.data, options)
+        : new KnowledgeBase(request.data, options);
+      queryProcessor = new QueryProcessor(knowledgeBase, { intentClassifier: request.intentModel || null });
+      return { type: 'ready', indexSource: knowledgeBase.indexSource };
+    }
+    case 'query':
+      if (!queryProcessor) {
+        throw new Error('Query worker received a query before init');
+      }
+      return { type: 'result', result: queryProcessor.processQuery(request.query, request.context || null) };
+    case 'mutate': {
+      if (!knowledgeBase) {
+        throw new Error('Query worker received a mutation before init');
+      }
+      if (!MUTATION_METHODS.includes(request.method)) {
+        throw new Error(`Unknown knowledge base mutation "${request.method}"`);
+      }
+
+      let change = null;
+      const unsubscribe = knowledgeBase.on('change', (event) => {
+        change = event;
+      });
+      try {
+        const result = knowledgeBase[request.method](...(request.args || []));
+        return { type: 'mutated', result, change, value: knowledgeBase.getByCategory(change.category) };
+      } finally {
+        unsubscribe();
+      }
+    }
+    default:
+      throw new Error(`Unknown query worker request type "${request.type}"`);
+  }
+}
+
+self.addEventListener('message', (event) => {
+  const request = event.data || {};
+
+  try {
+    self.postMessage({ id: request.id, ...handleRequest(request) });
+  } catch (error) {
+    self.postMessage({
+      id: request.id,
+      type: 'error',
+      message: error && error.message ? error.message : String(error),
+      name: error && error.name,
+      issues: error && error.issues
+    });
+  }
+});
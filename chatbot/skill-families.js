@@ -0,0 +1,35 @@
+/**
+ * Default Skill Families for the Portfolio Chatbot
+ * 
+ * Groups technologies that do the same job, so a question about a skill that
+ * is not in knowledge-base.js ("have you used Cypress?") can point to the
+ * closest one that is (Playwright, Selenium). Names are lowercase, as typed by
+ * visitors after synonym expansion; a name may belong to several families.
+ */
+
+const defaultSkillFamilies = {
+  "browser automation": ["playwright", "selenium", "cypress", "puppeteer", "webdriverio", "testcafe", "nightwatch", "protractor", "katalon", "robot framework"],
+  "programming languages": ["python", "javascript", "typescript", "java", "c#", "c++", "ruby", "go", "golang", "kotlin", "php", "scala"],
+  "test runners": ["pytest", "unittest", "nose", "jest", "mocha", "jasmine", "vitest", "junit", "testng", "nunit", "xunit"],
+  "bdd": ["bdd", "behave", "specflow", "jbehave", "lettuce"],
+  "api testing": ["rest api testing", "rest api", "postman", "rest assured", "soapui", "karate", "insomnia"],
+  "performance testing": ["performance testing", "jmeter", "locust", "k6", "gatling", "loadrunner"],
+  "mobile testing": ["mobile testing", "appium", "espresso", "xcuitest", "detox"],
+  "cloud platforms": ["aws", "azure", "gcp", "google cloud", "cloud desktop"],
+  "issue tracking": ["jira", "trello", "asana", "azure devops", "youtrack"],
+  "version control": ["git", "github", "gitlab", "bitbucket", "svn", "mercurial"],
+  "web frameworks": ["flask", "django", "fastapi", "express", "spring"]
+};
+
+// ES Module export
+export { defaultSkillFamilies };
+
+// CommonJS export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { defaultSkillFamilies };
+}
+
+// Browser global
+if (typeof window !== 'undefined') {
+  window.defaultSkillFamilies = defaultSkillFamilies;
+}
@@ -0,0 +1,52 @@
+/**
+ * Default Synonym Dictionary for the Portfolio Chatbot
+ * 
+ * Maps canonical terms used in knowledge-base.js to the aliases, abbreviations
+ * and phrasings visitors tend to type for them. Aliases may be multi-word
+ * phrases. Each alias means exactly its canonical term: narrower terms (a
+ * single AWS service, a JavaScript runtime) are left out, since expanding them
+ * would claim experience the portfolio doesn't show, and no alias is listed
+ * under two terms.
+ */
+
+const defaultSynonyms = {
+  // Programming languages
+  javascript: ["js", "ecmascript", "es6"],
+  python: ["py", "python3", "python 3"],
+
+  // Automation tools and frameworks
+  playwright: ["play wright", "playwrite"],
+  selenium: ["selenium webdriver", "webdriver", "web driver"],
+  pytest: ["py.test", "py test"],
+  bdd: ["behavior driven development", "behaviour driven development", "behavior driven", "behaviour driven", "gherkin", "cucumber"],
+
+  // Cloud
+  aws: ["amazon web services", "amazon cloud"],
+
+  // Testing disciplines
+  "automation testing": ["test automation", "automated testing", "automated tests", "automation tests", "qa automation", "sdet"],
+  "web application testing": ["web testing", "browser testing", "ui testing", "ui automation", "frontend testing", "front end testing", "e2e", "end to end", "end-to-end"],
+  "mobile testing": ["mobile app testing", "app testing", "android testing", "ios testing"],
+  "manual testing": ["manual qa", "manual tests", "exploratory testing"],
+  "rest api testing": ["api testing", "api tests", "rest testing", "rest api tests", "restful api testing"],
+  "performance testing": ["load testing", "stress testing", "perf testing"],
+  "integration testing": ["integration tests", "system integration testing"],
+  "quality assurance": ["qa", "quality engineering"],
+
+  // Tools
+  jira: ["atlassian jira"],
+  git: ["version control", "source control"]
+};
+
+// ES Module export
+export { defaultSynonyms };
+
+// CommonJS export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { defaultSynonyms };
+}
+
+// Browser global
+if (typeof window !== 'undefined') {
+  window.defaultSynonyms = defaultSynonyms;
+}